@@ -18,6 +18,20 @@ async function migrate() {
         const initSql = fs.readFileSync(path.join(__dirname, 'init.sql'), 'utf8');
         await pool.query(initSql);
         
+        // Apply incremental migrations in filename order. Each migration is
+        // written to be safe to re-run against an already-migrated database.
+        const migrationsDir = path.join(__dirname, 'migrations');
+        if (fs.existsSync(migrationsDir)) {
+            const migrationFiles = fs.readdirSync(migrationsDir)
+                .filter(file => file.endsWith('.sql'))
+                .sort();
+            for (const file of migrationFiles) {
+                console.log(`Applying migration ${file}...`);
+                const migrationSql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+                await pool.query(migrationSql);
+            }
+        }
+        
         console.log('Database migration completed successfully!');
         
         // Check if we should run seed data
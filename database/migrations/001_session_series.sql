@@ -0,0 +1,36 @@
+-- Recurring session series
+-- A series holds the recurrence rule and the shared session details. Each
+-- generated occurrence is still an ordinary row in support_sessions so that
+-- reporting, the calendar and the conflict checks keep working unchanged.
+
+CREATE TABLE IF NOT EXISTS session_series (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    resident_id UUID NOT NULL REFERENCES residents(id),
+    support_worker_id UUID NOT NULL REFERENCES support_workers(id),
+    property_id UUID NOT NULL REFERENCES properties(id),
+    support_type VARCHAR(50) NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    notes TEXT,
+    -- Recurrence rule: every interval_weeks weeks on the given weekdays
+    -- (0 = Sunday ... 6 = Saturday), ending on end_date or after
+    -- occurrence_count occurrences
+    interval_weeks INTEGER NOT NULL DEFAULT 1 CHECK (interval_weeks BETWEEN 1 AND 52),
+    weekdays SMALLINT[] NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    occurrence_count INTEGER CHECK (occurrence_count > 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT session_series_has_end CHECK (end_date IS NOT NULL OR occurrence_count IS NOT NULL)
+);
+
+ALTER TABLE support_sessions
+    ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES session_series(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS is_series_exception BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_support_sessions_series
+    ON support_sessions(series_id, session_date);
@@ -0,0 +1,16 @@
+-- Booking rule overrides
+-- Records every time an admin books a session in spite of a booking rule
+-- (e.g. going over a resident's monthly allocation), with the reason given.
+
+CREATE TABLE IF NOT EXISTS session_overrides (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES support_sessions(id) ON DELETE CASCADE,
+    rule VARCHAR(50) NOT NULL,
+    details TEXT,
+    reason TEXT NOT NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_overrides_session
+    ON session_overrides(session_id);
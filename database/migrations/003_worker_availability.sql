@@ -0,0 +1,34 @@
+-- Support worker availability
+-- worker_availability is the recurring weekly template: the hours a worker
+-- can be booked on each weekday (0 = Sunday ... 6 = Saturday). A worker with
+-- no template rows is treated as available at any time.
+-- worker_absences records dated whole-day absences such as annual leave.
+
+CREATE TABLE IF NOT EXISTS worker_availability (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    support_worker_id UUID NOT NULL REFERENCES support_workers(id) ON DELETE CASCADE,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT worker_availability_valid_time CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_worker_availability_worker
+    ON worker_availability(support_worker_id, weekday);
+
+CREATE TABLE IF NOT EXISTS worker_absences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    support_worker_id UUID NOT NULL REFERENCES support_workers(id) ON DELETE CASCADE,
+    absence_type VARCHAR(20) NOT NULL
+        CHECK (absence_type IN ('annual_leave', 'sickness', 'training', 'other')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT worker_absences_valid_dates CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_worker_absences_worker
+    ON worker_absences(support_worker_id, start_date, end_date);
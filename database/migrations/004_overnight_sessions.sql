@@ -0,0 +1,29 @@
+-- Overnight sessions
+-- A session whose end time is not after its start time runs overnight and
+-- ends on the following day, e.g. a sleep-in from 22:00 to 08:00. Replace the
+-- original end-after-start and 8 hour duration checks so these can be saved.
+
+DO $$
+DECLARE
+    constraint_row RECORD;
+BEGIN
+    FOR constraint_row IN
+        SELECT conname FROM pg_constraint
+        WHERE conrelid = 'support_sessions'::regclass
+          AND contype = 'c'
+          AND (pg_get_constraintdef(oid) LIKE '%(end_time > start_time)%'
+               OR pg_get_constraintdef(oid) LIKE '%(duration_minutes <= 480)%')
+    LOOP
+        EXECUTE format('ALTER TABLE support_sessions DROP CONSTRAINT %I', constraint_row.conname);
+    END LOOP;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_sessions_distinct_times') THEN
+        ALTER TABLE support_sessions
+            ADD CONSTRAINT support_sessions_distinct_times CHECK (end_time <> start_time);
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_sessions_duration_range') THEN
+        ALTER TABLE support_sessions
+            ADD CONSTRAINT support_sessions_duration_range CHECK (duration_minutes > 0 AND duration_minutes <= 1440);
+    END IF;
+END $$;
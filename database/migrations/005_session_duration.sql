@@ -0,0 +1,26 @@
+-- Derived session durations
+-- duration_minutes is worked out from the start and end times less any
+-- break_minutes. An admin can instead enter the billable minutes directly,
+-- in which case duration_minutes holds that figure and
+-- duration_override_reason records why it differs from the times.
+-- Existing rows are left as they are; /reports/duration-reconciliation lists
+-- those whose stored duration disagrees with their times.
+
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS break_minutes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS duration_override_reason TEXT;
+
+ALTER TABLE session_series ADD COLUMN IF NOT EXISTS break_minutes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE session_series ADD COLUMN IF NOT EXISTS duration_override_reason TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_sessions_break_minutes_check') THEN
+        ALTER TABLE support_sessions
+            ADD CONSTRAINT support_sessions_break_minutes_check CHECK (break_minutes >= 0);
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'session_series_break_minutes_check') THEN
+        ALTER TABLE session_series
+            ADD CONSTRAINT session_series_break_minutes_check CHECK (break_minutes >= 0);
+    END IF;
+END $$;
@@ -0,0 +1,17 @@
+-- Session check-in and check-out
+-- actual_start_time and actual_end_time record when the support worker
+-- really arrived and left. actual_minutes is the delivered time worked out
+-- from them (less the session's break) and, once set, is used in place of
+-- duration_minutes for allocation usage and hours reporting.
+
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS actual_start_time TIME;
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS actual_end_time TIME;
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS actual_minutes INTEGER;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_sessions_actual_minutes_check') THEN
+        ALTER TABLE support_sessions
+            ADD CONSTRAINT support_sessions_actual_minutes_check CHECK (actual_minutes >= 0);
+    END IF;
+END $$;
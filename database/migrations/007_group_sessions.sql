@@ -0,0 +1,63 @@
+-- Group activity sessions
+-- A group session is a single support_sessions row (one support worker slot)
+-- with apportion_rule set and resident_id left empty. Its residents are listed
+-- in session_attendees, each with their own attendance status.
+--
+-- apportion_rule decides how much of the session is charged to each
+-- attendee's monthly allocation:
+--   full     every attendee is charged the whole session
+--   divided  the session is split equally between the attendees charged
+-- Attendees marked absent or cancelled are not charged and do not count
+-- towards the split.
+
+ALTER TABLE support_sessions ALTER COLUMN resident_id DROP NOT NULL;
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS apportion_rule VARCHAR(20);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_sessions_apportion_rule_check') THEN
+        ALTER TABLE support_sessions
+            ADD CONSTRAINT support_sessions_apportion_rule_check
+            CHECK (apportion_rule IN ('full', 'divided'));
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_sessions_resident_or_group') THEN
+        ALTER TABLE support_sessions
+            ADD CONSTRAINT support_sessions_resident_or_group
+            CHECK ((resident_id IS NULL) = (apportion_rule IS NOT NULL));
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS session_attendees (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES support_sessions(id) ON DELETE CASCADE,
+    resident_id UUID NOT NULL REFERENCES residents(id),
+    attendance_status VARCHAR(20) NOT NULL DEFAULT 'booked'
+        CHECK (attendance_status IN ('booked', 'attended', 'absent', 'cancelled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT session_attendees_unique UNIQUE (session_id, resident_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_attendees_resident
+    ON session_attendees(resident_id);
+
+-- Every resident booked on a session, with the share of the session's minutes
+-- charged to their allocation: the session's own resident at a share of 1, or
+-- each attendee of a group session under its apportion rule.
+CREATE OR REPLACE VIEW session_residents AS
+SELECT s.id as session_id, s.resident_id, NULL::varchar(20) as attendance_status, 1.0 as share
+FROM support_sessions s
+WHERE s.resident_id IS NOT NULL
+UNION ALL
+SELECT sa.session_id, sa.resident_id, sa.attendance_status,
+       CASE
+           WHEN sa.attendance_status NOT IN ('booked', 'attended') THEN 0.0
+           WHEN s.apportion_rule = 'divided' THEN 1.0 / (
+               SELECT COUNT(*) FROM session_attendees charged
+               WHERE charged.session_id = sa.session_id
+                 AND charged.attendance_status IN ('booked', 'attended'))
+           ELSE 1.0
+       END as share
+FROM session_attendees sa
+JOIN support_sessions s ON s.id = sa.session_id;
@@ -0,0 +1,70 @@
+-- Sessions staffed by more than one support worker
+-- support_worker_id remains the lead worker. additional_worker_ids lists any
+-- other workers on the session (e.g. two-to-one support); each of them is
+-- booked for the whole session and the hours count toward their own caps.
+--
+-- staff_charge_rule decides how the session is charged to the resident's
+-- monthly allocation:
+--   single      the session is charged once, however many workers attend
+--   per_worker  the session is charged once for each worker
+-- Series keep the same fields so new occurrences are staffed alike.
+
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS additional_worker_ids UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS staff_charge_rule VARCHAR(20) NOT NULL DEFAULT 'single';
+
+ALTER TABLE session_series ADD COLUMN IF NOT EXISTS additional_worker_ids UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE session_series ADD COLUMN IF NOT EXISTS staff_charge_rule VARCHAR(20) NOT NULL DEFAULT 'single';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_sessions_staff_charge_rule_check') THEN
+        ALTER TABLE support_sessions
+            ADD CONSTRAINT support_sessions_staff_charge_rule_check
+            CHECK (staff_charge_rule IN ('single', 'per_worker'));
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'session_series_staff_charge_rule_check') THEN
+        ALTER TABLE session_series
+            ADD CONSTRAINT session_series_staff_charge_rule_check
+            CHECK (staff_charge_rule IN ('single', 'per_worker'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_support_sessions_additional_workers
+    ON support_sessions USING GIN (additional_worker_ids);
+
+-- Every support worker on a session, lead first, each booked for the whole
+-- session
+CREATE OR REPLACE VIEW session_staff AS
+SELECT s.id as session_id, s.support_worker_id, true as is_lead
+FROM support_sessions s
+UNION ALL
+SELECT s.id, extra.support_worker_id, false
+FROM support_sessions s
+CROSS JOIN LATERAL UNNEST(s.additional_worker_ids) AS extra(support_worker_id);
+
+-- As in 007_group_sessions.sql, with sessions charged once per worker
+-- multiplying each resident's share by the number of workers
+CREATE OR REPLACE VIEW session_residents AS
+SELECT s.id as session_id, s.resident_id, NULL::varchar(20) as attendance_status,
+       CASE WHEN s.staff_charge_rule = 'per_worker'
+            THEN 1.0 + CARDINALITY(s.additional_worker_ids)
+            ELSE 1.0
+       END as share
+FROM support_sessions s
+WHERE s.resident_id IS NOT NULL
+UNION ALL
+SELECT sa.session_id, sa.resident_id, sa.attendance_status,
+       CASE
+           WHEN sa.attendance_status NOT IN ('booked', 'attended') THEN 0.0
+           WHEN s.apportion_rule = 'divided' THEN 1.0 / (
+               SELECT COUNT(*) FROM session_attendees charged
+               WHERE charged.session_id = sa.session_id
+                 AND charged.attendance_status IN ('booked', 'attended'))
+           ELSE 1.0
+       END * CASE WHEN s.staff_charge_rule = 'per_worker'
+                  THEN 1 + CARDINALITY(s.additional_worker_ids)
+                  ELSE 1
+             END as share
+FROM session_attendees sa
+JOIN support_sessions s ON s.id = sa.session_id;
@@ -0,0 +1,46 @@
+-- Cancellation details and late-cancellation charging
+-- Cancelled sessions and no-shows record who cancelled, why, and how much
+-- notice was given before the planned start. cancellation_notice_minutes is
+-- taken when the cancellation is recorded and is zero or negative when notice
+-- came at or after the start time.
+--
+-- cancellation_charge_rules lists the cancellations that still count against
+-- the resident's monthly_support_hours. A cancelled or no-show session is
+-- charged when an active rule matches its status, cancelled_by and reason
+-- (NULL matches any) and less than min_notice_hours notice was given (NULL
+-- charges regardless of notice). charge_percent of the planned minutes is
+-- charged; where several rules match the highest applies.
+
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS cancellation_reason VARCHAR(30);
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(20);
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS cancellation_notice_minutes INTEGER;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_sessions_cancelled_by_check') THEN
+        ALTER TABLE support_sessions
+            ADD CONSTRAINT support_sessions_cancelled_by_check
+            CHECK (cancelled_by IN ('resident', 'worker', 'organisation'));
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS cancellation_charge_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_status VARCHAR(20) NOT NULL CHECK (session_status IN ('cancelled', 'no_show')),
+    cancelled_by VARCHAR(20) CHECK (cancelled_by IN ('resident', 'worker', 'organisation')),
+    cancellation_reason VARCHAR(30),
+    min_notice_hours NUMERIC(6,1) CHECK (min_notice_hours > 0),
+    charge_percent INTEGER NOT NULL DEFAULT 100 CHECK (charge_percent BETWEEN 1 AND 100),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Starting rules: no-shows are charged in full, as are cancellations by the
+-- resident with less than 24 hours' notice
+INSERT INTO cancellation_charge_rules (session_status, cancelled_by, min_notice_hours)
+SELECT rule.session_status, rule.cancelled_by, rule.min_notice_hours
+FROM (VALUES ('no_show', NULL, NULL::numeric), ('cancelled', 'resident', 24.0)) AS rule(session_status, cancelled_by, min_notice_hours)
+WHERE NOT EXISTS (SELECT 1 FROM cancellation_charge_rules);
@@ -0,0 +1,31 @@
+-- Owed make-up hours
+-- When a session is cancelled by the provider (a support worker or the
+-- organisation) each resident on it is owed their share of its planned
+-- minutes. owed_hours_ledger records these as 'owed' entries against the
+-- cancelled session, and make-up sessions booked against that session use
+-- them up with negative 'made_up' entries. A resident's balance is the sum of
+-- their entries.
+
+ALTER TABLE support_sessions ADD COLUMN IF NOT EXISTS makeup_for_session_id UUID
+    REFERENCES support_sessions(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS owed_hours_ledger (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    resident_id UUID NOT NULL REFERENCES residents(id),
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('owed', 'made_up')),
+    minutes INTEGER NOT NULL,
+    source_session_id UUID NOT NULL REFERENCES support_sessions(id) ON DELETE CASCADE,
+    makeup_session_id UUID REFERENCES support_sessions(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT owed_hours_ledger_makeup_check CHECK (
+        (entry_type = 'owed' AND makeup_session_id IS NULL AND minutes > 0) OR
+        (entry_type = 'made_up' AND makeup_session_id IS NOT NULL AND minutes < 0))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_owed_hours_ledger_owed
+    ON owed_hours_ledger(source_session_id, resident_id) WHERE entry_type = 'owed';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_owed_hours_ledger_made_up
+    ON owed_hours_ledger(makeup_session_id, resident_id) WHERE entry_type = 'made_up';
+CREATE INDEX IF NOT EXISTS idx_owed_hours_ledger_resident
+    ON owed_hours_ledger(resident_id);
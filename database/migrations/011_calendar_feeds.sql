@@ -0,0 +1,34 @@
+-- Calendar subscription feeds
+-- calendar_feed_tokens holds the secret tokens in the .ics feed URLs for a
+-- support worker, a resident or a property. Calendar apps cannot log in, so
+-- the token alone grants read access to the feed; revoking it stops the URL
+-- working. Each owner has at most one live token.
+--
+-- Feeds report support_sessions.updated_at as each event's last change, so
+-- it is now kept up to date by a trigger rather than by each UPDATE.
+
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('support_worker', 'resident', 'property')),
+    owner_id UUID NOT NULL,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feed_tokens_live
+    ON calendar_feed_tokens(owner_type, owner_id) WHERE revoked_at IS NULL;
+
+CREATE OR REPLACE FUNCTION touch_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS support_sessions_touch_updated_at ON support_sessions;
+CREATE TRIGGER support_sessions_touch_updated_at
+    BEFORE UPDATE ON support_sessions
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
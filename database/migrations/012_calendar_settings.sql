@@ -0,0 +1,25 @@
+-- Calendar display settings
+-- The row with no user_id holds the organisation's settings: the day weeks
+-- start on (0 = Sunday, 1 = Monday), the hours the weekly and daily grids
+-- show and the size of their time slots. A user's own row overrides any of
+-- these it sets; NULL columns follow the organisation. The grids still grow
+-- to show sessions outside the hours.
+
+CREATE TABLE IF NOT EXISTS calendar_settings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    week_start SMALLINT CHECK (week_start IN (0, 1)),
+    day_start TIME,
+    day_end TIME,
+    slot_minutes SMALLINT CHECK (slot_minutes IN (15, 30, 60)),
+    updated_by UUID REFERENCES users(id),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (day_start IS NULL OR day_end IS NULL OR day_end > day_start)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_settings_organisation
+    ON calendar_settings ((user_id IS NULL)) WHERE user_id IS NULL;
+
+INSERT INTO calendar_settings (week_start, day_start, day_end, slot_minutes)
+SELECT 1, '08:00', '19:00', 30
+WHERE NOT EXISTS (SELECT 1 FROM calendar_settings WHERE user_id IS NULL);
@@ -0,0 +1,27 @@
+-- Bank holidays and closure days
+-- closure_days marks dates when support is not normally delivered: UK bank
+-- holidays imported from the bundled list or an uploaded .ics file, days the
+-- whole organisation is closed, and days a single property is closed.
+-- blocks_sessions decides whether booking on the day is an error the admin
+-- must override or only a warning. Recurring series skip every closure day
+-- that applies to their property.
+
+CREATE TABLE IF NOT EXISTS closure_days (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    closure_date DATE NOT NULL,
+    name VARCHAR(150) NOT NULL,
+    closure_type VARCHAR(20) NOT NULL CHECK (closure_type IN ('bank_holiday', 'organisation', 'property')),
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    blocks_sessions BOOLEAN NOT NULL DEFAULT false,
+    source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('bundled', 'ics', 'manual')),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((closure_type = 'property') = (property_id IS NOT NULL))
+);
+
+-- One closure of each kind per day, and per property for property closures,
+-- so importing the same holidays again adds nothing
+CREATE UNIQUE INDEX IF NOT EXISTS idx_closure_days_unique
+    ON closure_days (closure_date, closure_type, COALESCE(property_id, '00000000-0000-0000-0000-000000000000'));
+
+CREATE INDEX IF NOT EXISTS idx_closure_days_date ON closure_days(closure_date);
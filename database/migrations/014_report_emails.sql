@@ -0,0 +1,57 @@
+-- Monthly property reports by email
+-- report_schedules send each property's summary for the previous month on a
+-- day of the month, at or after an hour on the organisation's clock, to the
+-- property's manager_email and any extra recipients listed for the property.
+-- last_period_start is the first day of the last month the schedule sent, so
+-- a month is sent once however many times the scheduler checks.
+-- claimed_until is set while a server sends a schedule's emails, so that
+-- other servers leave it alone until then.
+-- report_deliveries logs every email sent or failed, including manual sends
+-- and test emails.
+
+CREATE TABLE IF NOT EXISTS report_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(150) NOT NULL,
+    day_of_month INTEGER NOT NULL DEFAULT 1 CHECK (day_of_month BETWEEN 1 AND 28),
+    send_hour INTEGER NOT NULL DEFAULT 7 CHECK (send_hour BETWEEN 0 AND 23),
+    include_managers BOOLEAN NOT NULL DEFAULT true,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_period_start DATE,
+    claimed_until TIMESTAMP,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS report_recipients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    schedule_id UUID NOT NULL REFERENCES report_schedules(id) ON DELETE CASCADE,
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (schedule_id, property_id, email)
+);
+
+CREATE TABLE IF NOT EXISTS report_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    schedule_id UUID REFERENCES report_schedules(id) ON DELETE SET NULL,
+    property_id UUID REFERENCES properties(id) ON DELETE SET NULL,
+    property_name VARCHAR(255) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    triggered_by VARCHAR(20) NOT NULL CHECK (triggered_by IN ('schedule', 'manual', 'test')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed')),
+    message_id VARCHAR(255),
+    error TEXT,
+    sent_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_deliveries_created ON report_deliveries(created_at DESC);
+
+-- The standard schedule, on the 1st at 07:00, first sending next month
+INSERT INTO report_schedules (name, last_period_start)
+SELECT 'Monthly property summary', (date_trunc('month', CURRENT_DATE) - INTERVAL '1 month')::date
+WHERE NOT EXISTS (SELECT 1 FROM report_schedules);
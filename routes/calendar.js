@@ -1,22 +1,46 @@
 const express = require('express');
 const { requireAuth } = require('../middleware/auth');
 const { dbOps, query } = require('../utils/database');
+const { absenceLabel } = require('../utils/scheduling');
+const {
+    DAY_NAMES, isDateKey, today, yearMonthOf, addDays, weekStartOf, monthStart, monthEnd, formatDay
+} = require('../utils/dates');
+const { endsNextDay, spanMinutes, toMinutes } = require('../utils/session-time');
+const { RESIDENT_NAME_COLUMNS, residentBookedSql } = require('../utils/group-sessions');
+const { workerBookedSql } = require('../utils/session-staff');
+const { getCalendarSettings } = require('../utils/calendar-settings');
+const { getClosuresInRange, closuresOn } = require('../utils/closures');
+const { rotaPdf } = require('../utils/rota');
 
 const router = express.Router();
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SUPPORT_TYPES = ['mental_health', 'domestic_independence', 'activity_group'];
+const STATUSES = [
+    { key: 'planned', label: 'Planned' },
+    { key: 'completed', label: 'Completed' },
+    { key: 'cancelled', label: 'Cancelled' },
+    { key: 'no_show', label: 'No show' }
+];
+
 // Main calendar view
 router.get('/', requireAuth, async (req, res) => {
     try {
+        const todayKey = today();
+        const thisMonth = yearMonthOf(todayKey);
         const { 
             view = 'monthly', 
-            year = new Date().getFullYear(), 
-            month = new Date().getMonth() + 1,
+            year = thisMonth.year, 
+            month = thisMonth.month,
             week = null,
             date = null,
-            property_id = null
+            layout = 'grid'
         } = req.query;
+        const filters = calendarFilters(req.query);
+        // Worker lanes replace the time grid in the weekly and daily views
+        const showLanes = layout === 'lanes' && ['weekly', 'daily'].includes(view);
+        const settings = await getCalendarSettings(req.session.user.id);
 
-        const currentDate = new Date();
         const viewYear = parseInt(year);
         const viewMonth = parseInt(month);
 
@@ -24,23 +48,14 @@ router.get('/', requireAuth, async (req, res) => {
 
         if (view === 'weekly') {
             // Weekly view - specific week or current week
-            let weekStart;
-            if (week) {
-                weekStart = new Date(week);
-            } else {
-                // Default to current week
-                weekStart = new Date();
-                weekStart.setDate(weekStart.getDate() - weekStart.getDay()); // Start of current week (Sunday)
-            }
-            startDate = new Date(weekStart);
-            endDate = new Date(weekStart);
-            endDate.setDate(endDate.getDate() + 6);
-            calendarTitle = `Week of ${startDate.toLocaleDateString('en-GB')}`;
-        } else if (view === 'daily' && date) {
+            startDate = isDateKey(week) ? week : weekStartOf(todayKey, settings.week_start);
+            endDate = addDays(startDate, 6);
+            calendarTitle = `Week of ${formatDay(startDate)}`;
+        } else if (view === 'daily' && isDateKey(date)) {
             // Daily view - specific date
-            startDate = new Date(date);
-            endDate = new Date(date);
-            calendarTitle = startDate.toLocaleDateString('en-GB', { 
+            startDate = date;
+            endDate = date;
+            calendarTitle = formatDay(startDate, { 
                 weekday: 'long', 
                 year: 'numeric', 
                 month: 'long', 
@@ -48,55 +63,44 @@ router.get('/', requireAuth, async (req, res) => {
             });
         } else {
             // Monthly view (default)
-            startDate = new Date(viewYear, viewMonth - 1, 1);
-            endDate = new Date(viewYear, viewMonth, 0);
-            calendarTitle = startDate.toLocaleDateString('en-GB', { 
+            startDate = monthStart(viewYear, viewMonth);
+            endDate = monthEnd(viewYear, viewMonth);
+            calendarTitle = formatDay(startDate, { 
                 year: 'numeric', 
                 month: 'long' 
             });
         }
 
-        // Get sessions for the date range
-        let sessionsQuery = `
-            SELECT s.*, 
-                   r.first_name as resident_first_name, r.last_name as resident_last_name,
-                   sw.first_name as worker_first_name, sw.last_name as worker_last_name,
-                   p.name as property_name
-            FROM support_sessions s
-            JOIN residents r ON s.resident_id = r.id
-            JOIN support_workers sw ON s.support_worker_id = sw.id
-            JOIN properties p ON s.property_id = p.id
-            WHERE s.session_date BETWEEN $1 AND $2
-        `;
-        
-        let queryParams = [startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]];
-
-        if (property_id) {
-            sessionsQuery += ` AND s.property_id = $3`;
-            queryParams.push(property_id);
-        }
+        const sessions = await getCalendarSessions(startDate, endDate, filters);
 
-        sessionsQuery += ` ORDER BY s.session_date, s.start_time`;
+        // Support workers on leave during the range, shown against each day
+        const absences = await dbOps.getAbsencesInRange(startDate, endDate);
 
-        const sessions = await query(sessionsQuery, queryParams);
+        // Bank holidays and closure days, for the filtered property if there is one
+        const closures = await getClosuresInRange(startDate, endDate, filters.property_id);
 
         // Get filter options
         const properties = await dbOps.getAllProperties();
+        const supportWorkers = await dbOps.getAllSupportWorkers();
+        const residents = await dbOps.getAllResidents();
 
         // Prepare calendar data based on view
         let calendarData;
         if (view === 'monthly') {
-            calendarData = generateMonthlyCalendar(viewYear, viewMonth, sessions.rows);
+            calendarData = generateMonthlyCalendar(viewYear, viewMonth, sessions, absences, settings.week_start, closures);
         } else if (view === 'weekly') {
-            calendarData = generateWeeklyCalendar(startDate, sessions.rows);
+            calendarData = generateWeeklyCalendar(startDate, sessions, absences, settings, closures);
         } else if (view === 'daily') {
-            calendarData = generateDailyCalendar(startDate, sessions.rows);
+            calendarData = generateDailyCalendar(startDate, sessions, absences, settings, closures);
+        }
+        if (showLanes) {
+            addWorkerLanes(view, calendarData, laneWorkers(supportWorkers, filters), absences);
         }
 
         // Set the current week for weekly view
         let currentWeek = week;
-        if (view === 'weekly' && !week) {
-            currentWeek = startDate.toISOString().split('T')[0];
+        if (view === 'weekly') {
+            currentWeek = startDate;
         }
 
         res.render('calendar/index', {
@@ -104,17 +108,27 @@ router.get('/', requireAuth, async (req, res) => {
             view,
             calendarTitle,
             calendarData,
-            sessions: sessions.rows,
+            sessions,
             properties,
+            supportWorkers,
+            residents,
+            supportTypes: SUPPORT_TYPES,
+            statuses: STATUSES,
+            showLanes,
+            slotMinutes: settings.slot_minutes,
+            // Weeks to open the weekly view at from the Today button and
+            // from the other views
+            todayWeek: weekStartOf(todayKey, settings.week_start),
+            defaultWeek: weekStartOf(monthStart(viewYear, viewMonth), settings.week_start),
             currentDate: {
                 year: viewYear,
                 month: viewMonth,
                 week: currentWeek,
                 date: date
             },
-            filters: {
-                property_id
-            },
+            filters,
+            calendarLayout: showLanes ? 'lanes' : 'grid',
+            filterQuery: filterQuery(filters, showLanes),
             navigation: generateNavigation(view, viewYear, viewMonth, currentWeek, date)
         });
     } catch (error) {
@@ -126,24 +140,62 @@ router.get('/', requireAuth, async (req, res) => {
     }
 });
 
+// Print-ready weekly rota for a property or a support worker
+router.get('/rota', requireAuth, async (req, res) => {
+    try {
+        const rota = await loadRota(req);
+        if (!rota) {
+            return res.status(400).render('error', {
+                title: 'Rota Error',
+                message: 'Choose a property or a support worker for the rota'
+            });
+        }
+
+        res.render('calendar/rota', {
+            title: `Rota - ${rota.title} - ${rota.period}`,
+            layout: 'print',
+            rota,
+            pdfQuery: rotaQuery(rota)
+        });
+    } catch (error) {
+        console.error('Rota error:', error);
+        res.render('error', {
+            title: 'Rota Error',
+            message: 'Unable to load the rota'
+        });
+    }
+});
+
+// The weekly rota as a PDF download
+router.get('/rota.pdf', requireAuth, async (req, res) => {
+    try {
+        const rota = await loadRota(req);
+        if (!rota) {
+            return res.status(400).render('error', {
+                title: 'Rota Error',
+                message: 'Choose a property or a support worker for the rota'
+            });
+        }
+
+        const fileName = `rota-${rota.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${rota.weekStart}.pdf`;
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(rotaPdf(rota));
+    } catch (error) {
+        console.error('Rota PDF error:', error);
+        res.render('error', {
+            title: 'Rota Error',
+            message: 'Unable to create the rota PDF'
+        });
+    }
+});
+
 // API endpoint for getting sessions for a specific date
 router.get('/api/sessions/:date', requireAuth, async (req, res) => {
     try {
-        const sessions = await query(
-            `SELECT s.*, 
-                    r.first_name as resident_first_name, r.last_name as resident_last_name,
-                    sw.first_name as worker_first_name, sw.last_name as worker_last_name,
-                    p.name as property_name
-             FROM support_sessions s
-             JOIN residents r ON s.resident_id = r.id
-             JOIN support_workers sw ON s.support_worker_id = sw.id
-             JOIN properties p ON s.property_id = p.id
-             WHERE s.session_date = $1
-             ORDER BY s.start_time`,
-            [req.params.date]
-        );
-
-        res.json(sessions.rows);
+        const sessions = await getCalendarSessions(req.params.date, req.params.date, calendarFilters(req.query));
+
+        res.json(groupSessionsByDate(sessions)[req.params.date] || []);
     } catch (error) {
         console.error('Get sessions by date error:', error);
         res.status(500).json({ error: 'Unable to fetch sessions' });
@@ -151,45 +203,33 @@ router.get('/api/sessions/:date', requireAuth, async (req, res) => {
 });
 
 // Generate monthly calendar grid
-function generateMonthlyCalendar(year, month, sessions) {
-    const firstDay = new Date(year, month - 1, 1);
-    const lastDay = new Date(year, month, 0);
-    const startDate = new Date(firstDay);
-    startDate.setDate(startDate.getDate() - firstDay.getDay()); // Start from Sunday
+function generateMonthlyCalendar(year, month, sessions, absences = [], weekStart = 0, closures = []) {
+    const firstDay = monthStart(year, month);
+    const startDate = weekStartOf(firstDay, weekStart);
+    const todayKey = today();
 
     const calendar = {
         weeks: [],
-        daysOfWeek: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+        daysOfWeek: DAY_NAMES.slice(weekStart).concat(DAY_NAMES.slice(0, weekStart))
     };
 
-    // Group sessions by date
-    const sessionsByDate = {};
-    sessions.forEach(session => {
-        const dateKey = session.session_date.toISOString().split('T')[0];
-        if (!sessionsByDate[dateKey]) {
-            sessionsByDate[dateKey] = [];
-        }
-        sessionsByDate[dateKey].push(session);
-    });
+    const sessionsByDate = groupSessionsByDate(sessions);
 
     // Generate 6 weeks
     for (let week = 0; week < 6; week++) {
         const weekData = [];
         
         for (let day = 0; day < 7; day++) {
-            const currentDate = new Date(startDate);
-            currentDate.setDate(startDate.getDate() + (week * 7) + day);
-            
-            const dateKey = currentDate.toISOString().split('T')[0];
-            const isCurrentMonth = currentDate.getMonth() === month - 1;
-            const isToday = currentDate.toDateString() === new Date().toDateString();
+            const dateKey = addDays(startDate, (week * 7) + day);
             
             weekData.push({
-                date: currentDate.getDate(),
+                date: parseInt(dateKey.split('-')[2]),
                 fullDate: dateKey,
-                isCurrentMonth,
-                isToday,
-                sessions: sessionsByDate[dateKey] || []
+                isCurrentMonth: dateKey.substring(0, 7) === firstDay.substring(0, 7),
+                isToday: dateKey === todayKey,
+                sessions: sessionsByDate[dateKey] || [],
+                absences: absencesOn(absences, dateKey),
+                closures: closuresOn(closures, dateKey)
             });
         }
         
@@ -199,66 +239,301 @@ function generateMonthlyCalendar(year, month, sessions) {
     return calendar;
 }
 
-// Generate weekly calendar
-function generateWeeklyCalendar(startDate, sessions) {
+// Generate weekly calendar. Each row is a time slot holding, for each day,
+// the sessions that start in it.
+function generateWeeklyCalendar(startDate, sessions, absences = [], settings, closures = []) {
     const calendar = {
         days: [],
-        timeSlots: []
+        timeSlots: [],
+        rows: []
     };
-
-    // Generate time slots (9 AM to 6 PM in 30-minute intervals)
-    for (let hour = 9; hour <= 18; hour++) {
-        for (let minute = 0; minute < 60; minute += 30) {
-            if (hour === 18 && minute > 0) break; // Stop at 6:00 PM
-            const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-            calendar.timeSlots.push(timeString);
-        }
-    }
+    const sessionsByDate = groupSessionsByDate(sessions);
 
     // Generate days of the week
+    const todayKey = today();
     for (let i = 0; i < 7; i++) {
-        const date = new Date(startDate);
-        date.setDate(startDate.getDate() + i);
-        
-        const dateKey = date.toISOString().split('T')[0];
-        const dayName = date.toLocaleDateString('en-GB', { weekday: 'short' });
-        const isToday = date.toDateString() === new Date().toDateString();
+        const dateKey = addDays(startDate, i);
         
-        // Get sessions for this day
-        const daySessions = sessions.filter(session => 
-            session.session_date.toISOString().split('T')[0] === dateKey
-        );
-
         calendar.days.push({
-            date: date.getDate(),
+            date: parseInt(dateKey.split('-')[2]),
             fullDate: dateKey,
-            dayName,
-            isToday,
-            sessions: daySessions
+            dayName: formatDay(dateKey, { weekday: 'short' }),
+            isToday: dateKey === todayKey,
+            sessions: sessionsByDate[dateKey] || [],
+            absences: absencesOn(absences, dateKey),
+            closures: closuresOn(closures, dateKey)
         });
     }
 
+    calendar.timeSlots = generateTimeSlots(settings, [].concat(...calendar.days.map(day => day.sessions)));
+    calendar.rows = calendar.timeSlots.map((time, index) => ({
+        time,
+        cells: calendar.days.map(day => ({
+            fullDate: day.fullDate,
+            time,
+            sessions: sessionsInSlot(day.sessions, calendar.timeSlots, index)
+        }))
+    }));
+
     return calendar;
 }
 
-// Generate daily calendar
-function generateDailyCalendar(date, sessions) {
+// Generate daily calendar, with the day's sessions under the slot they start
+function generateDailyCalendar(dateKey, sessions, absences = [], settings, closures = []) {
     const calendar = {
-        date: date,
-        sessions: sessions.filter(session => 
-            session.session_date.toISOString().split('T')[0] === date.toISOString().split('T')[0]
-        ).sort((a, b) => a.start_time.localeCompare(b.start_time)),
-        timeSlots: []
+        date: dateKey,
+        absences: absencesOn(absences, dateKey),
+        closures: closuresOn(closures, dateKey),
+        sessions: groupSessionsByDate(sessions)[dateKey] || [],
+        timeSlots: [],
+        hours: []
     };
 
-    // Generate hourly time slots
-    for (let hour = 8; hour <= 19; hour++) {
-        calendar.timeSlots.push(`${hour.toString().padStart(2, '0')}:00`);
-    }
+    calendar.timeSlots = generateTimeSlots(settings, calendar.sessions);
+    calendar.hours = calendar.timeSlots.map((time, index) => ({
+        time,
+        sessions: sessionsInSlot(calendar.sessions, calendar.timeSlots, index)
+    }));
 
     return calendar;
 }
 
+// 'HH:MM' slot start times across the visible hours in the settings, widened
+// a slot at a time to take in any of the sessions starting before or ending
+// after them, including those continued from or into another day
+function generateTimeSlots(settings, sessions) {
+    const slotMinutes = settings.slot_minutes;
+    let first = toMinutes(settings.day_start);
+    let last = toMinutes(settings.day_end);
+
+    sessions.forEach(session => {
+        const start = session.continued ? 0 : toMinutes(session.start_time);
+        const end = session.overnight && !session.continued ? 24 * 60 : toMinutes(session.end_time);
+        first = Math.min(first, start - start % slotMinutes);
+        last = Math.max(last, Math.min(end, 24 * 60));
+    });
+
+    const slots = [];
+    for (let minutes = first; minutes < last; minutes += slotMinutes) {
+        slots.push(`${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`);
+    }
+    return slots;
+}
+
+// A day's sessions starting in the slot at index of the ascending 'HH:MM'
+// slot times. Sessions before the first slot, including those continued from
+// the day before, fall in the first and those after the last in the last.
+function sessionsInSlot(daySessions, slotTimes, index) {
+    const slotOf = (session) => {
+        const start = session.continued ? '00:00' : session.start_time.substring(0, 5);
+        const slot = slotTimes.filter(time => time <= start).length - 1;
+        return Math.max(slot, 0);
+    };
+    return daySessions
+        .filter(session => slotOf(session) === index)
+        .map(session => ({ ...session, length_minutes: spanMinutes(session.start_time, session.end_time) }));
+}
+
+// Group sessions by 'YYYY-MM-DD' date. Overnight sessions are listed on the
+// day they start and again, marked as continued, on the following day.
+// Each day's sessions are in time order with continued sessions first.
+function groupSessionsByDate(sessions) {
+    const sessionsByDate = {};
+    const addTo = (dateKey, session) => {
+        if (!sessionsByDate[dateKey]) {
+            sessionsByDate[dateKey] = [];
+        }
+        sessionsByDate[dateKey].push(session);
+    };
+
+    sessions.forEach(session => {
+        const dateKey = session.session_date;
+        const overnight = endsNextDay(session.start_time, session.end_time);
+        addTo(dateKey, { ...session, overnight });
+        if (overnight && session.end_time.substring(0, 5) !== '00:00') {
+            addTo(addDays(dateKey, 1), { ...session, overnight, continued: true });
+        }
+    });
+
+    const dayOrder = (session) => session.continued ? '' : session.start_time;
+    Object.values(sessionsByDate).forEach(daySessions =>
+        daySessions.sort((a, b) => dayOrder(a).localeCompare(dayOrder(b)))
+    );
+    return sessionsByDate;
+}
+
+// The calendar filters in a query string. Unknown values are ignored rather
+// than rejected so a stale bookmark still opens the calendar.
+function calendarFilters(params) {
+    const uuid = (value) => UUID_PATTERN.test(value || '') ? value : null;
+    return {
+        property_id: uuid(params.property_id),
+        support_worker_id: uuid(params.support_worker_id),
+        resident_id: uuid(params.resident_id),
+        support_type: SUPPORT_TYPES.includes(params.support_type) ? params.support_type : null,
+        status: STATUSES.some(status => status.key === params.status) ? params.status : null
+    };
+}
+
+// Sessions from startDate to endDate matching the filters, starting a day
+// early so overnight sessions from the day before show on the first day.
+// worker_absent is set when any worker on the session is absent that day.
+async function getCalendarSessions(startDate, endDate, filters) {
+    const queryParams = [startDate, endDate];
+    const conditions = filterConditions(filters, queryParams);
+    const result = await query(
+        `SELECT s.*, 
+                ${RESIDENT_NAME_COLUMNS},
+                sw.first_name as worker_first_name, sw.last_name as worker_last_name,
+                p.name as property_name,
+                EXISTS (SELECT 1 FROM worker_absences a
+                        WHERE ${workerBookedSql('a.support_worker_id')}
+                          AND s.session_date BETWEEN a.start_date AND a.end_date) as worker_absent
+         FROM support_sessions s
+         LEFT JOIN residents r ON s.resident_id = r.id
+         JOIN support_workers sw ON s.support_worker_id = sw.id
+         JOIN properties p ON s.property_id = p.id
+         WHERE s.session_date BETWEEN $1::date - 1 AND $2
+           ${conditions.map(condition => `AND ${condition}`).join(' ')}
+         ORDER BY s.session_date, s.start_time`,
+        queryParams
+    );
+    return result.rows;
+}
+
+// The week's rota for the property or support worker in the query string,
+// from the weekly calendar's days with the calendar's other filters applied,
+// or null if neither is given
+async function loadRota(req) {
+    const filters = calendarFilters(req.query);
+    if (!filters.property_id && !filters.support_worker_id) {
+        return null;
+    }
+
+    const settings = await getCalendarSettings(req.session.user.id);
+    const weekStart = isDateKey(req.query.week) ? req.query.week : weekStartOf(today(), settings.week_start);
+    const weekEnd = addDays(weekStart, 6);
+
+    const owner = filters.property_id
+        ? await dbOps.getPropertyById(filters.property_id)
+        : await dbOps.getSupportWorkerById(filters.support_worker_id);
+    if (!owner) {
+        return null;
+    }
+
+    const sessions = await getCalendarSessions(weekStart, weekEnd, filters);
+    const absences = (await dbOps.getAbsencesInRange(weekStart, weekEnd))
+        .filter(absence => !filters.support_worker_id || absence.support_worker_id === filters.support_worker_id);
+    const closures = await getClosuresInRange(weekStart, weekEnd, filters.property_id);
+    const calendar = generateWeeklyCalendar(weekStart, sessions, absences, settings, closures);
+
+    return {
+        ownerType: filters.property_id ? 'property' : 'support_worker',
+        title: filters.property_id ? owner.name : `${owner.first_name} ${owner.last_name}`,
+        period: `${formatDay(weekStart)} - ${formatDay(weekEnd)}`,
+        weekStart,
+        previousWeek: addDays(weekStart, -7),
+        nextWeek: addDays(weekStart, 7),
+        filters,
+        days: calendar.days.map(day => ({
+            ...day,
+            heading: formatDay(day.fullDate, { weekday: 'long', day: 'numeric', month: 'short' }),
+            sessions: day.sessions.map(session => ({
+                ...session,
+                status_label: (STATUSES.find(status => status.key === session.status) || { label: session.status }).label
+            }))
+        }))
+    };
+}
+
+// The rota's property or worker and filters as a query string, without the week
+function rotaQuery(rota) {
+    return filterQuery(rota.filters, false).substring(1);
+}
+
+// SQL conditions on session s for the filters that are set, adding their
+// values to queryParams
+function filterConditions(filters, queryParams) {
+    const conditions = [];
+    const param = (value) => {
+        queryParams.push(value);
+        return `$${queryParams.length}`;
+    };
+
+    if (filters.property_id) {
+        conditions.push(`s.property_id = ${param(filters.property_id)}`);
+    }
+    if (filters.support_worker_id) {
+        conditions.push(workerBookedSql(param(filters.support_worker_id)));
+    }
+    if (filters.resident_id) {
+        conditions.push(residentBookedSql(param(filters.resident_id)));
+    }
+    if (filters.support_type) {
+        conditions.push(`s.support_type = ${param(filters.support_type)}`);
+    }
+    if (filters.status) {
+        conditions.push(`s.status = ${param(filters.status)}`);
+    }
+    return conditions;
+}
+
+// The filters and layout as '&name=value' pairs for calendar links
+function filterQuery(filters, showLanes) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([name, value]) => {
+        if (value) params.append(name, value);
+    });
+    if (showLanes) params.append('layout', 'lanes');
+    const queryString = params.toString();
+    return queryString ? `&${queryString}` : '';
+}
+
+// Workers given a lane: the filtered worker, or every active worker
+// specialised in the filtered support type
+function laneWorkers(supportWorkers, filters) {
+    return supportWorkers.filter(worker =>
+        (!filters.support_worker_id || worker.id === filters.support_worker_id) &&
+        (!filters.support_type || (worker.specializations || []).includes(filters.support_type))
+    );
+}
+
+// Add a lane per worker to a weekly or daily calendar. Weekly lanes are rows
+// with a cell per day; the daily view has a column per worker in each hour
+// row. Sessions with several workers show in each worker's lane.
+function addWorkerLanes(view, calendar, workers, absences) {
+    const onWorker = (workerId) => (session) =>
+        session.support_worker_id === workerId || (session.additional_worker_ids || []).includes(workerId);
+    const absenceOf = (workerId, dateKey) =>
+        absencesOn(absences, dateKey).find(absence => absence.support_worker_id === workerId);
+
+    if (view === 'weekly') {
+        calendar.lanes = workers.map(worker => ({
+            ...worker,
+            cells: calendar.days.map(day => ({
+                fullDate: day.fullDate,
+                sessions: day.sessions.filter(onWorker(worker.id)),
+                absence: absenceOf(worker.id, day.fullDate)
+            }))
+        }));
+        return;
+    }
+
+    const dateKey = calendar.date;
+    calendar.laneWorkers = workers.map(worker => ({ ...worker, absence: absenceOf(worker.id, dateKey) }));
+    calendar.laneRows = calendar.hours.map(hour => ({
+        time: hour.time,
+        cells: workers.map(worker => ({ sessions: hour.sessions.filter(onWorker(worker.id)) }))
+    }));
+}
+
+// Absences covering a 'YYYY-MM-DD' date
+function absencesOn(absences, dateKey) {
+    return absences
+        .filter(absence => absence.start_date <= dateKey && absence.end_date >= dateKey)
+        .map(absence => ({ ...absence, label: absenceLabel(absence.absence_type) }));
+}
+
 // Generate navigation links
 function generateNavigation(view, year, month, week, date) {
     const nav = { view };
@@ -273,24 +548,12 @@ function generateNavigation(view, year, month, week, date) {
         nav.next = { year: nextYear, month: nextMonth };
         nav.current = { year, month };
     } else if (view === 'weekly' && week) {
-        const weekDate = new Date(week);
-        const prevWeek = new Date(weekDate);
-        prevWeek.setDate(prevWeek.getDate() - 7);
-        const nextWeek = new Date(weekDate);
-        nextWeek.setDate(nextWeek.getDate() + 7);
-
-        nav.prev = { week: prevWeek.toISOString().split('T')[0] };
-        nav.next = { week: nextWeek.toISOString().split('T')[0] };
+        nav.prev = { week: addDays(week, -7) };
+        nav.next = { week: addDays(week, 7) };
         nav.current = { week };
     } else if (view === 'daily' && date) {
-        const currentDate = new Date(date);
-        const prevDay = new Date(currentDate);
-        prevDay.setDate(prevDay.getDate() - 1);
-        const nextDay = new Date(currentDate);
-        nextDay.setDate(nextDay.getDate() + 1);
-
-        nav.prev = { date: prevDay.toISOString().split('T')[0] };
-        nav.next = { date: nextDay.toISOString().split('T')[0] };
+        nav.prev = { date: addDays(date, -1) };
+        nav.next = { date: addDays(date, 1) };
         nav.current = { date };
     }
 
@@ -1,6 +1,10 @@
 const express = require('express');
 const { requireAuth } = require('../middleware/auth');
 const { dbOps } = require('../utils/database');
+const { today: todayKey, yearMonthOf, addDays, weekStartOf } = require('../utils/dates');
+const { getCalendarSettings } = require('../utils/calendar-settings');
+const { MONTH_NAMES, parseReportPeriod } = require('../utils/report-periods');
+const { SESSION_COLUMNS, reportSheets, sendExport, exportLinks } = require('../utils/report-export');
 
 const router = express.Router();
 
@@ -11,26 +15,18 @@ router.get('/', requireAuth, async (req, res) => {
         const stats = await dbOps.getDashboardStats();
         
         // Get today's sessions
-        const today = new Date().toISOString().split('T')[0];
+        const today = todayKey();
         const todaySessions = await dbOps.getSessionsByDateRange(today, today);
         
-        // Get this week's sessions
-        const startOfWeek = new Date();
-        startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
-        const endOfWeek = new Date(startOfWeek);
-        endOfWeek.setDate(endOfWeek.getDate() + 6);
+        // Get this week's sessions, in weeks as the user's calendar shows them
+        const { week_start: weekStart } = await getCalendarSettings(req.session.user.id);
+        const startOfWeek = weekStartOf(today, weekStart);
         
-        const weekSessions = await dbOps.getSessionsByDateRange(
-            startOfWeek.toISOString().split('T')[0],
-            endOfWeek.toISOString().split('T')[0]
-        );
+        const weekSessions = await dbOps.getSessionsByDateRange(startOfWeek, addDays(startOfWeek, 6));
         
         // Get monthly usage summary
-        const currentDate = new Date();
-        const monthlyUsage = await dbOps.getMonthlyUsageSummary(
-            currentDate.getFullYear(),
-            currentDate.getMonth() + 1
-        );
+        const currentMonth = yearMonthOf(today);
+        const monthlyUsage = await dbOps.getMonthlyUsageSummary(currentMonth.year, currentMonth.month);
         
         // Calculate some additional metrics
         const totalMonthlyHours = monthlyUsage.reduce((sum, resident) => sum + resident.monthly_support_hours, 0);
@@ -38,12 +34,7 @@ router.get('/', requireAuth, async (req, res) => {
         const utilizationRate = totalMonthlyHours > 0 ? (usedMonthlyHours / totalMonthlyHours * 100).toFixed(1) : 0;
         
         // Get recent activity (last 7 days)
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-        const recentSessions = await dbOps.getSessionsByDateRange(
-            sevenDaysAgo.toISOString().split('T')[0],
-            new Date().toISOString().split('T')[0]
-        );
+        const recentSessions = await dbOps.getSessionsByDateRange(addDays(today, -7), today);
         
         // Group sessions by support type for chart
         const sessionsByType = {};
@@ -91,7 +82,7 @@ router.get('/api/stats', requireAuth, async (req, res) => {
 // Today's sessions API endpoint
 router.get('/api/today-sessions', requireAuth, async (req, res) => {
     try {
-        const today = new Date().toISOString().split('T')[0];
+        const today = todayKey();
         const sessions = await dbOps.getSessionsByDateRange(today, today);
         res.json(sessions);
     } catch (error) {
@@ -103,18 +94,12 @@ router.get('/api/today-sessions', requireAuth, async (req, res) => {
 // Upcoming sessions for next 7 days
 router.get('/api/upcoming-sessions', requireAuth, async (req, res) => {
     try {
-        const today = new Date();
-        const nextWeek = new Date();
-        nextWeek.setDate(nextWeek.getDate() + 7);
-        
-        const sessions = await dbOps.getSessionsByDateRange(
-            today.toISOString().split('T')[0],
-            nextWeek.toISOString().split('T')[0]
-        );
+        const today = todayKey();
+        const sessions = await dbOps.getSessionsByDateRange(today, addDays(today, 7));
         
         // Filter only planned sessions
         const upcomingSessions = sessions.filter(session => 
-            session.status === 'planned' && new Date(session.session_date) >= today
+            session.status === 'planned' && session.session_date >= today
         );
         
         res.json(upcomingSessions);
@@ -127,45 +112,18 @@ router.get('/api/upcoming-sessions', requireAuth, async (req, res) => {
 // Monthly overview
 router.get('/monthly-overview', requireAuth, async (req, res) => {
     try {
-        const year = parseInt(req.query.year) || new Date().getFullYear();
-        const month = parseInt(req.query.month) || new Date().getMonth() + 1;
-        
-        const monthlyUsage = await dbOps.getMonthlyUsageSummary(year, month);
-        
-        // Get sessions for the month
-        const startOfMonth = new Date(year, month - 1, 1);
-        const endOfMonth = new Date(year, month, 0);
-        
-        const monthlySessions = await dbOps.getSessionsByDateRange(
-            startOfMonth.toISOString().split('T')[0],
-            endOfMonth.toISOString().split('T')[0]
-        );
-        
-        // Calculate statistics
-        const totalPlanned = monthlySessions.filter(s => s.status === 'planned').length;
-        const totalCompleted = monthlySessions.filter(s => s.status === 'completed').length;
-        const totalCancelled = monthlySessions.filter(s => s.status === 'cancelled').length;
-        const totalNoShow = monthlySessions.filter(s => s.status === 'no_show').length;
-        
-        const monthNames = [
-            'January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'
-        ];
-        
+        const period = parseReportPeriod({ period: 'month', year: req.query.year, month: req.query.month });
+        const { monthlyUsage, monthlySessions, stats } = await getMonthlyOverview(period);
+
         res.render('dashboard/monthly-overview', {
-            title: `Monthly Overview - ${monthNames[month - 1]} ${year}`,
-            monthlyUsage: monthlyUsage,
-            monthlySessions: monthlySessions,
-            stats: {
-                totalPlanned,
-                totalCompleted,
-                totalCancelled,
-                totalNoShow,
-                totalSessions: monthlySessions.length
-            },
-            currentMonth: month,
-            currentYear: year,
-            monthName: monthNames[month - 1]
+            title: `Monthly Overview - ${period.label}`,
+            monthlyUsage,
+            monthlySessions,
+            stats,
+            currentMonth: period.month,
+            currentYear: period.year,
+            monthName: MONTH_NAMES[period.month - 1],
+            exportLinks: exportLinks('/dashboard/monthly-overview/export', period.query)
         });
     } catch (error) {
         console.error('Monthly overview error:', error);
@@ -176,4 +134,125 @@ router.get('/monthly-overview', requireAuth, async (req, res) => {
     }
 });
 
+// Monthly overview as XLSX, PDF, JSON or CSV
+router.get('/monthly-overview/export', requireAuth, async (req, res) => {
+    try {
+        const period = parseReportPeriod({ period: 'month', year: req.query.year, month: req.query.month });
+        const { monthlyUsage, monthlySessions, stats } = await getMonthlyOverview(period);
+
+        sendExport(req, res, {
+            title: 'Monthly Overview',
+            period,
+            fileName: `monthly-overview-${period.fileLabel}`,
+            summary: [
+                { key: 'allocated_hours', label: 'Allocated Hours', type: 'decimal', value: stats.totalAllocatedHours },
+                { key: 'hours_used', label: 'Hours Used', type: 'decimal', value: stats.totalUsedHours },
+                { key: 'remaining_hours', label: 'Remaining Hours', type: 'decimal', value: stats.remainingHours },
+                { key: 'utilization_rate', label: 'Utilization Rate', type: 'percent', value: stats.utilizationRate },
+                { key: 'total_sessions', label: 'Sessions', type: 'integer', value: stats.totalSessions },
+                { key: 'completed_sessions', label: 'Completed', type: 'integer', value: stats.totalCompleted },
+                { key: 'cancelled_sessions', label: 'Cancelled', type: 'integer', value: stats.totalCancelled },
+                { key: 'no_show_sessions', label: 'No-shows', type: 'integer', value: stats.totalNoShow }
+            ],
+            sheets: reportSheets({
+                residents: { columns: RESIDENT_USAGE_COLUMNS, rows: monthlyUsage },
+                workers: {
+                    columns: [{ key: 'name', label: 'Support Worker' }, ...SESSION_TOTAL_COLUMNS],
+                    rows: sessionTotals(monthlySessions, 'support_worker_id',
+                        session => `${session.worker_first_name} ${session.worker_last_name}`)
+                },
+                properties: {
+                    columns: [{ key: 'name', label: 'Property' }, ...SESSION_TOTAL_COLUMNS],
+                    rows: sessionTotals(monthlySessions, 'property_id', session => session.property_name)
+                },
+                sessions: { columns: SESSION_COLUMNS, rows: monthlySessions }
+            })
+        });
+    } catch (error) {
+        console.error('Monthly overview export error:', error);
+        res.status(500).json({ error: 'Export failed' });
+    }
+});
+
+// Helper functions
+// Residents' usage and the sessions of a month, with the overview's totals
+async function getMonthlyOverview(period) {
+    const usage = await dbOps.getMonthlyUsageSummary(period.year, period.month);
+
+    // Get sessions for the month
+    const monthlySessions = await dbOps.getSessionsByDateRange(period.start, period.end);
+
+    const monthlyUsage = usage.map(resident => ({
+        ...resident,
+        hours_remaining: parseFloat(resident.remaining_hours).toFixed(1),
+        utilization_percentage: resident.monthly_support_hours > 0
+            ? ((resident.hours_used / resident.monthly_support_hours) * 100).toFixed(1)
+            : '0.0'
+    }));
+
+    // Calculate statistics
+    const allocated = usage.reduce((total, resident) => total + resident.monthly_support_hours, 0);
+    const used = usage.reduce((total, resident) => total + parseFloat(resident.hours_used), 0);
+    const completed = monthlySessions.filter(s => s.status === 'completed');
+    const stats = {
+        totalPlanned: monthlySessions.filter(s => s.status === 'planned').length,
+        totalCompleted: completed.length,
+        totalCancelled: monthlySessions.filter(s => s.status === 'cancelled').length,
+        totalNoShow: monthlySessions.filter(s => s.status === 'no_show').length,
+        totalSessions: monthlySessions.length,
+        totalAllocatedHours: allocated.toFixed(1),
+        totalUsedHours: used.toFixed(1),
+        remainingHours: (allocated - used).toFixed(1),
+        utilizationRate: allocated > 0 ? ((used / allocated) * 100).toFixed(1) : '0.0',
+        activeResidents: usage.length,
+        averageSessionDuration: completed.length > 0
+            ? (completed.reduce((total, s) => total + s.duration_minutes, 0) / completed.length / 60).toFixed(1)
+            : '0.0'
+    };
+
+    return { monthlyUsage, monthlySessions, stats };
+}
+
+// Sessions, their outcomes and completed hours, per worker or property
+function sessionTotals(sessions, idField, nameOf) {
+    const totals = new Map();
+    sessions.forEach(session => {
+        if (!totals.has(session[idField])) {
+            totals.set(session[idField], {
+                name: nameOf(session), total_sessions: 0, completed_sessions: 0,
+                cancelled_sessions: 0, no_show_sessions: 0, completed_minutes: 0
+            });
+        }
+        const entry = totals.get(session[idField]);
+        entry.total_sessions++;
+        if (session.status === 'completed') {
+            entry.completed_sessions++;
+            entry.completed_minutes += session.duration_minutes;
+        } else if (session.status === 'cancelled') {
+            entry.cancelled_sessions++;
+        } else if (session.status === 'no_show') {
+            entry.no_show_sessions++;
+        }
+    });
+    return [...totals.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Columns of the exported sheets
+const RESIDENT_USAGE_COLUMNS = [
+    { key: 'name', label: 'Resident Name', value: resident => `${resident.first_name} ${resident.last_name}` },
+    { key: 'property_name', label: 'Property' },
+    { key: 'monthly_support_hours', label: 'Allocated Hours', type: 'decimal' },
+    { key: 'hours_used', label: 'Hours Used', type: 'decimal' },
+    { key: 'remaining_hours', label: 'Remaining Hours', type: 'decimal' },
+    { key: 'utilization_percentage', label: 'Utilization Rate', type: 'percent' }
+];
+
+const SESSION_TOTAL_COLUMNS = [
+    { key: 'total_sessions', label: 'Sessions', type: 'integer' },
+    { key: 'completed_sessions', label: 'Completed', type: 'integer' },
+    { key: 'cancelled_sessions', label: 'Cancelled', type: 'integer' },
+    { key: 'no_show_sessions', label: 'No-shows', type: 'integer' },
+    { key: 'completed_hours', label: 'Completed Hours', type: 'decimal', value: entry => entry.completed_minutes / 60 }
+];
+
 module.exports = router;
\ No newline at end of file
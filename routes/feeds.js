@@ -0,0 +1,87 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/auth');
+const {
+    FEED_OWNERS,
+    isFeedOwner,
+    issueFeedToken,
+    revokeFeedToken,
+    buildFeed
+} = require('../utils/calendar-feeds');
+
+const router = express.Router();
+
+const TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Calendar subscription feed. Calendar apps cannot log in, so the token in
+// the URL is the only check.
+router.get('/:token.ics', async (req, res) => {
+    try {
+        const calendar = TOKEN_PATTERN.test(req.params.token)
+            ? await buildFeed(req.params.token, `${req.protocol}://${req.get('host')}`)
+            : null;
+        if (calendar === null) {
+            return res.status(404).type('text/plain').send('Calendar feed not found');
+        }
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="support-sessions.ics"');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(calendar);
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).type('text/plain').send('Unable to build calendar feed');
+    }
+});
+
+// Create a feed URL for a support worker, resident or property, replacing any
+// it already has
+router.post('/:ownerType/:ownerId/token', requireAdmin, async (req, res) => {
+    try {
+        if (!isFeedOwner(req.params.ownerType) || !UUID_PATTERN.test(req.params.ownerId)) {
+            return res.status(404).render('error', {
+                title: 'Calendar Feed',
+                message: 'Calendar feeds are only available for support workers, residents and properties'
+            });
+        }
+
+        const token = await issueFeedToken(req.params.ownerType, req.params.ownerId, req.session.user.id);
+        if (!token) {
+            return res.status(404).render('error', {
+                title: 'Calendar Feed',
+                message: `${FEED_OWNERS[req.params.ownerType].label} not found`
+            });
+        }
+
+        res.redirect(`${FEED_OWNERS[req.params.ownerType].path}/${req.params.ownerId}`);
+    } catch (error) {
+        console.error('Calendar feed token error:', error);
+        res.render('error', {
+            title: 'Calendar Feed',
+            message: 'An error occurred creating the calendar feed'
+        });
+    }
+});
+
+// Revoke a feed URL so calendar apps can no longer read it
+router.post('/:ownerType/:ownerId/revoke', requireAdmin, async (req, res) => {
+    try {
+        if (!isFeedOwner(req.params.ownerType) || !UUID_PATTERN.test(req.params.ownerId)) {
+            return res.status(404).render('error', {
+                title: 'Calendar Feed',
+                message: 'Calendar feeds are only available for support workers, residents and properties'
+            });
+        }
+
+        await revokeFeedToken(req.params.ownerType, req.params.ownerId);
+        res.redirect(`${FEED_OWNERS[req.params.ownerType].path}/${req.params.ownerId}`);
+    } catch (error) {
+        console.error('Calendar feed revoke error:', error);
+        res.render('error', {
+            title: 'Calendar Feed',
+            message: 'An error occurred revoking the calendar feed'
+        });
+    }
+});
+
+module.exports = router;
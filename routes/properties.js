@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { dbOps, query } = require('../utils/database');
+const { RESIDENT_NAME_COLUMNS } = require('../utils/group-sessions');
+const { getFeedUrl } = require('../utils/calendar-feeds');
+const { today: todayKey, yearMonthOf, monthStart, monthEnd } = require('../utils/dates');
 
 const router = express.Router();
 
@@ -56,26 +59,27 @@ router.get('/:id', requireAuth, async (req, res) => {
         const residents = await dbOps.getResidentsByProperty(property.id);
         
         // Get this month's sessions for this property
-        const currentDate = new Date();
-        const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-        const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+        const currentMonth = yearMonthOf(todayKey());
+        const startOfMonth = monthStart(currentMonth.year, currentMonth.month);
+        const endOfMonth = monthEnd(currentMonth.year, currentMonth.month);
         
         const monthlySessions = await query(
             `SELECT s.*, 
-                    r.first_name as resident_first_name, r.last_name as resident_last_name,
+                    ${RESIDENT_NAME_COLUMNS},
                     sw.first_name as worker_first_name, sw.last_name as worker_last_name
              FROM support_sessions s
-             JOIN residents r ON s.resident_id = r.id
+             LEFT JOIN residents r ON s.resident_id = r.id
              JOIN support_workers sw ON s.support_worker_id = sw.id
              WHERE s.property_id = $1 
                AND s.session_date BETWEEN $2 AND $3
              ORDER BY s.session_date DESC, s.start_time DESC`,
-            [property.id, startOfMonth.toISOString().split('T')[0], endOfMonth.toISOString().split('T')[0]]
+            [property.id, startOfMonth, endOfMonth]
         );
         
         res.render('properties/view', {
             title: `${property.name} - Properties`,
             property: property,
+            feedUrl: await getFeedUrl(req, 'property', property.id),
             residents: residents,
             monthlySessions: monthlySessions.rows,
             current_residents: residents.length,
@@ -96,7 +100,7 @@ router.post('/create', requireAdmin, [
     body('address').optional().trim(),
     body('max_capacity').isInt({ min: 1, max: 50 }),
     body('manager_name').optional().trim().isLength({ max: 255 }),
-    body('manager_email').optional().isEmail().normalizeEmail(),
+    body('manager_email').optional({ checkFalsy: true }).trim().isEmail(),
     body('manager_phone').optional().trim().isLength({ max: 50 })
 ], async (req, res) => {
     try {
@@ -161,7 +165,7 @@ router.post('/:id/edit', requireAdmin, [
     body('address').optional().trim(),
     body('max_capacity').isInt({ min: 1, max: 50 }),
     body('manager_name').optional().trim().isLength({ max: 255 }),
-    body('manager_email').optional().isEmail().normalizeEmail(),
+    body('manager_email').optional({ checkFalsy: true }).trim().isEmail(),
     body('manager_phone').optional().trim().isLength({ max: 50 })
 ], async (req, res) => {
     try {
@@ -244,9 +248,9 @@ router.get('/:id/stats', requireAuth, async (req, res) => {
         const residents = await dbOps.getResidentsByProperty(req.params.id);
         
         // Get this month's sessions
-        const currentDate = new Date();
-        const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-        const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+        const currentMonth = yearMonthOf(todayKey());
+        const startOfMonth = monthStart(currentMonth.year, currentMonth.month);
+        const endOfMonth = monthEnd(currentMonth.year, currentMonth.month);
         
         const monthlySessionsResult = await query(
             `SELECT 
@@ -255,11 +259,11 @@ router.get('/:id/stats', requireAuth, async (req, res) => {
                 SUM(CASE WHEN status = 'planned' THEN 1 ELSE 0 END) as planned_sessions,
                 SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_sessions,
                 SUM(CASE WHEN status = 'no_show' THEN 1 ELSE 0 END) as no_show_sessions,
-                SUM(CASE WHEN status = 'completed' THEN duration_minutes ELSE 0 END) / 60.0 as total_hours
+                SUM(CASE WHEN status = 'completed' THEN COALESCE(actual_minutes, duration_minutes) ELSE 0 END) / 60.0 as total_hours
              FROM support_sessions
              WHERE property_id = $1 
                AND session_date BETWEEN $2 AND $3`,
-            [req.params.id, startOfMonth.toISOString().split('T')[0], endOfMonth.toISOString().split('T')[0]]
+            [req.params.id, startOfMonth, endOfMonth]
         );
         
         const stats = {
@@ -1,30 +1,51 @@
 const express = require('express');
 const { requireAuth } = require('../middleware/auth');
 const { dbOps, query } = require('../utils/database');
+const {
+    overlapsPeriodSql,
+    minutesWithinSql,
+    workedMinutesSql,
+    clockDifferenceSql
+} = require('../utils/session-time');
+const { RESIDENT_NAME_COLUMNS } = require('../utils/group-sessions');
+const { SUPPORT_TYPE_LABELS, supportTypeColor } = require('../utils/scheduling');
+const {
+    PERIOD_TYPES, MONTH_NAMES, MAX_PERIOD_DAYS, parseReportPeriod, adjacentPeriods
+} = require('../utils/report-periods');
+const { SESSION_COLUMNS, reportSheets, sendExport, exportLinks } = require('../utils/report-export');
+const {
+    PERIOD_START,
+    PERIOD_END,
+    IN_PERIOD,
+    PERIOD_MINUTES,
+    getMonthlyUtilization,
+    getPropertyUtilization,
+    RESIDENT_COLUMNS,
+    PROPERTY_COLUMNS
+} = require('../utils/report-data');
 
 const router = express.Router();
 
 // Main reports dashboard
 router.get('/', requireAuth, async (req, res) => {
     try {
-        const currentDate = new Date();
-        const currentYear = currentDate.getFullYear();
-        const currentMonth = currentDate.getMonth() + 1;
+        const period = reportPeriod(req, res);
+        if (!period) return;
 
         // Get overview statistics
-        const overviewStats = await getOverviewStats();
+        const overviewStats = await getOverviewStats(period);
         
         // Get monthly utilization data
-        const monthlyUtilization = await getMonthlyUtilization(currentYear, currentMonth);
+        const monthlyUtilization = await getMonthlyUtilization(period);
         
         // Get support type distribution
-        const supportTypeStats = await getSupportTypeDistribution(currentYear, currentMonth);
+        const supportTypeStats = await getSupportTypeDistribution(period);
         
         // Get property utilization
-        const propertyStats = await getPropertyUtilization(currentYear, currentMonth);
+        const propertyStats = await getPropertyUtilization(period);
         
         // Get worker performance
-        const workerStats = await getWorkerPerformance(currentYear, currentMonth);
+        const workerStats = await getWorkerPerformance(period);
 
         res.render('reports/index', {
             title: 'Reports & Analytics - Support Hours Tracker',
@@ -33,8 +54,7 @@ router.get('/', requireAuth, async (req, res) => {
             supportTypeStats,
             propertyStats,
             workerStats,
-            currentYear,
-            currentMonth
+            ...periodLocals(req, period)
         });
     } catch (error) {
         console.error('Reports error:', error);
@@ -45,21 +65,20 @@ router.get('/', requireAuth, async (req, res) => {
     }
 });
 
-// Monthly summary report
+// Summary report for a month or any other period
 router.get('/monthly-summary', requireAuth, async (req, res) => {
     try {
-        const { year = new Date().getFullYear(), month = new Date().getMonth() + 1 } = req.query;
-        const reportYear = parseInt(year);
-        const reportMonth = parseInt(month);
+        const period = reportPeriod(req, res);
+        if (!period) return;
 
-        const monthlyData = await getDetailedMonthlyReport(reportYear, reportMonth);
+        const monthlyData = await getDetailedMonthlyReport(period);
         
         res.render('reports/monthly-summary', {
-            title: `Monthly Summary - ${getMonthName(reportMonth)} ${reportYear}`,
+            title: `Summary - ${period.label}`,
             reportData: monthlyData,
-            reportYear,
-            reportMonth,
-            monthName: getMonthName(reportMonth)
+            ...summaryLocals(monthlyData),
+            ...periodLocals(req, period),
+            exportLinks: exportLinks('/reports/export/monthly-summary', period.query)
         });
     } catch (error) {
         console.error('Monthly summary error:', error);
@@ -73,26 +92,25 @@ router.get('/monthly-summary', requireAuth, async (req, res) => {
 // Utilization report
 router.get('/utilization', requireAuth, async (req, res) => {
     try {
-        const { 
-            year = new Date().getFullYear(), 
-            month = new Date().getMonth() + 1,
-            property_id = null 
-        } = req.query;
-        
-        const reportYear = parseInt(year);
-        const reportMonth = parseInt(month);
+        const period = reportPeriod(req, res);
+        if (!period) return;
+        const { property_id = null } = req.query;
 
-        const utilizationData = await getUtilizationReport(reportYear, reportMonth, property_id);
-        const properties = await dbOps.getAllProperties();
+        const [utilizationData, residents, properties, workers] = await Promise.all([
+            getUtilizationReport(period, property_id),
+            getMonthlyUtilization(period),
+            getPropertyUtilization(period),
+            getWorkerPerformance(period)
+        ]);
 
         res.render('reports/utilization', {
-            title: `Utilization Report - ${getMonthName(reportMonth)} ${reportYear}`,
+            title: `Utilization Report - ${period.label}`,
             utilizationData,
-            properties,
+            properties: await dbOps.getAllProperties(),
             selectedProperty: property_id,
-            reportYear,
-            reportMonth,
-            monthName: getMonthName(reportMonth)
+            ...utilizationLocals(residents, properties, workers),
+            ...periodLocals(req, period),
+            exportLinks: exportLinks('/reports/export/utilization', period.query)
         });
     } catch (error) {
         console.error('Utilization report error:', error);
@@ -106,22 +124,20 @@ router.get('/utilization', requireAuth, async (req, res) => {
 // Support worker performance report
 router.get('/worker-performance', requireAuth, async (req, res) => {
     try {
-        const { 
-            year = new Date().getFullYear(), 
-            month = new Date().getMonth() + 1 
-        } = req.query;
-        
-        const reportYear = parseInt(year);
-        const reportMonth = parseInt(month);
+        const period = reportPeriod(req, res);
+        if (!period) return;
 
-        const performanceData = await getWorkerPerformanceDetail(reportYear, reportMonth);
+        const [performanceData, supportTypes] = await Promise.all([
+            getWorkerPerformanceDetail(period),
+            getSupportTypeDistribution(period)
+        ]);
 
         res.render('reports/worker-performance', {
-            title: `Worker Performance - ${getMonthName(reportMonth)} ${reportYear}`,
+            title: `Worker Performance - ${period.label}`,
             performanceData,
-            reportYear,
-            reportMonth,
-            monthName: getMonthName(reportMonth)
+            ...performanceLocals(performanceData, supportTypes),
+            ...periodLocals(req, period),
+            exportLinks: exportLinks('/reports/export/worker-performance', period.query)
         });
     } catch (error) {
         console.error('Worker performance error:', error);
@@ -132,23 +148,102 @@ router.get('/worker-performance', requireAuth, async (req, res) => {
     }
 });
 
-// Export endpoints
-router.get('/export/monthly-summary', requireAuth, async (req, res) => {
+// Planned versus delivered time report
+router.get('/delivery', requireAuth, async (req, res) => {
     try {
-        const { year = new Date().getFullYear(), month = new Date().getMonth() + 1, format = 'csv' } = req.query;
-        const reportYear = parseInt(year);
-        const reportMonth = parseInt(month);
+        const period = reportPeriod(req, res);
+        if (!period) return;
+
+        const [workerDelivery, sessions] = await Promise.all([
+            getWorkerDelivery(period),
+            getDeliveredSessions(period)
+        ]);
+
+        const totals = workerDelivery.reduce((sum, worker) => ({
+            planned: sum.planned + parseInt(worker.planned_minutes),
+            delivered: sum.delivered + parseInt(worker.delivered_minutes),
+            late: sum.late + parseInt(worker.late_arrivals),
+            early: sum.early + parseInt(worker.early_finishes)
+        }), { planned: 0, delivered: 0, late: 0, early: 0 });
+
+        res.render('reports/delivery', {
+            title: `Delivered Time - ${period.label}`,
+            workerDelivery,
+            sessions,
+            totals,
+            ...periodLocals(req, period)
+        });
+    } catch (error) {
+        console.error('Delivery report error:', error);
+        res.render('error', {
+            title: 'Delivery Report Error',
+            message: 'Unable to load delivered time report'
+        });
+    }
+});
 
-        const data = await getDetailedMonthlyReport(reportYear, reportMonth);
-        
-        if (format === 'csv') {
-            const csv = generateCSV(data);
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename="monthly-summary-${reportYear}-${reportMonth.toString().padStart(2, '0')}.csv"`);
-            res.send(csv);
-        } else {
-            res.status(400).json({ error: 'Unsupported format' });
+// Sessions whose stored duration disagrees with their times. Rows saved
+// before durations were derived from the times may have been mistyped.
+router.get('/duration-reconciliation', requireAuth, async (req, res) => {
+    try {
+        const mismatches = await getDurationMismatches();
+
+        res.render('reports/duration-reconciliation', {
+            title: 'Duration Reconciliation - Support Hours Tracker',
+            mismatches,
+            totalDifference: mismatches.reduce((sum, session) => sum + session.difference_minutes, 0)
+        });
+    } catch (error) {
+        console.error('Duration reconciliation error:', error);
+        res.render('error', {
+            title: 'Duration Reconciliation Error',
+            message: 'Unable to load duration reconciliation report'
+        });
+    }
+});
+
+// Make-up hours still owed to residents for sessions the provider cancelled,
+// grouped by property
+router.get('/makeup-hours', requireAuth, async (req, res) => {
+    try {
+        const properties = await getOutstandingMakeupHours();
+
+        res.render('reports/makeup-hours', {
+            title: 'Make-up Hours - Support Hours Tracker',
+            properties,
+            totalOwedHours: properties.reduce((sum, property) => sum + property.owed_minutes, 0) / 60,
+            totalResidents: properties.reduce((sum, property) => sum + property.residents.length, 0)
+        });
+    } catch (error) {
+        console.error('Make-up hours report error:', error);
+        res.render('error', {
+            title: 'Make-up Hours Error',
+            message: 'Unable to load make-up hours report'
+        });
+    }
+});
+
+// Export a report as XLSX, PDF, JSON or CSV, built from the same data as its
+// page
+router.get('/export/:report', requireAuth, async (req, res) => {
+    try {
+        const buildExport = REPORT_EXPORTS[req.params.report];
+        if (!buildExport) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        const period = parseReportPeriod(req.query);
+        if (!period) {
+            return res.status(400).json({ error: periodError() });
         }
+
+        const { title, summary, tables } = await buildExport(period);
+        sendExport(req, res, {
+            title,
+            period,
+            fileName: `${req.params.report}-${period.fileLabel}`,
+            summary,
+            sheets: reportSheets(tables)
+        });
     } catch (error) {
         console.error('Export error:', error);
         res.status(500).json({ error: 'Export failed' });
@@ -156,136 +251,76 @@ router.get('/export/monthly-summary', requireAuth, async (req, res) => {
 });
 
 // Helper functions
-async function getOverviewStats() {
+// Headline figures for the period, with allocated hours pro-rated to it
+async function getOverviewStats(period) {
     const result = await query(`
         SELECT 
             (SELECT COUNT(*) FROM residents WHERE is_active = true) as total_residents,
             (SELECT COUNT(*) FROM support_workers WHERE is_active = true) as total_workers,
             (SELECT COUNT(*) FROM properties WHERE is_active = true) as total_properties,
-            (SELECT COUNT(*) FROM support_sessions 
-             WHERE DATE_TRUNC('month', session_date) = DATE_TRUNC('month', CURRENT_DATE)) as sessions_this_month,
-            (SELECT COALESCE(SUM(duration_minutes), 0) / 60.0 
-             FROM support_sessions 
-             WHERE DATE_TRUNC('month', session_date) = DATE_TRUNC('month', CURRENT_DATE)
-             AND status = 'completed') as hours_this_month,
-            (SELECT COALESCE(SUM(monthly_support_hours), 0) FROM residents WHERE is_active = true) as total_allocated_hours
-    `);
+            (SELECT COUNT(*) FROM support_sessions s WHERE ${IN_PERIOD}) as sessions_in_period,
+            (SELECT COALESCE(SUM(${PERIOD_MINUTES}), 0) / 60.0 
+             FROM support_sessions s
+             WHERE ${overlapsPeriodSql('s', PERIOD_START, PERIOD_END)}
+             AND s.status = 'completed') as hours_in_period,
+            (SELECT COALESCE(SUM(monthly_support_hours), 0) FROM residents WHERE is_active = true) as monthly_allocated_hours
+    `, [period.start, period.end]);
     
     const stats = result.rows[0];
+    stats.total_allocated_hours = stats.monthly_allocated_hours * period.months;
     stats.utilization_rate = stats.total_allocated_hours > 0 
-        ? ((stats.hours_this_month / stats.total_allocated_hours) * 100).toFixed(1)
+        ? ((stats.hours_in_period / stats.total_allocated_hours) * 100).toFixed(1)
         : 0;
     
     return stats;
 }
 
-async function getMonthlyUtilization(year, month) {
-    const result = await query(`
-        SELECT 
-            r.id,
-            r.first_name,
-            r.last_name,
-            r.monthly_support_hours,
-            p.name as property_name,
-            COALESCE(SUM(CASE WHEN s.status = 'completed' THEN s.duration_minutes ELSE 0 END), 0) / 60.0 as hours_used,
-            COALESCE(SUM(CASE WHEN s.status = 'planned' THEN s.duration_minutes ELSE 0 END), 0) / 60.0 as hours_planned,
-            COALESCE(SUM(CASE WHEN s.status = 'cancelled' THEN s.duration_minutes ELSE 0 END), 0) / 60.0 as hours_cancelled,
-            COUNT(CASE WHEN s.status = 'completed' THEN 1 END) as completed_sessions,
-            COUNT(CASE WHEN s.status = 'no_show' THEN 1 END) as no_show_sessions
-        FROM residents r
-        LEFT JOIN properties p ON r.property_id = p.id
-        LEFT JOIN support_sessions s ON r.id = s.resident_id 
-            AND EXTRACT(YEAR FROM s.session_date) = $1
-            AND EXTRACT(MONTH FROM s.session_date) = $2
-        WHERE r.is_active = true
-        GROUP BY r.id, r.first_name, r.last_name, r.monthly_support_hours, p.name
-        ORDER BY r.last_name, r.first_name
-    `, [year, month]);
-
-    return result.rows.map(row => ({
-        ...row,
-        utilization_rate: row.monthly_support_hours > 0 
-            ? ((row.hours_used / row.monthly_support_hours) * 100).toFixed(1)
-            : 0,
-        remaining_hours: row.monthly_support_hours - row.hours_used
-    }));
-}
-
-async function getSupportTypeDistribution(year, month) {
+async function getSupportTypeDistribution(period) {
     const result = await query(`
         SELECT 
-            support_type,
-            COUNT(*) as session_count,
-            SUM(duration_minutes) / 60.0 as total_hours,
-            AVG(duration_minutes) as avg_duration,
-            COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_count,
-            COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_count,
-            COUNT(CASE WHEN status = 'no_show' THEN 1 END) as no_show_count
-        FROM support_sessions
-        WHERE EXTRACT(YEAR FROM session_date) = $1
-          AND EXTRACT(MONTH FROM session_date) = $2
-        GROUP BY support_type
+            s.support_type,
+            COUNT(CASE WHEN ${IN_PERIOD} THEN 1 END) as session_count,
+            SUM(${PERIOD_MINUTES}) / 60.0 as total_hours,
+            AVG(CASE WHEN ${IN_PERIOD} THEN s.duration_minutes END) as avg_duration,
+            COUNT(CASE WHEN s.status = 'completed' AND ${IN_PERIOD} THEN 1 END) as completed_count,
+            COUNT(CASE WHEN s.status = 'cancelled' AND ${IN_PERIOD} THEN 1 END) as cancelled_count,
+            COUNT(CASE WHEN s.status = 'no_show' AND ${IN_PERIOD} THEN 1 END) as no_show_count
+        FROM support_sessions s
+        WHERE ${overlapsPeriodSql('s', PERIOD_START, PERIOD_END)}
+        GROUP BY s.support_type
         ORDER BY total_hours DESC
-    `, [year, month]);
+    `, [period.start, period.end]);
 
     return result.rows;
 }
 
-async function getPropertyUtilization(year, month) {
-    const result = await query(`
-        SELECT 
-            p.id,
-            p.name,
-            p.max_capacity,
-            COUNT(DISTINCT r.id) as current_residents,
-            COUNT(s.id) as total_sessions,
-            SUM(CASE WHEN s.status = 'completed' THEN s.duration_minutes ELSE 0 END) / 60.0 as total_hours,
-            COUNT(CASE WHEN s.status = 'completed' THEN 1 END) as completed_sessions,
-            COUNT(CASE WHEN s.status = 'cancelled' THEN 1 END) as cancelled_sessions
-        FROM properties p
-        LEFT JOIN residents r ON p.id = r.property_id AND r.is_active = true
-        LEFT JOIN support_sessions s ON p.id = s.property_id 
-            AND EXTRACT(YEAR FROM s.session_date) = $1
-            AND EXTRACT(MONTH FROM s.session_date) = $2
-        WHERE p.is_active = true
-        GROUP BY p.id, p.name, p.max_capacity
-        ORDER BY total_hours DESC
-    `, [year, month]);
-
-    return result.rows.map(row => ({
-        ...row,
-        occupancy_rate: row.max_capacity > 0 
-            ? ((row.current_residents / row.max_capacity) * 100).toFixed(1)
-            : 0
-    }));
-}
-
-async function getWorkerPerformance(year, month) {
+async function getWorkerPerformance(period) {
     const result = await query(`
         SELECT 
             sw.id,
             sw.first_name,
             sw.last_name,
             sw.max_hours_per_month,
-            COUNT(s.id) as total_sessions,
-            SUM(CASE WHEN s.status = 'completed' THEN s.duration_minutes ELSE 0 END) / 60.0 as hours_worked,
-            COUNT(CASE WHEN s.status = 'completed' THEN 1 END) as completed_sessions,
-            COUNT(CASE WHEN s.status = 'cancelled' THEN 1 END) as cancelled_sessions,
-            COUNT(CASE WHEN s.status = 'no_show' THEN 1 END) as no_show_sessions,
-            AVG(CASE WHEN s.status = 'completed' THEN s.duration_minutes END) as avg_session_duration
+            COUNT(CASE WHEN ${IN_PERIOD} THEN s.id END) as total_sessions,
+            SUM(CASE WHEN s.status = 'completed' THEN ${PERIOD_MINUTES} ELSE 0 END) / 60.0 as hours_worked,
+            COUNT(CASE WHEN s.status = 'completed' AND ${IN_PERIOD} THEN 1 END) as completed_sessions,
+            COUNT(CASE WHEN s.status = 'cancelled' AND ${IN_PERIOD} THEN 1 END) as cancelled_sessions,
+            COUNT(CASE WHEN s.status = 'no_show' AND ${IN_PERIOD} THEN 1 END) as no_show_sessions,
+            AVG(CASE WHEN s.status = 'completed' AND ${IN_PERIOD} THEN s.duration_minutes END) as avg_session_duration
         FROM support_workers sw
-        LEFT JOIN support_sessions s ON sw.id = s.support_worker_id 
-            AND EXTRACT(YEAR FROM s.session_date) = $1
-            AND EXTRACT(MONTH FROM s.session_date) = $2
+        LEFT JOIN (session_staff st
+            JOIN support_sessions s ON s.id = st.session_id
+                AND ${overlapsPeriodSql('s', PERIOD_START, PERIOD_END)}) ON st.support_worker_id = sw.id
         WHERE sw.is_active = true
         GROUP BY sw.id, sw.first_name, sw.last_name, sw.max_hours_per_month
         ORDER BY hours_worked DESC
-    `, [year, month]);
+    `, [period.start, period.end]);
 
     return result.rows.map(row => ({
         ...row,
+        capacity_hours: row.max_hours_per_month * period.months,
         utilization_rate: row.max_hours_per_month > 0 
-            ? ((row.hours_worked / row.max_hours_per_month) * 100).toFixed(1)
+            ? ((row.hours_worked / (row.max_hours_per_month * period.months)) * 100).toFixed(1)
             : 0,
         completion_rate: row.total_sessions > 0 
             ? ((row.completed_sessions / row.total_sessions) * 100).toFixed(1)
@@ -293,31 +328,21 @@ async function getWorkerPerformance(year, month) {
     }));
 }
 
-async function getDetailedMonthlyReport(year, month) {
+async function getDetailedMonthlyReport(period) {
     const [
         summary,
         residents,
         workers,
         properties,
+        supportTypes,
         sessions
     ] = await Promise.all([
-        getOverviewStats(),
-        getMonthlyUtilization(year, month),
-        getWorkerPerformance(year, month),
-        getPropertyUtilization(year, month),
-        query(`
-            SELECT s.*, 
-                   r.first_name as resident_first_name, r.last_name as resident_last_name,
-                   sw.first_name as worker_first_name, sw.last_name as worker_last_name,
-                   p.name as property_name
-            FROM support_sessions s
-            JOIN residents r ON s.resident_id = r.id
-            JOIN support_workers sw ON s.support_worker_id = sw.id
-            JOIN properties p ON s.property_id = p.id
-            WHERE EXTRACT(YEAR FROM s.session_date) = $1
-              AND EXTRACT(MONTH FROM s.session_date) = $2
-            ORDER BY s.session_date, s.start_time
-        `, [year, month])
+        getOverviewStats(period),
+        getMonthlyUtilization(period),
+        getWorkerPerformance(period),
+        getPropertyUtilization(period),
+        getSupportTypeDistribution(period),
+        getPeriodSessions(period)
     ]);
 
     return {
@@ -325,13 +350,36 @@ async function getDetailedMonthlyReport(year, month) {
         residents,
         workers,
         properties,
-        sessions: sessions.rows
+        supportTypes,
+        sessions
     };
 }
 
-async function getUtilizationReport(year, month, propertyId) {
-    let whereClause = `WHERE EXTRACT(YEAR FROM s.session_date) = $1 AND EXTRACT(MONTH FROM s.session_date) = $2`;
-    let params = [year, month];
+// Sessions starting in the period with their resident, worker and property
+async function getPeriodSessions(period) {
+    const result = await query(`
+        SELECT s.*, 
+               ${RESIDENT_NAME_COLUMNS},
+               sw.first_name as worker_first_name, sw.last_name as worker_last_name,
+               p.name as property_name
+        FROM support_sessions s
+        LEFT JOIN residents r ON s.resident_id = r.id
+        JOIN support_workers sw ON s.support_worker_id = sw.id
+        JOIN properties p ON s.property_id = p.id
+        WHERE ${IN_PERIOD}
+        ORDER BY s.session_date, s.start_time
+    `, [period.start, period.end]);
+
+    return result.rows;
+}
+
+// Daily totals for the period. Each session is paired with the day it starts
+// and the day after, so overnight hours land on the day they were worked.
+async function getUtilizationReport(period, propertyId) {
+    const dayMinutes = minutesWithinSql('s', 'd.day', 'd.day + 1');
+    const startsOnDay = 'd.day = s.session_date';
+    let whereClause = `WHERE d.day >= ${PERIOD_START} AND d.day < ${PERIOD_END} AND ${dayMinutes} > 0`;
+    const params = [period.start, period.end];
     
     if (propertyId) {
         whereClause += ` AND p.id = $3`;
@@ -340,25 +388,26 @@ async function getUtilizationReport(year, month, propertyId) {
 
     const result = await query(`
         SELECT 
-            DATE(s.session_date) as session_date,
-            COUNT(*) as total_sessions,
-            SUM(s.duration_minutes) / 60.0 as total_hours,
-            COUNT(CASE WHEN s.status = 'completed' THEN 1 END) as completed_sessions,
-            COUNT(CASE WHEN s.status = 'cancelled' THEN 1 END) as cancelled_sessions,
-            COUNT(CASE WHEN s.status = 'no_show' THEN 1 END) as no_show_sessions,
+            d.day as session_date,
+            COUNT(CASE WHEN ${startsOnDay} THEN 1 END) as total_sessions,
+            SUM(${dayMinutes}) / 60.0 as total_hours,
+            COUNT(CASE WHEN s.status = 'completed' AND ${startsOnDay} THEN 1 END) as completed_sessions,
+            COUNT(CASE WHEN s.status = 'cancelled' AND ${startsOnDay} THEN 1 END) as cancelled_sessions,
+            COUNT(CASE WHEN s.status = 'no_show' AND ${startsOnDay} THEN 1 END) as no_show_sessions,
             COUNT(DISTINCT s.resident_id) as unique_residents,
             COUNT(DISTINCT s.support_worker_id) as unique_workers
         FROM support_sessions s
         JOIN properties p ON s.property_id = p.id
+        CROSS JOIN LATERAL (VALUES (s.session_date), (s.session_date + 1)) AS d(day)
         ${whereClause}
-        GROUP BY DATE(s.session_date)
+        GROUP BY d.day
         ORDER BY session_date
     `, params);
 
     return result.rows;
 }
 
-async function getWorkerPerformanceDetail(year, month) {
+async function getWorkerPerformanceDetail(period) {
     const result = await query(`
         SELECT 
             sw.id,
@@ -366,28 +415,29 @@ async function getWorkerPerformanceDetail(year, month) {
             sw.last_name,
             sw.max_hours_per_month,
             sw.specializations,
-            COUNT(s.id) as total_sessions,
-            SUM(CASE WHEN s.status = 'completed' THEN s.duration_minutes ELSE 0 END) / 60.0 as hours_worked,
-            COUNT(CASE WHEN s.status = 'completed' THEN 1 END) as completed_sessions,
-            COUNT(CASE WHEN s.status = 'cancelled' THEN 1 END) as cancelled_sessions,
-            COUNT(CASE WHEN s.status = 'no_show' THEN 1 END) as no_show_sessions,
+            COUNT(CASE WHEN ${IN_PERIOD} THEN s.id END) as total_sessions,
+            SUM(CASE WHEN s.status = 'completed' THEN ${PERIOD_MINUTES} ELSE 0 END) / 60.0 as hours_worked,
+            COUNT(CASE WHEN s.status = 'completed' AND ${IN_PERIOD} THEN 1 END) as completed_sessions,
+            COUNT(CASE WHEN s.status = 'cancelled' AND ${IN_PERIOD} THEN 1 END) as cancelled_sessions,
+            COUNT(CASE WHEN s.status = 'no_show' AND ${IN_PERIOD} THEN 1 END) as no_show_sessions,
             COUNT(DISTINCT s.resident_id) as unique_residents,
-            COUNT(DISTINCT DATE(s.session_date)) as working_days,
-            AVG(CASE WHEN s.status = 'completed' THEN s.duration_minutes END) as avg_session_duration,
+            COUNT(DISTINCT CASE WHEN ${IN_PERIOD} THEN s.session_date END) as working_days,
+            AVG(CASE WHEN s.status = 'completed' AND ${IN_PERIOD} THEN s.duration_minutes END) as avg_session_duration,
             STRING_AGG(DISTINCT s.support_type, ', ') as support_types_delivered
         FROM support_workers sw
-        LEFT JOIN support_sessions s ON sw.id = s.support_worker_id 
-            AND EXTRACT(YEAR FROM s.session_date) = $1
-            AND EXTRACT(MONTH FROM s.session_date) = $2
+        LEFT JOIN (session_staff st
+            JOIN support_sessions s ON s.id = st.session_id
+                AND ${overlapsPeriodSql('s', PERIOD_START, PERIOD_END)}) ON st.support_worker_id = sw.id
         WHERE sw.is_active = true
         GROUP BY sw.id, sw.first_name, sw.last_name, sw.max_hours_per_month, sw.specializations
         ORDER BY hours_worked DESC
-    `, [year, month]);
+    `, [period.start, period.end]);
 
     return result.rows.map(row => ({
         ...row,
+        capacity_hours: row.max_hours_per_month * period.months,
         utilization_rate: row.max_hours_per_month > 0 
-            ? ((row.hours_worked / row.max_hours_per_month) * 100).toFixed(1)
+            ? ((row.hours_worked / (row.max_hours_per_month * period.months)) * 100).toFixed(1)
             : 0,
         completion_rate: row.total_sessions > 0 
             ? ((row.completed_sessions / row.total_sessions) * 100).toFixed(1)
@@ -398,27 +448,371 @@ async function getWorkerPerformanceDetail(year, month) {
     }));
 }
 
-function generateCSV(data) {
-    // Simple CSV generation for resident utilization
-    const headers = ['Resident Name', 'Property', 'Allocated Hours', 'Hours Used', 'Utilization Rate', 'Remaining Hours'];
-    const rows = data.residents.map(resident => [
-        `${resident.first_name} ${resident.last_name}`,
-        resident.property_name || '',
-        resident.monthly_support_hours,
-        resident.hours_used.toFixed(1),
-        `${resident.utilization_rate}%`,
-        resident.remaining_hours.toFixed(1)
-    ]);
-    
-    return [headers, ...rows].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+// Lateness runs from the planned start to check-in and early finishes from
+// check-out to the planned end, in minutes. Negative values mean an early
+// arrival or a late finish.
+const LATE_MINUTES = clockDifferenceSql('s.actual_start_time', 's.start_time');
+const EARLY_FINISH_MINUTES = clockDifferenceSql('s.end_time', 's.actual_end_time');
+
+// Planned and delivered minutes per worker for sessions checked out in the period
+async function getWorkerDelivery(period) {
+    const result = await query(`
+        SELECT 
+            sw.id,
+            sw.first_name,
+            sw.last_name,
+            COUNT(s.id) as checked_out_sessions,
+            SUM(s.duration_minutes) as planned_minutes,
+            SUM(s.actual_minutes) as delivered_minutes,
+            COUNT(CASE WHEN ${LATE_MINUTES} > 0 THEN 1 END) as late_arrivals,
+            SUM(GREATEST(${LATE_MINUTES}, 0)) as late_minutes,
+            COUNT(CASE WHEN ${EARLY_FINISH_MINUTES} > 0 THEN 1 END) as early_finishes,
+            SUM(GREATEST(${EARLY_FINISH_MINUTES}, 0)) as early_finish_minutes
+        FROM support_workers sw
+        JOIN session_staff st ON st.support_worker_id = sw.id
+        JOIN support_sessions s ON s.id = st.session_id
+            AND ${IN_PERIOD}
+            AND s.actual_minutes IS NOT NULL
+        GROUP BY sw.id, sw.first_name, sw.last_name
+        ORDER BY sw.last_name, sw.first_name
+    `, [period.start, period.end]);
+
+    return result.rows.map(row => ({
+        ...row,
+        difference_minutes: row.delivered_minutes - row.planned_minutes,
+        delivery_rate: row.planned_minutes > 0
+            ? ((row.delivered_minutes / row.planned_minutes) * 100).toFixed(1)
+            : 0
+    }));
+}
+
+// Checked-out sessions in the period with their planned and actual times
+async function getDeliveredSessions(period) {
+    const result = await query(`
+        SELECT s.id, s.session_date, s.start_time, s.end_time,
+               s.actual_start_time, s.actual_end_time,
+               s.duration_minutes, s.actual_minutes,
+               s.actual_minutes - s.duration_minutes as difference_minutes,
+               ${LATE_MINUTES} as late_minutes,
+               ${EARLY_FINISH_MINUTES} as early_finish_minutes,
+               ${RESIDENT_NAME_COLUMNS},
+               sw.first_name as worker_first_name, sw.last_name as worker_last_name
+        FROM support_sessions s
+        LEFT JOIN residents r ON s.resident_id = r.id
+        JOIN support_workers sw ON s.support_worker_id = sw.id
+        WHERE ${IN_PERIOD}
+            AND s.actual_minutes IS NOT NULL
+        ORDER BY s.session_date, s.start_time
+    `, [period.start, period.end]);
+
+    return result.rows;
+}
+
+// Sessions without a billable minutes override whose duration_minutes differs
+// from the worked minutes implied by their times and break
+async function getDurationMismatches() {
+    const result = await query(`
+        SELECT * FROM (
+            SELECT s.id, s.session_date, s.start_time, s.end_time, s.break_minutes,
+                   s.duration_minutes, s.status,
+                   ${workedMinutesSql('s')} as expected_minutes,
+                   ${RESIDENT_NAME_COLUMNS},
+                   sw.first_name as worker_first_name, sw.last_name as worker_last_name
+            FROM support_sessions s
+            LEFT JOIN residents r ON s.resident_id = r.id
+            JOIN support_workers sw ON s.support_worker_id = sw.id
+            WHERE s.duration_override_reason IS NULL
+        ) sessions
+        WHERE duration_minutes <> expected_minutes
+        ORDER BY session_date, start_time
+    `);
+
+    return result.rows.map(row => ({
+        ...row,
+        difference_minutes: row.duration_minutes - row.expected_minutes
+    }));
+}
+
+// Residents with owed make-up hours outstanding, under their properties
+async function getOutstandingMakeupHours() {
+    const result = await query(`
+        SELECT r.id, r.first_name, r.last_name, p.id as property_id, p.name as property_name,
+               SUM(l.minutes)::int as owed_minutes,
+               COUNT(DISTINCT l.source_session_id)::int as cancelled_sessions,
+               MIN(src.session_date) as oldest_session_date
+        FROM owed_hours_ledger l
+        JOIN residents r ON l.resident_id = r.id
+        LEFT JOIN properties p ON r.property_id = p.id
+        JOIN support_sessions src ON l.source_session_id = src.id
+        GROUP BY r.id, r.first_name, r.last_name, p.id, p.name
+        HAVING SUM(l.minutes) > 0
+        ORDER BY p.name, r.last_name, r.first_name
+    `);
+
+    const properties = [];
+    result.rows.forEach(row => {
+        let property = properties.find(entry => entry.id === row.property_id);
+        if (!property) {
+            property = { id: row.property_id, name: row.property_name || 'No property', owed_minutes: 0, residents: [] };
+            properties.push(property);
+        }
+        property.owed_minutes += row.owed_minutes;
+        property.residents.push({ ...row, owed_hours: (row.owed_minutes / 60).toFixed(1) });
+    });
+
+    return properties.map(property => ({ ...property, owed_hours: (property.owed_minutes / 60).toFixed(1) }));
+}
+
+const periodError = () =>
+    `Choose a start date and an end date on or after it, covering at most ${MAX_PERIOD_DAYS} days`;
+
+// The report period in the query string, or null after rendering an error
+// page when its dates are invalid
+function reportPeriod(req, res) {
+    const period = parseReportPeriod(req.query);
+    if (!period) {
+        res.status(400).render('error', {
+            title: 'Report Period Error',
+            message: periodError()
+        });
+    }
+    return period;
+}
+
+// Locals for the period picker, which reloads the report at its own path
+function periodLocals(req, period) {
+    const { previous, next } = adjacentPeriods(period);
+    return {
+        period,
+        periodTypes: PERIOD_TYPES,
+        monthOptions: MONTH_NAMES.map((name, index) => ({ value: index + 1, name })),
+        periodPath: req.baseUrl + req.path,
+        previousPeriod: previous,
+        nextPeriod: next
+    };
+}
+
+// Share of the total as a percentage to one decimal place
+const percentage = (part, total) => total > 0 ? ((part / total) * 100).toFixed(1) : '0.0';
+
+const sum = (rows, field) => rows.reduce((total, row) => total + (parseFloat(row[field]) || 0), 0);
+
+// Hours per support type, for the support type charts
+const supportTypeBreakdown = (supportTypes) => supportTypes.map(type => ({
+    label: SUPPORT_TYPE_LABELS[type.support_type] || type.support_type,
+    color: supportTypeColor(type.support_type),
+    hours: parseFloat(type.total_hours || 0).toFixed(1)
+}));
+
+// Totals and tables shown on the summary report
+function summaryLocals(data) {
+    const allocated = sum(data.residents, 'allocated_hours');
+    return {
+        totalAllocatedHours: allocated.toFixed(1),
+        totalHoursDelivered: sum(data.residents, 'hours_delivered').toFixed(1),
+        utilizationRate: percentage(sum(data.residents, 'hours_used'), allocated),
+        totalSessions: data.sessions.length,
+        residentSummary: data.residents.map(resident => ({
+            ...resident,
+            utilization_percentage: resident.utilization_rate
+        })),
+        propertyStats: data.properties.map(property => ({
+            ...property,
+            resident_count: property.current_residents
+        })),
+        workerStats: data.workers.map(worker => ({
+            ...worker,
+            total_hours: worker.hours_worked,
+            utilization_percentage: worker.utilization_rate
+        })),
+        supportTypeBreakdown: supportTypeBreakdown(data.supportTypes)
+    };
+}
+
+// Residents, properties and workers by utilization for the utilization
+// report. A property's utilization is the average of its residents'.
+function utilizationLocals(residents, properties, workers) {
+    const rates = residents.map(resident => parseFloat(resident.utilization_rate));
+    return {
+        overallUtilization: percentage(sum(residents, 'hours_used'), sum(residents, 'allocated_hours')),
+        highUtilizationCount: rates.filter(rate => rate > 80).length,
+        goodUtilizationCount: rates.filter(rate => rate >= 60 && rate <= 80).length,
+        moderateUtilizationCount: rates.filter(rate => rate >= 40 && rate < 60).length,
+        lowUtilizationCount: rates.filter(rate => rate < 40).length,
+        residentUtilization: residents.map(resident => ({
+            ...resident,
+            utilization_percentage: resident.utilization_rate
+        })),
+        propertyUtilization: properties.map(property => {
+            const propertyRates = residents
+                .filter(resident => resident.property_id === property.id)
+                .map(resident => parseFloat(resident.utilization_rate));
+            return {
+                ...property,
+                occupancy_percentage: property.occupancy_rate,
+                average_utilization: propertyRates.length > 0
+                    ? (propertyRates.reduce((total, rate) => total + rate, 0) / propertyRates.length).toFixed(1)
+                    : '0.0'
+            };
+        }),
+        workerUtilization: workers.map(worker => ({
+            ...worker,
+            utilization_percentage: worker.utilization_rate
+        }))
+    };
 }
 
-function getMonthName(month) {
-    const months = [
-        'January', 'February', 'March', 'April', 'May', 'June',
-        'July', 'August', 'September', 'October', 'November', 'December'
-    ];
-    return months[month - 1];
+// Workers' figures for the performance report. A worker's performance score
+// is the share of their sessions in the period that were completed.
+function performanceLocals(workers, supportTypes) {
+    const rows = workers.map(worker => ({
+        ...worker,
+        utilization_percentage: worker.utilization_rate,
+        performance_score: parseFloat(worker.completion_rate),
+        average_session_duration: (parseFloat(worker.avg_session_duration || 0) / 60).toFixed(1),
+        specializations: (worker.specializations || []).map(type => ({
+            label: SUPPORT_TYPE_LABELS[type] || type,
+            color: supportTypeColor(type)
+        }))
+    }));
+    const scores = rows.map(worker => worker.performance_score);
+    const utilizations = rows.map(worker => parseFloat(worker.utilization_rate));
+    return {
+        workerPerformance: rows,
+        activeWorkerCount: rows.length,
+        totalHoursWorked: sum(rows, 'hours_worked').toFixed(1),
+        averageUtilization: rows.length > 0
+            ? (utilizations.reduce((total, rate) => total + rate, 0) / rows.length).toFixed(1)
+            : '0.0',
+        totalSessions: sum(rows, 'total_sessions'),
+        topPerformers: [...rows]
+            .filter(worker => worker.total_sessions > 0)
+            .sort((a, b) => b.performance_score - a.performance_score)
+            .slice(0, 5),
+        excellentPerformers: scores.filter(score => score > 85).length,
+        goodPerformers: scores.filter(score => score > 70 && score <= 85).length,
+        averagePerformers: scores.filter(score => score > 50 && score <= 70).length,
+        poorPerformers: scores.filter(score => score <= 50).length,
+        overutilizedCount: utilizations.filter(rate => rate > 85).length,
+        underutilizedCount: utilizations.filter(rate => rate < 40).length,
+        optimalUtilizationCount: utilizations.filter(rate => rate >= 40 && rate <= 85).length,
+        availableCapacity: Math.max(sum(rows, 'capacity_hours') - sum(rows, 'hours_worked'), 0).toFixed(1),
+        specializationBreakdown: supportTypeBreakdown(supportTypes)
+    };
 }
 
+// Columns of the exported sheets
+const WORKER_COLUMNS = [
+    { key: 'name', label: 'Support Worker', value: worker => `${worker.first_name} ${worker.last_name}` },
+    { key: 'capacity_hours', label: 'Capacity Hours', type: 'decimal' },
+    { key: 'hours_worked', label: 'Hours Worked', type: 'decimal' },
+    { key: 'utilization_rate', label: 'Utilization Rate', type: 'percent' },
+    { key: 'total_sessions', label: 'Sessions', type: 'integer' },
+    { key: 'completed_sessions', label: 'Completed', type: 'integer' },
+    { key: 'cancelled_sessions', label: 'Cancelled', type: 'integer' },
+    { key: 'no_show_sessions', label: 'No-shows', type: 'integer' },
+    { key: 'completion_rate', label: 'Completion Rate', type: 'percent' },
+    {
+        key: 'average_session_hours',
+        label: 'Average Session Hours',
+        type: 'decimal',
+        value: worker => worker.avg_session_duration === null ? null : worker.avg_session_duration / 60
+    }
+];
+
+const WORKER_DETAIL_COLUMNS = [
+    ...WORKER_COLUMNS,
+    { key: 'unique_residents', label: 'Residents Supported', type: 'integer' },
+    { key: 'working_days', label: 'Working Days', type: 'integer' },
+    { key: 'avg_hours_per_day', label: 'Hours per Working Day', type: 'decimal' },
+    {
+        key: 'support_types_delivered',
+        label: 'Support Types Delivered',
+        value: worker => (worker.support_types_delivered || '').split(', ').filter(Boolean)
+            .map(type => SUPPORT_TYPE_LABELS[type] || type).join(', ')
+    }
+];
+
+// Each exportable report's title, headline figures and tables for a period
+const REPORT_EXPORTS = {
+    async 'monthly-summary'(period) {
+        const data = await getDetailedMonthlyReport(period);
+        const totals = summaryLocals(data);
+        return {
+            title: 'Summary Report',
+            summary: [
+                { key: 'allocated_hours', label: 'Allocated Hours', type: 'decimal', value: totals.totalAllocatedHours },
+                { key: 'hours_delivered', label: 'Hours Delivered', type: 'decimal', value: totals.totalHoursDelivered },
+                { key: 'utilization_rate', label: 'Utilization Rate', type: 'percent', value: totals.utilizationRate },
+                { key: 'total_sessions', label: 'Sessions', type: 'integer', value: totals.totalSessions }
+            ],
+            tables: {
+                residents: { columns: RESIDENT_COLUMNS, rows: data.residents },
+                workers: { columns: WORKER_COLUMNS, rows: data.workers },
+                properties: { columns: PROPERTY_COLUMNS, rows: data.properties },
+                sessions: { columns: SESSION_COLUMNS, rows: data.sessions }
+            }
+        };
+    },
+
+    async utilization(period) {
+        const [residents, properties, workers, sessions] = await Promise.all([
+            getMonthlyUtilization(period),
+            getPropertyUtilization(period),
+            getWorkerPerformance(period),
+            getPeriodSessions(period)
+        ]);
+        const totals = utilizationLocals(residents, properties, workers);
+        return {
+            title: 'Utilization Report',
+            summary: [
+                { key: 'overall_utilization', label: 'Overall Utilization', type: 'percent', value: totals.overallUtilization },
+                { key: 'high_utilization', label: 'High Utilization (over 80%)', type: 'integer', value: totals.highUtilizationCount },
+                { key: 'good_utilization', label: 'Good Utilization (60-80%)', type: 'integer', value: totals.goodUtilizationCount },
+                { key: 'moderate_utilization', label: 'Moderate Utilization (40-60%)', type: 'integer', value: totals.moderateUtilizationCount },
+                { key: 'low_utilization', label: 'Low Utilization (under 40%)', type: 'integer', value: totals.lowUtilizationCount }
+            ],
+            tables: {
+                residents: { columns: RESIDENT_COLUMNS, rows: residents },
+                workers: { columns: WORKER_COLUMNS, rows: workers },
+                properties: {
+                    columns: [
+                        ...PROPERTY_COLUMNS,
+                        { key: 'average_utilization', label: 'Average Resident Utilization', type: 'percent' }
+                    ],
+                    rows: totals.propertyUtilization
+                },
+                sessions: { columns: SESSION_COLUMNS, rows: sessions }
+            }
+        };
+    },
+
+    async 'worker-performance'(period) {
+        const [workers, supportTypes, residents, properties, sessions] = await Promise.all([
+            getWorkerPerformanceDetail(period),
+            getSupportTypeDistribution(period),
+            getMonthlyUtilization(period),
+            getPropertyUtilization(period),
+            getPeriodSessions(period)
+        ]);
+        const totals = performanceLocals(workers, supportTypes);
+        return {
+            title: 'Worker Performance Report',
+            summary: [
+                { key: 'active_workers', label: 'Active Workers', type: 'integer', value: totals.activeWorkerCount },
+                { key: 'hours_worked', label: 'Hours Worked', type: 'decimal', value: totals.totalHoursWorked },
+                { key: 'average_utilization', label: 'Average Utilization', type: 'percent', value: totals.averageUtilization },
+                { key: 'total_sessions', label: 'Sessions', type: 'integer', value: totals.totalSessions },
+                { key: 'available_capacity', label: 'Available Capacity Hours', type: 'decimal', value: totals.availableCapacity }
+            ],
+            tables: {
+                residents: { columns: RESIDENT_COLUMNS, rows: residents },
+                workers: { columns: WORKER_DETAIL_COLUMNS, rows: workers },
+                properties: { columns: PROPERTY_COLUMNS, rows: properties },
+                sessions: { columns: SESSION_COLUMNS, rows: sessions }
+            }
+        };
+    }
+};
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { dbOps, query } = require('../utils/database');
+const { cancelledByLabel, cancellationReasonLabel } = require('../utils/cancellations');
+const { getOutstandingOwedHours, getResidentLedger } = require('../utils/owed-hours');
+const { getFeedUrl } = require('../utils/calendar-feeds');
+const { today: todayKey, yearMonthOf, monthStart, monthEnd } = require('../utils/dates');
 
 const router = express.Router();
 
@@ -115,34 +119,41 @@ router.get('/:id', requireAuth, async (req, res) => {
         }
         
         // Get resident's sessions for current month
-        const currentDate = new Date();
-        const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-        const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+        const currentMonth = yearMonthOf(todayKey());
+        const startOfMonth = monthStart(currentMonth.year, currentMonth.month);
+        const endOfMonth = monthEnd(currentMonth.year, currentMonth.month);
         
         const sessions = await query(
-            `SELECT s.*, 
+            `SELECT s.*, sr.share, sr.attendance_status,
                     sw.first_name as worker_first_name, sw.last_name as worker_last_name,
                     p.name as property_name
              FROM support_sessions s
+             JOIN session_residents sr ON sr.session_id = s.id AND sr.resident_id = $1
              JOIN support_workers sw ON s.support_worker_id = sw.id
              JOIN properties p ON s.property_id = p.id
-             WHERE s.resident_id = $1 
-               AND s.session_date BETWEEN $2 AND $3
+             WHERE s.session_date BETWEEN $2 AND $3
              ORDER BY s.session_date DESC, s.start_time DESC`,
-            [resident.id, startOfMonth.toISOString().split('T')[0], endOfMonth.toISOString().split('T')[0]]
+            [resident.id, startOfMonth, endOfMonth]
         );
         
-        // Calculate usage statistics
+        // Calculate usage statistics. Group sessions count the resident's share.
         const completedSessions = sessions.rows.filter(s => s.status === 'completed');
-        const totalHoursUsed = completedSessions.reduce((sum, session) => sum + (session.duration_minutes / 60), 0);
+        const totalHoursUsed = completedSessions.reduce((sum, session) =>
+            sum + ((session.actual_minutes ?? session.duration_minutes) * session.share / 60), 0);
         const remainingHours = resident.monthly_support_hours - totalHoursUsed;
         const utilizationPercent = resident.monthly_support_hours > 0 
             ? ((totalHoursUsed / resident.monthly_support_hours) * 100).toFixed(1)
             : 0;
+
+        // Make-up hours owed for sessions the provider cancelled
+        const owedLedger = await getResidentLedger(resident.id);
+        const owedOutstanding = await getOutstandingOwedHours(resident.id);
+        const owedBalance = owedOutstanding.reduce((sum, entry) => sum + entry.remaining_minutes, 0);
         
         res.render('residents/view', {
             title: `${resident.first_name} ${resident.last_name} - Residents`,
             resident: resident,
+            feedUrl: await getFeedUrl(req, 'resident', resident.id),
             sessions: sessions.rows,
             stats: {
                 totalHoursUsed: totalHoursUsed.toFixed(1),
@@ -150,7 +161,20 @@ router.get('/:id', requireAuth, async (req, res) => {
                 utilizationPercent: utilizationPercent,
                 totalSessions: sessions.rows.length,
                 completedSessions: completedSessions.length
-            }
+            },
+            owedLedger: owedLedger.map(entry => ({
+                ...entry,
+                hours: (entry.minutes / 60).toFixed(1),
+                balance_hours: (entry.balance_minutes / 60).toFixed(1)
+            })),
+            owedOutstanding: owedOutstanding.map(entry => ({
+                ...entry,
+                owed_hours: (entry.owed_minutes / 60).toFixed(1),
+                remaining_hours: (entry.remaining_minutes / 60).toFixed(1),
+                cancelled_by_label: entry.cancelled_by && cancelledByLabel(entry.cancelled_by).toLowerCase(),
+                reason_label: entry.cancellation_reason && cancellationReasonLabel(entry.cancellation_reason)
+            })),
+            owedBalanceHours: owedBalance ? (owedBalance / 60).toFixed(1) : 0
         });
     } catch (error) {
         console.error('Resident view error:', error);
@@ -1,10 +1,64 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, check, param, validationResult } = require('express-validator');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
-const { dbOps, query } = require('../utils/database');
+const { dbOps, query, transaction } = require('../utils/database');
+const {
+    validateBooking,
+    validateSeries,
+    flattenSeriesIssues,
+    recordOverrides,
+    getResidentAllocation,
+    validateWorkerChange,
+    suggestReplacements,
+    formatDateKey
+} = require('../utils/scheduling');
+const { today: todayKey, addDays, timeOf } = require('../utils/dates');
+const { findSlots, MAX_WINDOW_DAYS, MIN_STEP_MINUTES, MAX_STEP_MINUTES, MAX_SLOTS } = require('../utils/slot-finder');
+const { workedMinutes } = require('../utils/session-time');
+const {
+    APPORTION_RULES,
+    ATTENDANCE_STATUSES,
+    residentBookedSql,
+    RESIDENT_NAME_COLUMNS,
+    saveAttendees
+} = require('../utils/group-sessions');
+const { STAFF_CHARGE_RULES, workerBookedSql } = require('../utils/session-staff');
+const {
+    CANCELLED_BY,
+    CANCELLATION_REASONS,
+    cancelledByLabel,
+    cancellationReasonLabel,
+    noticeMinutesSql
+} = require('../utils/cancellations');
+const { syncOwedHours, getOutstandingOwedHours } = require('../utils/owed-hours');
+const { MAX_OCCURRENCES, WEEKDAY_NAMES, normaliseWeekdays, generateOccurrences, describeRule } = require('../utils/recurrence');
+const { closedDates } = require('../utils/closures');
 
 const router = express.Router();
 
+const SUPPORT_TYPES = [
+    { key: 'mental_health', label: 'Mental Health Support' },
+    { key: 'domestic_independence', label: 'Domestic & Independence Support' },
+    { key: 'activity_group', label: 'Activity Based Group Support' }
+];
+
+const SERIES_SCOPES = ['occurrence', 'following', 'series'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]([01][0-9]|2[0-3]):[0-5][0-9]/;
+
+// When notice of a cancellation was given, or now when no time is given
+const CANCELLED_AT = 'COALESCE($4::timestamptz, CURRENT_TIMESTAMP)';
+
+// Session length limits. Overnight and sleep-in sessions can run up to a full day.
+const MIN_SESSION_MINUTES = 15;
+const MAX_SESSION_MINUTES = 24 * 60;
+
+// Longest date window shown for reassignment. Each session's suggestions
+// validate every worker, so the window bounds the work per page load.
+const MAX_REASSIGN_DAYS = 28;
+
 // List all sessions with filtering
 router.get('/', requireAuth, async (req, res) => {
     try {
@@ -42,12 +96,12 @@ router.get('/', requireAuth, async (req, res) => {
         }
         if (resident_id) {
             paramCount++;
-            whereConditions.push(`s.resident_id = $${paramCount}`);
+            whereConditions.push(residentBookedSql(`$${paramCount}`));
             queryParams.push(resident_id);
         }
         if (support_worker_id) {
             paramCount++;
-            whereConditions.push(`s.support_worker_id = $${paramCount}`);
+            whereConditions.push(workerBookedSql(`$${paramCount}`));
             queryParams.push(support_worker_id);
         }
         if (support_type) {
@@ -73,11 +127,11 @@ router.get('/', requireAuth, async (req, res) => {
 
         const sessionsQuery = `
             SELECT s.*, 
-                   r.first_name as resident_first_name, r.last_name as resident_last_name,
+                   ${RESIDENT_NAME_COLUMNS},
                    sw.first_name as worker_first_name, sw.last_name as worker_last_name,
                    p.name as property_name
             FROM support_sessions s
-            JOIN residents r ON s.resident_id = r.id
+            LEFT JOIN residents r ON s.resident_id = r.id
             JOIN support_workers sw ON s.support_worker_id = sw.id
             JOIN properties p ON s.property_id = p.id
             ${whereClause}
@@ -91,7 +145,7 @@ router.get('/', requireAuth, async (req, res) => {
         const countQuery = `
             SELECT COUNT(*) as total
             FROM support_sessions s
-            JOIN residents r ON s.resident_id = r.id
+            LEFT JOIN residents r ON s.resident_id = r.id
             JOIN support_workers sw ON s.support_worker_id = sw.id
             JOIN properties p ON s.property_id = p.id
             ${whereClause}
@@ -132,33 +186,19 @@ router.get('/', requireAuth, async (req, res) => {
 // Create session form
 router.get('/create', requireAdmin, async (req, res) => {
     try {
-        const properties = await dbOps.getAllProperties();
-        const residents = await dbOps.getAllResidents();
-        const supportWorkers = await dbOps.getAllSupportWorkers();
-
         // Pre-fill with query parameters if provided
         const preselected = {
             property_id: req.query.property_id || '',
             resident_id: req.query.resident_id || '',
             support_worker_id: req.query.support_worker_id || '',
             support_type: req.query.support_type || '',
-            session_date: req.query.session_date || new Date().toISOString().split('T')[0],
+            session_date: req.query.session_date || todayKey(),
             start_time: req.query.start_time || '09:00',
-            end_time: req.query.end_time || '10:00'
+            end_time: req.query.end_time || '10:00',
+            makeup_for_session_id: req.query.makeup_for_session_id || ''
         };
 
-        res.render('sessions/create', {
-            title: 'Create Session - Support Hours Tracker',
-            properties,
-            residents,
-            supportWorkers,
-            supportTypes: [
-                { key: 'mental_health', label: 'Mental Health Support' },
-                { key: 'domestic_independence', label: 'Domestic & Independence Support' },
-                { key: 'activity_group', label: 'Activity Based Group Support' }
-            ],
-            preselected
-        });
+        await renderCreateForm(res, { preselected });
     } catch (error) {
         console.error('Session create form error:', error);
         res.render('error', {
@@ -168,6 +208,124 @@ router.get('/create', requireAdmin, async (req, res) => {
     }
 });
 
+// Bulk reassignment of a support worker's planned sessions
+router.get('/reassign', requireAdmin, async (req, res) => {
+    try {
+        await renderReassignPage(req, res);
+    } catch (error) {
+        console.error('Session reassignment form error:', error);
+        res.render('error', {
+            title: 'Session Error',
+            message: 'Unable to load the reassignment tool'
+        });
+    }
+});
+
+// Reassign the selected sessions in one transaction. If any reassignment
+// breaks a booking rule that has not been overridden, nothing is saved.
+router.post('/reassign', requireAdmin, [
+    body('assignments').optional().isObject(),
+    body('assignments.*').optional({ checkFalsy: true }).isUUID()
+], async (req, res) => {
+    try {
+        const renderForm = (locals) => renderReassignPage(req, res, locals);
+        const assignments = Object.entries(req.body.assignments || {})
+            .filter(([, workerId]) => workerId);
+        if (!validationResult(req).isEmpty() || assignments.some(([sessionId]) => !UUID_PATTERN.test(sessionId))) {
+            return rejectSubmission(req, res, renderForm, 400, { error: 'Invalid reassignment details' });
+        }
+        if (assignments.length === 0) {
+            const message = 'Choose a replacement for at least one session';
+            return rejectSubmission(req, res, renderForm, 400, {
+                error: message,
+                errors: [{ code: 'no_assignments', severity: 'error', field: 'assignments', message }]
+            });
+        }
+
+        const sessions = await query(
+            `SELECT id, resident_id, support_worker_id, property_id, support_type,
+                    TO_CHAR(session_date, 'YYYY-MM-DD') as session_date,
+                    start_time, end_time, duration_minutes, apportion_rule,
+                    additional_worker_ids, staff_charge_rule
+             FROM support_sessions
+             WHERE id = ANY($1::uuid[]) AND status = 'planned'
+             ORDER BY session_date, start_time`,
+            [assignments.map(([sessionId]) => sessionId)]
+        );
+        const workerFor = Object.fromEntries(assignments);
+
+        const blocked = { errors: [], warnings: [] };
+        const reassigned = await transaction(async (client) => {
+            // Sessions are moved one at a time so that each check sees the
+            // reassignments made before it in the same batch
+            for (const session of sessions.rows) {
+                const prefix = `${formatDateKey(session.session_date)} ${session.start_time.substring(0, 5)}: `;
+                if ([session.support_worker_id, ...session.additional_worker_ids].includes(workerFor[session.id])) {
+                    blocked.errors.push({
+                        code: 'worker_conflict',
+                        severity: 'error',
+                        field: 'assignments',
+                        message: `${prefix}The chosen support worker is already on this session`
+                    });
+                    continue;
+                }
+
+                const replaced = leadWorker(session, req.body.support_worker_id);
+                const booking = { ...replaced, support_worker_id: workerFor[session.id] };
+                const issues = await validateWorkerChange(booking, { excludeIds: [session.id], client });
+                if (bookingBlocked(req, issues)) {
+                    blocked.errors.push(...issues.errors.map(issue => ({ ...issue, message: prefix + issue.message })));
+                    blocked.warnings.push(...issues.warnings.map(issue => ({ ...issue, message: prefix + issue.message })));
+                    continue;
+                }
+
+                await client.query(
+                    `UPDATE support_sessions
+                     SET support_worker_id = CASE WHEN support_worker_id = $3 THEN $1 ELSE support_worker_id END,
+                         additional_worker_ids = ARRAY_REPLACE(additional_worker_ids, $3, $1),
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $2`,
+                    [booking.support_worker_id, session.id, replaced.support_worker_id]
+                );
+                await recordOverrides(session.id, issues.errors, overrideReason(req), req.session.user.id, client);
+            }
+
+            if (blocked.errors.length > 0 || blocked.warnings.length > 0) {
+                throw new ReassignmentBlockedError();
+            }
+            return sessions.rows.length;
+        }).catch(error => {
+            if (error instanceof ReassignmentBlockedError) return null;
+            throw error;
+        });
+
+        if (reassigned === null) {
+            const overridable = blocked.errors.length > 0 && blocked.errors.every(issue => issue.overridable);
+            return rejectSubmission(req, res, renderForm, 409, {
+                error: overridable
+                    ? 'Some reassignments break a booking rule. Give a reason to override them, or choose other workers'
+                    : blocked.errors.length > 0
+                        ? 'Some sessions cannot be reassigned as chosen. No changes were saved'
+                        : 'Please review the warnings below and confirm to reassign anyway',
+                errors: blocked.errors,
+                warnings: blocked.warnings,
+                overridable
+            });
+        }
+
+        if (wantsJson(req)) {
+            return res.json({ success: true, reassigned });
+        }
+        await renderReassignPage(req, res, { success: `${reassigned} session(s) reassigned` });
+    } catch (error) {
+        console.error('Session reassignment error:', error);
+        res.render('error', {
+            title: 'Session Error',
+            message: 'Unable to reassign sessions'
+        });
+    }
+});
+
 // View single session
 router.get('/:id', requireAuth, async (req, res) => {
     try {
@@ -179,9 +337,24 @@ router.get('/:id', requireAuth, async (req, res) => {
             });
         }
 
+        const overrides = await dbOps.getSessionOverrides(session.id);
+        const attendees = session.apportion_rule ? await dbOps.getSessionAttendees(session) : [];
+
         res.render('sessions/view', {
             title: `Session Details - Support Hours Tracker`,
-            session: session
+            session: session,
+            overrides: overrides,
+            attendees: attendees,
+            attendanceStatuses: ATTENDANCE_STATUSES,
+            apportionRuleLabel: session.apportion_rule ? apportionRuleLabel(session.apportion_rule) : null,
+            staffChargeRuleLabel: staffChargeRuleLabel(session.staff_charge_rule),
+            cancelledByLabel: session.cancelled_by ? cancelledByLabel(session.cancelled_by) : null,
+            cancellationReasonLabel: session.cancellation_reason
+                ? cancellationReasonLabel(session.cancellation_reason)
+                : null,
+            cancellationReasons: CANCELLATION_REASONS,
+            cancelledByOptions: CANCELLED_BY,
+            seriesDescription: session.series_id ? describeSeries(session) : null
         });
     } catch (error) {
         console.error('Session view error:', error);
@@ -194,117 +367,115 @@ router.get('/:id', requireAuth, async (req, res) => {
 
 // Create session handler
 router.post('/create', requireAdmin, [
-    body('resident_id').isUUID(),
+    body('resident_id').if(isIndividual).isUUID(),
+    body('group_session').optional(),
+    body('attendee_ids').optional(),
+    body('apportion_rule').optional({ checkFalsy: true }).isIn(APPORTION_RULES.map(rule => rule.key)),
+    body('additional_worker_ids').optional(),
+    body('staff_charge_rule').optional({ checkFalsy: true }).isIn(STAFF_CHARGE_RULES.map(rule => rule.key)),
+    body('makeup_for_session_id').optional({ checkFalsy: true }).isUUID(),
     body('support_worker_id').isUUID(),
     body('property_id').isUUID(),
     body('support_type').isIn(['mental_health', 'domestic_independence', 'activity_group']),
     body('session_date').isDate(),
     body('start_time').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
     body('end_time').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
-    body('duration_minutes').isInt({ min: 15, max: 480 }),
+    body('break_minutes').optional({ checkFalsy: true }).isInt({ min: 0, max: MAX_SESSION_MINUTES }),
+    body('billable_minutes').optional({ checkFalsy: true }).isInt({ min: MIN_SESSION_MINUTES, max: MAX_SESSION_MINUTES }),
+    body('billable_reason').optional().trim(),
     body('status').optional().isIn(['planned', 'completed', 'cancelled', 'no_show']),
-    body('notes').optional().trim()
+    body('notes').optional().trim(),
+    body('repeat').optional({ checkFalsy: true }).isIn(['weekly', 'fortnightly', 'custom']),
+    body('repeat_interval').optional({ checkFalsy: true }).isInt({ min: 1, max: 52 }),
+    body('repeat_end').optional({ checkFalsy: true }).isIn(['until', 'count']),
+    body('repeat_until').optional({ checkFalsy: true }).isDate(),
+    body('repeat_count').optional({ checkFalsy: true }).isInt({ min: 1, max: MAX_OCCURRENCES })
 ], async (req, res) => {
     try {
+        const renderForm = (locals) => renderCreateForm(res, locals);
+
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            const properties = await dbOps.getAllProperties();
-            const residents = await dbOps.getAllResidents();
-            const supportWorkers = await dbOps.getAllSupportWorkers();
-            return res.render('sessions/create', {
-                title: 'Create Session - Support Hours Tracker',
-                properties,
-                residents,
-                supportWorkers,
-                supportTypes: [
-                    { key: 'mental_health', label: 'Mental Health Support' },
-                    { key: 'domestic_independence', label: 'Domestic & Independence Support' },
-                    { key: 'activity_group', label: 'Activity Based Group Support' }
-                ],
+            return rejectSubmission(req, res, renderForm, 400, {
                 error: 'Please provide valid session information',
-                formData: req.body
+                errors: errors.array().map(fieldIssue)
             });
         }
 
-        // Validate that end time is after start time
-        if (req.body.start_time >= req.body.end_time) {
-            const properties = await dbOps.getAllProperties();
-            const residents = await dbOps.getAllResidents();
-            const supportWorkers = await dbOps.getAllSupportWorkers();
-            return res.render('sessions/create', {
-                title: 'Create Session - Support Hours Tracker',
-                properties,
-                residents,
-                supportWorkers,
-                supportTypes: [
-                    { key: 'mental_health', label: 'Mental Health Support' },
-                    { key: 'domestic_independence', label: 'Domestic & Independence Support' },
-                    { key: 'activity_group', label: 'Activity Based Group Support' }
-                ],
-                error: 'End time must be after start time',
-                formData: req.body
+        // An end time before the start time means the session runs overnight
+        // into the next day, but a session cannot start and end together
+        if (req.body.start_time === req.body.end_time) {
+            return rejectSubmission(req, res, renderForm, 400, {
+                error: 'End time must be different from start time',
+                errors: [{ code: 'invalid_time_range', severity: 'error', field: 'end_time', message: 'End time must be different from start time' }]
             });
         }
 
-        // Check for conflicts (same support worker at same time)
-        const conflictCheck = await query(
-            `SELECT id FROM support_sessions 
-             WHERE support_worker_id = $1 
-               AND session_date = $2 
-               AND status NOT IN ('cancelled', 'no_show')
-               AND ((start_time <= $3 AND end_time > $3) 
-                    OR (start_time < $4 AND end_time >= $4)
-                    OR (start_time >= $3 AND end_time <= $4))`,
-            [req.body.support_worker_id, req.body.session_date, req.body.start_time, req.body.end_time]
-        );
-
-        if (conflictCheck.rows.length > 0) {
-            const properties = await dbOps.getAllProperties();
-            const residents = await dbOps.getAllResidents();
-            const supportWorkers = await dbOps.getAllSupportWorkers();
-            return res.render('sessions/create', {
-                title: 'Create Session - Support Hours Tracker',
-                properties,
-                residents,
-                supportWorkers,
-                supportTypes: [
-                    { key: 'mental_health', label: 'Mental Health Support' },
-                    { key: 'domestic_independence', label: 'Domestic & Independence Support' },
-                    { key: 'activity_group', label: 'Activity Based Group Support' }
-                ],
-                error: 'Support worker is already scheduled at this time',
-                formData: req.body
+        const durationIssues = [
+            ...resolveDuration(req),
+            ...resolveGroup(req, Boolean(req.body.repeat)),
+            ...resolveStaff(req),
+            ...await resolveMakeup(req)
+        ];
+        if (durationIssues.length > 0) {
+            return rejectSubmission(req, res, renderForm, 400, {
+                error: durationIssues[0].message,
+                errors: durationIssues
             });
         }
 
-        const result = await query(
-            `INSERT INTO support_sessions 
-             (resident_id, support_worker_id, property_id, support_type, session_date, 
-              start_time, end_time, duration_minutes, status, notes, created_by)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-             RETURNING id`,
-            [req.body.resident_id, req.body.support_worker_id, req.body.property_id, 
-             req.body.support_type, req.body.session_date, req.body.start_time, 
-             req.body.end_time, parseInt(req.body.duration_minutes), 
-             req.body.status || 'planned', req.body.notes || null, req.session.user.id]
-        );
+        if (req.body.repeat) {
+            return await createSeries(req, res);
+        }
+
+        let sessionId;
+        try {
+            sessionId = await transaction(async (client) => {
+                // Check for double-booking, the resident's tenancy and monthly
+                // allocation against the same data the insert is made over
+                let booking = { errors: [], warnings: [] };
+                if (needsBookingChecks(req.body.status)) {
+                    booking = await validateBooking(req.body, { client });
+                    if (bookingBlocked(req, booking)) {
+                        throw new BookingBlockedError(() => rejectBooking(req, res, renderForm, booking));
+                    }
+                }
 
-        res.redirect('/sessions/' + result.rows[0].id);
+                const result = await client.query(
+                    `INSERT INTO support_sessions 
+                     (resident_id, support_worker_id, property_id, support_type, session_date, 
+                      start_time, end_time, duration_minutes, status, notes, created_by,
+                      break_minutes, duration_override_reason, apportion_rule,
+                      additional_worker_ids, staff_charge_rule, makeup_for_session_id)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+                     RETURNING id`,
+                    [req.body.resident_id, req.body.support_worker_id, req.body.property_id, 
+                     req.body.support_type, req.body.session_date, req.body.start_time, 
+                     req.body.end_time, req.body.duration_minutes, 
+                     req.body.status || 'planned', req.body.notes || null, req.session.user.id,
+                     req.body.break_minutes, req.body.duration_override_reason, req.body.apportion_rule,
+                     req.body.additional_worker_ids, req.body.staff_charge_rule, req.body.makeup_for_session_id]
+                );
+                await saveAttendees(client, result.rows[0].id, req.body.attendee_ids);
+                await syncOwedHours([result.rows[0].id], req.session.user.id, client);
+                await recordOverrides(result.rows[0].id, booking.errors, overrideReason(req), req.session.user.id, client);
+                return result.rows[0].id;
+            });
+        } catch (error) {
+            if (error instanceof BookingBlockedError) return error.reject();
+            throw error;
+        }
+
+        if (wantsJson(req)) {
+            return res.status(201).json({ id: sessionId });
+        }
+        res.redirect('/sessions/' + sessionId);
     } catch (error) {
         console.error('Session creation error:', error);
-        const properties = await dbOps.getAllProperties();
-        const residents = await dbOps.getAllResidents();
-        const supportWorkers = await dbOps.getAllSupportWorkers();
-        res.render('sessions/create', {
-            title: 'Create Session - Support Hours Tracker',
-            properties,
-            residents,
-            supportWorkers,
-            supportTypes: [
-                { key: 'mental_health', label: 'Mental Health Support' },
-                { key: 'domestic_independence', label: 'Domestic & Independence Support' },
-                { key: 'activity_group', label: 'Activity Based Group Support' }
-            ],
+        if (wantsJson(req)) {
+            return res.status(500).json({ error: 'An error occurred creating the session' });
+        }
+        await renderCreateForm(res, {
             error: 'An error occurred creating the session',
             formData: req.body
         });
@@ -322,22 +493,7 @@ router.get('/:id/edit', requireAdmin, async (req, res) => {
             });
         }
 
-        const properties = await dbOps.getAllProperties();
-        const residents = await dbOps.getAllResidents();
-        const supportWorkers = await dbOps.getAllSupportWorkers();
-
-        res.render('sessions/edit', {
-            title: `Edit Session - Support Hours Tracker`,
-            session,
-            properties,
-            residents,
-            supportWorkers,
-            supportTypes: [
-                { key: 'mental_health', label: 'Mental Health Support' },
-                { key: 'domestic_independence', label: 'Domestic & Independence Support' },
-                { key: 'activity_group', label: 'Activity Based Group Support' }
-            ]
-        });
+        await renderEditForm(res, session);
     } catch (error) {
         console.error('Session edit form error:', error);
         res.render('error', {
@@ -348,74 +504,278 @@ router.get('/:id/edit', requireAdmin, async (req, res) => {
 });
 
 // Update session handler
-router.post('/:id/edit', requireAdmin, [
-    body('resident_id').isUUID(),
-    body('support_worker_id').isUUID(),
-    body('property_id').isUUID(),
-    body('support_type').isIn(['mental_health', 'domestic_independence', 'activity_group']),
-    body('session_date').isDate(),
-    body('start_time').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
-    body('end_time').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
-    body('duration_minutes').isInt({ min: 15, max: 480 }),
-    body('status').isIn(['planned', 'completed', 'cancelled', 'no_show']),
-    body('notes').optional().trim()
+router.post('/:id/edit', requireAdmin, sessionUpdateRules(), updateSession);
+
+// Move or resize a session from the calendar. Takes any of session_date,
+// start_time and end_time, plus override_reason and acknowledge_warnings to
+// confirm a booking, over the session's saved details and runs the same
+// checks as the edit form, answering with JSON. Sessions in a recurring
+// series are changed on their own.
+router.patch('/:id', requireAdmin, loadSessionChanges, sessionUpdateRules(), updateSession);
+
+// Cancel a session, or part of its recurring series, recording who cancelled,
+// why, and when notice was given (now unless notified_at is given)
+router.post('/:id/cancel', requireAdmin, [
+    body('apply_to').optional().isIn(SERIES_SCOPES),
+    body('cancellation_reason').isIn(CANCELLATION_REASONS.map(reason => reason.key)),
+    body('cancelled_by').isIn(CANCELLED_BY.map(option => option.key)),
+    body('notified_at').optional({ checkFalsy: true }).matches(DATETIME_PATTERN)
 ], async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            const session = await dbOps.getSessionById(req.params.id);
-            const properties = await dbOps.getAllProperties();
-            const residents = await dbOps.getAllResidents();
-            const supportWorkers = await dbOps.getAllSupportWorkers();
-            return res.render('sessions/edit', {
-                title: `Edit Session - Support Hours Tracker`,
-                session,
-                properties,
-                residents,
-                supportWorkers,
-                supportTypes: [
-                    { key: 'mental_health', label: 'Mental Health Support' },
-                    { key: 'domestic_independence', label: 'Domestic & Independence Support' },
-                    { key: 'activity_group', label: 'Activity Based Group Support' }
-                ],
-                error: 'Please provide valid session information',
-                formData: req.body
+        const session = await dbOps.getSessionById(req.params.id);
+        if (!session) {
+            if (wantsJson(req)) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            return res.status(404).render('error', {
+                title: 'Session Not Found',
+                message: 'The requested session does not exist'
             });
         }
+        if (!validationResult(req).isEmpty()) {
+            return rejectAttendance(req, res, 400, 'Please choose who cancelled the session and why');
+        }
+
+        const applyTo = session.series_id && SERIES_SCOPES.includes(req.body.apply_to)
+            ? req.body.apply_to
+            : 'occurrence';
+        const details = [req.body.cancellation_reason, req.body.cancelled_by, req.body.notified_at || null];
+
+        const cancelledCount = await transaction(async (client) => {
+            if (applyTo === 'occurrence') {
+                const result = await client.query(
+                    `UPDATE support_sessions s
+                     SET status = 'cancelled', is_series_exception = (series_id IS NOT NULL),
+                         cancellation_reason = $2, cancelled_by = $3, cancelled_at = ${CANCELLED_AT},
+                         cancellation_notice_minutes = ${noticeMinutesSql(CANCELLED_AT)},
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $1`,
+                    [session.id, ...details]
+                );
+                await syncOwedHours([session.id], req.session.user.id, client);
+                return result.rowCount;
+            }
+
+            // Only planned occurrences are cancelled; delivered sessions stay as history
+            const result = await client.query(
+                `UPDATE support_sessions s
+                 SET status = 'cancelled',
+                     cancellation_reason = $2, cancelled_by = $3, cancelled_at = ${CANCELLED_AT},
+                     cancellation_notice_minutes = ${noticeMinutesSql(CANCELLED_AT)},
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE series_id = $1
+                   AND status = 'planned'
+                   AND ($5::text = 'series' OR session_date >= (SELECT session_date FROM support_sessions WHERE id = $6))
+                 RETURNING id`,
+                [session.series_id, ...details, applyTo, session.id]
+            );
+            await syncOwedHours(result.rows.map(row => row.id), req.session.user.id, client);
+
+            if (applyTo === 'following') {
+                // Stop the series the day before this occurrence
+                await client.query(
+                    `UPDATE session_series ss
+                     SET end_date = cur.session_date - 1,
+                         occurrence_count = NULL,
+                         is_active = cur.session_date > ss.start_date,
+                         updated_at = CURRENT_TIMESTAMP
+                     FROM (SELECT session_date FROM support_sessions WHERE id = $2) cur
+                     WHERE ss.id = $1`,
+                    [session.series_id, session.id]
+                );
+            } else {
+                await client.query(
+                    `UPDATE session_series SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                    [session.series_id]
+                );
+            }
+
+            return result.rowCount;
+        });
+
+        if (wantsJson(req)) {
+            res.json({ success: true, cancelled: cancelledCount });
+        } else {
+            res.redirect('/sessions/' + session.id);
+        }
+    } catch (error) {
+        console.error('Session cancellation error:', error);
+        if (wantsJson(req)) {
+            res.status(500).json({ error: 'An error occurred cancelling the session' });
+        } else {
+            res.redirect('/sessions/' + req.params.id);
+        }
+    }
+});
+
+// Quick status change from the session page: mark a planned session completed
+// or record a no-show. A no-show is recorded as cancelled by the resident with
+// no notice unless told otherwise.
+router.post('/:id/status', requireAdmin, [
+    body('status').isIn(['completed', 'no_show']),
+    body('cancelled_by').optional({ checkFalsy: true }).isIn(CANCELLED_BY.map(option => option.key)),
+    body('cancellation_reason').optional({ checkFalsy: true }).isIn(CANCELLATION_REASONS.map(reason => reason.key))
+], async (req, res) => {
+    try {
+        const session = await dbOps.getSessionById(req.params.id);
+        if (!session) {
+            return rejectAttendance(req, res, 404, 'The requested session does not exist');
+        }
+        if (!validationResult(req).isEmpty()) {
+            return rejectAttendance(req, res, 400, 'Please choose a valid status');
+        }
+        if (session.status !== 'planned') {
+            return rejectAttendance(req, res, 409, 'Only planned sessions can be marked completed or no-show');
+        }
+
+        await transaction(async (client) => {
+            if (req.body.status === 'completed') {
+                await client.query(
+                    `UPDATE support_sessions SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                    [session.id]
+                );
+            } else {
+                await client.query(
+                    `UPDATE support_sessions s
+                     SET status = 'no_show', cancellation_reason = $2, cancelled_by = $3,
+                         cancelled_at = CURRENT_TIMESTAMP, cancellation_notice_minutes = 0,
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $1`,
+                    [session.id, req.body.cancellation_reason || null, req.body.cancelled_by || 'resident']
+                );
+            }
+            await syncOwedHours([session.id], req.session.user.id, client);
+        });
+
+        if (wantsJson(req)) {
+            return res.json({ success: true, id: session.id, status: req.body.status });
+        }
+        res.redirect('/sessions/' + session.id);
+    } catch (error) {
+        console.error('Session status error:', error);
+        rejectAttendance(req, res, 500, 'An error occurred updating the session status');
+    }
+});
 
+// Check in: record when the support worker arrived for a planned session.
+// Defaults to the current time when no time is given.
+router.post('/:id/check-in', requireAdmin, [
+    body('actual_start_time').optional({ checkFalsy: true }).matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+], async (req, res) => {
+    try {
+        const session = await dbOps.getSessionById(req.params.id);
+        if (!session) {
+            return rejectAttendance(req, res, 404, 'The requested session does not exist');
+        }
+        if (!validationResult(req).isEmpty()) {
+            return rejectAttendance(req, res, 400, 'Please provide a valid arrival time');
+        }
+        if (session.status !== 'planned') {
+            return rejectAttendance(req, res, 409, 'Only planned sessions can be checked in');
+        }
+
+        const actualStart = req.body.actual_start_time || timeOf(new Date());
         await query(
-            `UPDATE support_sessions 
-             SET resident_id = $1, support_worker_id = $2, property_id = $3, support_type = $4, 
-                 session_date = $5, start_time = $6, end_time = $7, duration_minutes = $8, 
-                 status = $9, notes = $10
-             WHERE id = $11`,
-            [req.body.resident_id, req.body.support_worker_id, req.body.property_id, 
-             req.body.support_type, req.body.session_date, req.body.start_time, 
-             req.body.end_time, parseInt(req.body.duration_minutes), 
-             req.body.status, req.body.notes || null, req.params.id]
+            `UPDATE support_sessions SET actual_start_time = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [session.id, actualStart]
         );
 
-        res.redirect('/sessions/' + req.params.id);
+        if (wantsJson(req)) {
+            return res.json({ success: true, id: session.id, actual_start_time: actualStart });
+        }
+        res.redirect('/sessions/' + session.id);
     } catch (error) {
-        console.error('Session update error:', error);
+        console.error('Session check-in error:', error);
+        rejectAttendance(req, res, 500, 'An error occurred checking in the session');
+    }
+});
+
+// Check out: record when the support worker left and mark the session
+// completed, with the delivered minutes worked out from the actual times
+router.post('/:id/check-out', requireAdmin, [
+    body('actual_start_time').optional({ checkFalsy: true }).matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    body('actual_end_time').optional({ checkFalsy: true }).matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+], async (req, res) => {
+    try {
         const session = await dbOps.getSessionById(req.params.id);
-        const properties = await dbOps.getAllProperties();
-        const residents = await dbOps.getAllResidents();
-        const supportWorkers = await dbOps.getAllSupportWorkers();
-        res.render('sessions/edit', {
-            title: `Edit Session - Support Hours Tracker`,
-            session,
-            properties,
-            residents,
-            supportWorkers,
-            supportTypes: [
-                { key: 'mental_health', label: 'Mental Health Support' },
-                { key: 'domestic_independence', label: 'Domestic & Independence Support' },
-                { key: 'activity_group', label: 'Activity Based Group Support' }
-            ],
-            error: 'An error occurred updating the session',
-            formData: req.body
+        if (!session) {
+            return rejectAttendance(req, res, 404, 'The requested session does not exist');
+        }
+        if (!validationResult(req).isEmpty()) {
+            return rejectAttendance(req, res, 400, 'Please provide valid arrival and departure times');
+        }
+        if (session.status !== 'planned') {
+            return rejectAttendance(req, res, 409, 'Only planned sessions can be checked out');
+        }
+
+        const actualStart = req.body.actual_start_time || session.actual_start_time;
+        if (!actualStart) {
+            return rejectAttendance(req, res, 409, 'Check the session in before checking it out');
+        }
+        const actualEnd = req.body.actual_end_time || timeOf(new Date());
+        const actualMinutes = deliveredMinutes(actualStart, actualEnd, session.break_minutes);
+
+        // Another check-out or status change may have got there first
+        const result = await query(
+            `UPDATE support_sessions
+             SET actual_start_time = $2, actual_end_time = $3, actual_minutes = $4,
+                 status = 'completed', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'planned'`,
+            [session.id, actualStart, actualEnd, actualMinutes]
+        );
+        if (result.rowCount === 0) {
+            return rejectAttendance(req, res, 409, 'Only planned sessions can be checked out');
+        }
+
+        if (wantsJson(req)) {
+            return res.json({
+                success: true,
+                id: session.id,
+                actual_start_time: actualStart.substring(0, 5),
+                actual_end_time: actualEnd,
+                actual_minutes: actualMinutes
+            });
+        }
+        res.redirect('/sessions/' + session.id);
+    } catch (error) {
+        console.error('Session check-out error:', error);
+        rejectAttendance(req, res, 500, 'An error occurred checking out the session');
+    }
+});
+
+// Record each attendee's attendance at a group session.
+// attendance: { residentId: status }
+router.post('/:id/attendance', requireAdmin, [
+    body('attendance').isObject(),
+    body('attendance.*').isIn(ATTENDANCE_STATUSES.map(status => status.key))
+], async (req, res) => {
+    try {
+        const session = await dbOps.getSessionById(req.params.id);
+        if (!session || !session.apportion_rule) {
+            return rejectAttendance(req, res, 404, 'The requested group session does not exist');
+        }
+        const attendance = Object.entries(req.body.attendance || {});
+        if (!validationResult(req).isEmpty() || attendance.some(([residentId]) => !UUID_PATTERN.test(residentId))) {
+            return rejectAttendance(req, res, 400, 'Please choose a valid attendance status for each attendee');
+        }
+
+        await transaction(async (client) => {
+            for (const [residentId, status] of attendance) {
+                await client.query(
+                    `UPDATE session_attendees SET attendance_status = $3, updated_at = CURRENT_TIMESTAMP
+                     WHERE session_id = $1 AND resident_id = $2`,
+                    [session.id, residentId, status]
+                );
+            }
         });
+
+        if (wantsJson(req)) {
+            return res.json({ success: true, id: session.id, attendees: await dbOps.getSessionAttendees(session) });
+        }
+        res.redirect('/sessions/' + session.id);
+    } catch (error) {
+        console.error('Session attendance error:', error);
+        rejectAttendance(req, res, 500, 'An error occurred recording attendance');
     }
 });
 
@@ -450,4 +810,959 @@ router.get('/api/properties/:propertyId/residents', requireAuth, async (req, res
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// API endpoint to get active support workers ranked by specialization in a support type
+router.get('/api/support-types/:supportType/workers', requireAuth, async (req, res) => {
+    try {
+        if (!SUPPORT_TYPES.some(type => type.key === req.params.supportType)) {
+            return res.status(400).json({ error: 'Unknown support type' });
+        }
+        const workers = await dbOps.getSupportWorkersForSupportType(req.params.supportType);
+        res.json(workers);
+    } catch (error) {
+        console.error('Get support workers by support type error:', error);
+        res.status(500).json({ error: 'Unable to fetch support workers' });
+    }
+});
+
+// API endpoint to find free slots for a resident with a suitable support worker
+router.get('/api/slots', requireAuth, [
+    check('resident_id').isUUID(),
+    check('support_type').isIn(SUPPORT_TYPES.map(type => type.key)),
+    check('duration_minutes').isInt({ min: MIN_SESSION_MINUTES, max: MAX_SESSION_MINUTES }),
+    check('date_from').isDate(),
+    check('date_to').isDate(),
+    check('earliest').optional({ checkFalsy: true }).matches(/^\d{2}:\d{2}$/),
+    check('latest').optional({ checkFalsy: true }).matches(/^\d{2}:\d{2}$/),
+    check('step_minutes').optional().isInt({ min: MIN_STEP_MINUTES, max: MAX_STEP_MINUTES }),
+    check('limit').optional().isInt({ min: 1, max: MAX_SLOTS })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty() || req.query.date_to < req.query.date_from) {
+            return res.status(400).json({
+                error: `Please provide a resident, support type, duration and a date window of up to ${MAX_WINDOW_DAYS} days`
+            });
+        }
+
+        const result = await findSlots(req.query);
+        if (!result) {
+            return res.status(404).json({ error: 'Resident not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Find slots error:', error);
+        res.status(500).json({ error: 'Unable to find slots' });
+    }
+});
+
+// API endpoint to list the provider-cancelled sessions a resident is still
+// owed hours for, to book make-up sessions against
+router.get('/api/residents/:residentId/owed-hours', requireAuth, async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.residentId)) {
+            return res.status(404).json({ error: 'Resident not found' });
+        }
+        const outstanding = await getOutstandingOwedHours(req.params.residentId);
+        res.json(outstanding.map(entry => ({
+            ...entry,
+            label: `${formatDateKey(entry.session_date)} ${entry.start_time.substring(0, 5)} - ` +
+                `${(entry.remaining_minutes / 60).toFixed(1)}h owed`
+        })));
+    } catch (error) {
+        console.error('Get owed hours error:', error);
+        res.status(500).json({ error: 'Unable to fetch owed hours' });
+    }
+});
+
+// API endpoint to get a resident's allocation for the month of a date
+router.get('/api/residents/:residentId/allocation', requireAuth, [
+    param('residentId').isUUID(),
+    check('exclude_session_id').optional().isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Please provide a valid resident and session' });
+        }
+
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '')
+            ? req.query.date
+            : todayKey();
+        const excludeIds = req.query.exclude_session_id ? [req.query.exclude_session_id] : [];
+        const allocation = await getResidentAllocation(req.params.residentId, date, excludeIds);
+        if (!allocation) {
+            return res.status(404).json({ error: 'Resident not found' });
+        }
+        res.json({
+            ...allocation,
+            allocated_hours: allocation.allocated_minutes / 60,
+            completed_hours: allocation.completed_minutes / 60,
+            planned_hours: allocation.planned_minutes / 60,
+            cancelled_hours: allocation.cancelled_minutes / 60,
+            remaining_hours: allocation.remaining_minutes / 60
+        });
+    } catch (error) {
+        console.error('Get resident allocation error:', error);
+        res.status(500).json({ error: 'Unable to fetch resident allocation' });
+    }
+});
+
+// Helper functions
+
+// Thrown inside the reassignment transaction to roll back the whole batch
+class ReassignmentBlockedError extends Error {}
+
+// Thrown inside a booking transaction when its checks refuse the booking,
+// carrying the reply to send once the transaction has rolled back
+class BookingBlockedError extends Error {
+    constructor(reject) {
+        super('Booking blocked');
+        this.reject = reject;
+    }
+}
+
+// Render the bulk reassignment page for the worker and date range in the
+// query string (or the submitted form), with replacement suggestions for
+// each planned session
+async function renderReassignPage(req, res, locals = {}) {
+    const params = req.method === 'POST' ? req.body : req.query;
+    const today = todayKey();
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    const dateFrom = isDate(params.date_from) ? params.date_from : today;
+    const lastDate = addDays(dateFrom, MAX_REASSIGN_DAYS - 1);
+    const dateTo = isDate(params.date_to) ? params.date_to : addDays(today, 13);
+    const filters = {
+        support_worker_id: params.support_worker_id || '',
+        date_from: dateFrom,
+        date_to: dateTo < lastDate ? dateTo : lastDate
+    };
+
+    let sessions = [];
+    if (filters.support_worker_id) {
+        const result = await query(
+            `SELECT s.id, s.resident_id, s.support_worker_id, s.property_id, s.support_type,
+                    TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date,
+                    s.start_time, s.end_time, s.duration_minutes, s.apportion_rule,
+                    s.additional_worker_ids, s.staff_charge_rule,
+                    ${RESIDENT_NAME_COLUMNS},
+                    p.name as property_name
+             FROM support_sessions s
+             LEFT JOIN residents r ON s.resident_id = r.id
+             JOIN properties p ON s.property_id = p.id
+             WHERE ${workerBookedSql('$1')}
+               AND s.session_date BETWEEN $2 AND $3
+               AND s.status = 'planned'
+             ORDER BY s.session_date, s.start_time`,
+            [filters.support_worker_id, filters.date_from, filters.date_to]
+        );
+
+        const chosen = (locals.formData && locals.formData.assignments) || {};
+        for (const session of result.rows) {
+            const candidates = await suggestReplacements(leadWorker(session, filters.support_worker_id));
+            sessions.push({
+                ...session,
+                candidates: candidates.map(candidate => ({
+                    ...candidate,
+                    spare_week_hours: candidate.spare_week_minutes === null
+                        ? null
+                        : (candidate.spare_week_minutes / 60).toFixed(1),
+                    selected: chosen[session.id] === candidate.id
+                }))
+            });
+        }
+    }
+
+    if (wantsJson(req) && req.method === 'GET') {
+        return res.json({ filters, sessions });
+    }
+
+    res.render('sessions/reassign', {
+        title: 'Reassign Sessions - Support Hours Tracker',
+        supportWorkers: await dbOps.getAllSupportWorkers(),
+        filters,
+        sessions,
+        maxReassignDays: MAX_REASSIGN_DAYS,
+        windowShortened: filters.date_to !== dateTo,
+        ...locals
+    });
+}
+
+async function renderCreateForm(res, locals = {}) {
+    const properties = await dbOps.getAllProperties();
+    const residents = await dbOps.getAllResidents();
+    const supportWorkers = await dbOps.getAllSupportWorkers();
+    const selectedWeekdays = locals.formData ? normaliseWeekdays(locals.formData.repeat_weekdays) : [];
+    res.render('sessions/create', {
+        title: 'Create Session - Support Hours Tracker',
+        properties,
+        residents,
+        supportWorkers,
+        supportTypes: SUPPORT_TYPES,
+        apportionRules: APPORTION_RULES,
+        staffChargeRules: STAFF_CHARGE_RULES,
+        weekdays: WEEKDAY_NAMES.map((name, index) => ({
+            value: index,
+            label: name.substring(0, 3),
+            checked: selectedWeekdays.includes(index)
+        })),
+        maxOccurrences: MAX_OCCURRENCES,
+        ...locals
+    });
+}
+
+async function renderEditForm(res, session, locals = {}) {
+    const properties = await dbOps.getAllProperties();
+    const residents = await dbOps.getAllResidents();
+    const supportWorkers = await dbOps.getAllSupportWorkers();
+    const attendees = session && session.apportion_rule ? await dbOps.getSessionAttendees(session) : [];
+    res.render('sessions/edit', {
+        title: `Edit Session - Support Hours Tracker`,
+        session,
+        properties,
+        residents,
+        supportWorkers,
+        supportTypes: SUPPORT_TYPES,
+        apportionRules: APPORTION_RULES,
+        staffChargeRules: STAFF_CHARGE_RULES,
+        cancellationReasons: CANCELLATION_REASONS,
+        cancelledByOptions: CANCELLED_BY,
+        attendeeIds: attendees.map(attendee => attendee.resident_id),
+        seriesDescription: session && session.series_id ? describeSeries(session) : null,
+        ...locals
+    });
+}
+
+// PATCH requests come only from the calendar, so always get JSON back
+function wantsJson(req) {
+    return req.xhr || req.method === 'PATCH' || (req.headers.accept || '').indexOf('json') > -1;
+}
+
+// Fill in the edit form fields a calendar PATCH leaves out from the saved
+// session, so updateSession sees the same body as a full edit would send
+async function loadSessionChanges(req, res, next) {
+    try {
+        const session = UUID_PATTERN.test(req.params.id) ? await dbOps.getSessionById(req.params.id) : null;
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const changes = req.body || {};
+        const attendees = session.apportion_rule ? await dbOps.getSessionAttendees(session) : [];
+        const shortTime = (time) => time ? time.substring(0, 5) : '';
+        req.body = {
+            resident_id: session.resident_id,
+            group_session: session.apportion_rule ? 'on' : undefined,
+            attendee_ids: attendees.map(attendee => attendee.resident_id),
+            apportion_rule: session.apportion_rule,
+            support_worker_id: session.support_worker_id,
+            additional_worker_ids: session.additional_worker_ids || [],
+            staff_charge_rule: session.staff_charge_rule,
+            property_id: session.property_id,
+            support_type: session.support_type,
+            session_date: changes.session_date || session.session_date,
+            start_time: changes.start_time || shortTime(session.start_time),
+            end_time: changes.end_time || shortTime(session.end_time),
+            break_minutes: session.break_minutes,
+            billable_minutes: session.duration_override_reason ? session.duration_minutes : '',
+            billable_reason: session.duration_override_reason || '',
+            actual_start_time: shortTime(session.actual_start_time),
+            actual_end_time: shortTime(session.actual_end_time),
+            status: session.status,
+            cancellation_reason: session.cancellation_reason,
+            cancelled_by: session.cancelled_by,
+            notes: session.notes || '',
+            apply_to: 'occurrence',
+            override_reason: changes.override_reason,
+            acknowledge_warnings: changes.acknowledge_warnings
+        };
+        next();
+    } catch (error) {
+        console.error('Session change error:', error);
+        res.status(500).json({ error: 'An error occurred updating the session' });
+    }
+}
+
+// Cancelled and no-show sessions do not occupy anyone's time, so they skip
+// the overlap and tenancy checks
+function needsBookingChecks(status) {
+    return !['cancelled', 'no_show'].includes(status);
+}
+
+// Group sessions name their attendees instead of a single resident
+function isIndividual(value, { req }) {
+    return !req.body.group_session;
+}
+
+function fieldIssue(validationError) {
+    return {
+        code: 'invalid_field',
+        severity: 'error',
+        field: validationError.path,
+        message: `Invalid value for ${validationError.path}`
+    };
+}
+
+function overrideReason(req) {
+    return (req.body.override_reason || '').trim();
+}
+
+// Work out the session's duration from its times less any break, unless the
+// admin entered billable minutes with a reason. The submitted
+// duration_minutes is never trusted: it is replaced here so the booking
+// checks and the saved row use the same figure.
+// Returns issues for a break that leaves too little time or billable minutes
+// without a reason.
+function resolveDuration(req) {
+    const breakMinutes = parseInt(req.body.break_minutes) || 0;
+    const worked = workedMinutes(req.body.start_time, req.body.end_time, breakMinutes);
+    const billable = req.body.billable_minutes ? parseInt(req.body.billable_minutes) : null;
+    const reason = (req.body.billable_reason || '').trim();
+
+    if (worked < MIN_SESSION_MINUTES) {
+        return [{
+            code: 'invalid_duration',
+            severity: 'error',
+            field: breakMinutes > 0 ? 'break_minutes' : 'end_time',
+            message: `Sessions must last at least ${MIN_SESSION_MINUTES} minutes after breaks`
+        }];
+    }
+
+    const overridden = billable !== null && billable !== worked;
+    if (overridden && !reason) {
+        return [{
+            code: 'billable_reason_required',
+            severity: 'error',
+            field: 'billable_reason',
+            message: `Give a reason for billing ${billable} minutes when the times give ${worked} minutes`
+        }];
+    }
+
+    req.body.break_minutes = breakMinutes;
+    req.body.duration_minutes = overridden ? billable : worked;
+    req.body.duration_override_reason = overridden ? reason : null;
+    return [];
+}
+
+// Sort out the attendees and apportion rule of a group session, or clear them
+// for an individual session. Only activity group sessions can have several
+// attendees, and group sessions cannot repeat.
+// Returns issues for a group without attendees or that cannot be a group.
+function resolveGroup(req, repeats) {
+    if (!req.body.group_session) {
+        req.body.attendee_ids = [];
+        req.body.apportion_rule = null;
+        return [];
+    }
+
+    const attendeeIds = [...new Set([].concat(req.body.attendee_ids || []).filter(Boolean))];
+    const issue = (code, field, message) => [{ code, severity: 'error', field, message }];
+    if (req.body.support_type !== 'activity_group') {
+        return issue('group_support_type', 'support_type', 'Only activity group sessions can have several attendees');
+    }
+    if (attendeeIds.length === 0 || attendeeIds.some(id => !UUID_PATTERN.test(id))) {
+        return issue('attendees_required', 'attendee_ids', 'Choose the residents attending the group session');
+    }
+    if (repeats) {
+        return issue('group_series_unsupported', 'repeat', 'Group sessions cannot repeat. Book each group session separately');
+    }
+
+    req.body.resident_id = null;
+    req.body.attendee_ids = attendeeIds;
+    req.body.apportion_rule = APPORTION_RULES.some(rule => rule.key === req.body.apportion_rule)
+        ? req.body.apportion_rule
+        : 'divided';
+    return [];
+}
+
+// Normalise the additional support workers on a session, leaving out the
+// lead worker, and the rule for charging the resident. Sessions with a single
+// worker are always charged once.
+// Returns issues for worker ids that are not valid.
+function resolveStaff(req) {
+    const workerIds = [...new Set([].concat(req.body.additional_worker_ids || []).filter(Boolean))]
+        .filter(workerId => workerId !== req.body.support_worker_id);
+    if (workerIds.some(workerId => !UUID_PATTERN.test(workerId))) {
+        return [{
+            code: 'invalid_field',
+            severity: 'error',
+            field: 'additional_worker_ids',
+            message: 'Invalid value for additional_worker_ids'
+        }];
+    }
+
+    req.body.additional_worker_ids = workerIds;
+    req.body.staff_charge_rule = workerIds.length > 0 && req.body.staff_charge_rule === 'per_worker'
+        ? 'per_worker'
+        : 'single';
+    return [];
+}
+
+// The session with workerId as its lead worker and every other worker on it as
+// additional, so a worker being replaced can be handled the same way whether
+// or not they lead the session. Sessions without workerId are unchanged.
+function leadWorker(session, workerId) {
+    const additionalIds = session.additional_worker_ids || [];
+    if (!additionalIds.includes(workerId)) {
+        return session;
+    }
+    return {
+        ...session,
+        support_worker_id: workerId,
+        additional_worker_ids: [session.support_worker_id, ...additionalIds.filter(id => id !== workerId)]
+    };
+}
+
+function staffChargeRuleLabel(rule) {
+    return (STAFF_CHARGE_RULES.find(option => option.key === rule) || { label: rule }).label;
+}
+
+function apportionRuleLabel(rule) {
+    return (APPORTION_RULES.find(option => option.key === rule) || { label: rule }).label;
+}
+
+// Delivered minutes between actual arrival and departure, less the break.
+// Departure before arrival means the session ran past midnight.
+function deliveredMinutes(actualStart, actualEnd, breakMinutes) {
+    if (actualStart.substring(0, 5) === actualEnd.substring(0, 5)) return 0;
+    return Math.max(workedMinutes(actualStart, actualEnd, breakMinutes), 0);
+}
+
+// Normalise the actual arrival and departure times from the edit form and
+// work out the delivered minutes once both are known. Call after
+// resolveDuration so the break has been parsed.
+function resolveActualTimes(req) {
+    const actualStart = req.body.actual_start_time || null;
+    const actualEnd = req.body.actual_end_time || null;
+    if (actualEnd && !actualStart) {
+        return [{
+            code: 'actual_start_required',
+            severity: 'error',
+            field: 'actual_start_time',
+            message: 'Enter the arrival time as well as the departure time'
+        }];
+    }
+
+    req.body.actual_start_time = actualStart;
+    req.body.actual_end_time = actualEnd;
+    req.body.actual_minutes = actualStart && actualEnd
+        ? deliveredMinutes(actualStart, actualEnd, req.body.break_minutes)
+        : null;
+    return [];
+}
+
+// Check a make-up session is booked against a provider-cancelled session the
+// resident is still owed hours for. Only single sessions for one resident can
+// be make-up sessions.
+async function resolveMakeup(req) {
+    req.body.makeup_for_session_id = req.body.makeup_for_session_id || null;
+    if (!req.body.makeup_for_session_id) {
+        return [];
+    }
+
+    if (req.body.apportion_rule || req.body.repeat) {
+        return [{
+            code: 'makeup_not_supported',
+            severity: 'error',
+            field: 'makeup_for_session_id',
+            message: 'Make-up hours can only be used by a single session for one resident'
+        }];
+    }
+
+    const outstanding = await getOutstandingOwedHours(req.body.resident_id);
+    if (!outstanding.some(entry => entry.source_session_id === req.body.makeup_for_session_id)) {
+        return [{
+            code: 'no_owed_hours',
+            severity: 'error',
+            field: 'makeup_for_session_id',
+            message: 'The resident is not owed any hours for the chosen cancelled session'
+        }];
+    }
+    return [];
+}
+
+// A make-up session uses hours owed to one resident, so it stays with them
+function keepMakeupResident(req, session) {
+    if (!session.makeup_for_session_id || req.body.resident_id === session.resident_id) {
+        return [];
+    }
+    return [{
+        code: 'makeup_resident_locked',
+        severity: 'error',
+        field: 'resident_id',
+        message: 'A make-up session cannot be moved to another resident; cancel it and book a new session instead'
+    }];
+}
+
+// Normalise the cancellation details from the edit form. Cancelled sessions
+// need who cancelled and why; no-shows default to the resident. Sessions that
+// keep their cancelled or no-show status keep the time notice was given unless
+// a new one is entered, and newly cancelled ones default to now.
+function resolveCancellation(req, session) {
+    if (!['cancelled', 'no_show'].includes(req.body.status)) {
+        req.body.cancellation_reason = null;
+        req.body.cancelled_by = null;
+        req.body.cancelled_at = null;
+        return [];
+    }
+
+    if (req.body.status === 'cancelled' && !(req.body.cancellation_reason && req.body.cancelled_by)) {
+        return [{
+            code: 'cancellation_details_required',
+            severity: 'error',
+            field: req.body.cancellation_reason ? 'cancelled_by' : 'cancellation_reason',
+            message: 'Choose who cancelled the session and why'
+        }];
+    }
+
+    const unchanged = session.status === req.body.status && session.cancelled_at;
+    req.body.cancellation_reason = req.body.cancellation_reason || null;
+    req.body.cancelled_by = req.body.cancelled_by || 'resident';
+    req.body.cancelled_at = req.body.notified_at || (unchanged ? session.cancelled_at : null);
+    return [];
+}
+
+// Reply to a check-in or check-out that cannot go ahead
+function rejectAttendance(req, res, status, message) {
+    if (wantsJson(req)) {
+        return res.status(status).json({ error: message });
+    }
+    res.status(status).render('error', {
+        title: 'Session Attendance',
+        message
+    });
+}
+
+// A booking is blocked by any error that cannot be overridden, by an
+// overridable error without an override reason, or by warnings the admin has
+// not acknowledged on the form
+function bookingBlocked(req, booking) {
+    const overridden = overrideReason(req).length > 0;
+    return booking.errors.some(issue => !(issue.overridable && overridden)) ||
+        (booking.warnings.length > 0 && !req.body.acknowledge_warnings);
+}
+
+// Reply to an invalid submission with JSON for API callers, or by
+// re-rendering the form with the problems listed for browsers
+function rejectSubmission(req, res, renderForm, status, locals) {
+    if (wantsJson(req)) {
+        return res.status(status).json({
+            error: locals.error,
+            errors: locals.errors || [],
+            warnings: locals.warnings || [],
+            overridable: !!locals.overridable
+        });
+    }
+    return renderForm({ ...locals, formData: req.body });
+}
+
+function rejectBooking(req, res, renderForm, booking) {
+    const blocking = booking.errors.length > 0;
+    // Offer the override only when every error can be overridden
+    const overridable = blocking && booking.errors.every(issue => issue.overridable);
+    return rejectSubmission(req, res, renderForm, 409, {
+        error: overridable
+            ? 'This session breaks a booking rule. Give a reason to override it, or change the booking'
+            : blocking
+                ? 'This session cannot be booked'
+                : 'Please review the warnings below and confirm to book anyway',
+        errors: booking.errors,
+        warnings: booking.warnings,
+        overridable
+    });
+}
+
+function describeSeries(session) {
+    return describeRule({
+        interval_weeks: session.series_interval_weeks,
+        weekdays: session.series_weekdays
+    });
+}
+
+// Build a recurrence rule from the create form's repeat fields
+function buildRecurrenceRule(formData) {
+    const intervals = { weekly: 1, fortnightly: 2 };
+    return {
+        start_date: formData.session_date,
+        interval_weeks: intervals[formData.repeat] || parseInt(formData.repeat_interval) || 1,
+        weekdays: normaliseWeekdays(formData.repeat_weekdays, formData.session_date),
+        end_date: formData.repeat_end === 'until' ? formData.repeat_until || null : null,
+        occurrence_count: formData.repeat_end === 'count' ? parseInt(formData.repeat_count) || null : null
+    };
+}
+
+// Create a recurring series and all of its occurrences
+async function createSeries(req, res) {
+    const renderForm = (locals) => renderCreateForm(res, locals);
+    const rule = buildRecurrenceRule(req.body);
+    const ruleError = (message) => rejectSubmission(req, res, renderForm, 400, {
+        error: message,
+        errors: [{ code: 'invalid_recurrence', severity: 'error', field: 'repeat', message }]
+    });
+
+    if (!rule.end_date && !rule.occurrence_count) {
+        return ruleError('Choose an end date or a number of occurrences for the repeating session');
+    }
+    if (rule.end_date && rule.end_date < rule.start_date) {
+        return ruleError('The repeat end date must be on or after the first session date');
+    }
+
+    const generated = generateOccurrences(rule);
+    if (generated.length === 0) {
+        return ruleError('The repeat pattern does not produce any sessions');
+    }
+
+    let created;
+    try {
+        created = await transaction(async (client) => {
+            // Series leave out bank holidays and the property's closure days
+            const closureDates = await closedDates(req.body.property_id, generated, client);
+            const occurrences = generated.filter(date => !closureDates.includes(date));
+            if (occurrences.length === 0) {
+                throw new BookingBlockedError(() => ruleError('Every date in the series is a bank holiday or closure day'));
+            }
+
+            // Run the booking checks against every generated occurrence
+            let dates = occurrences;
+            const results = await validateSeries(req.body, occurrences, { client });
+            const resultsByDate = Object.fromEntries(results.map(result => [result.session_date, result]));
+            const blockedDates = results
+                .filter(result => bookingBlocked(req, result))
+                .map(result => result.session_date);
+            if (blockedDates.length > 0) {
+                if (!req.body.skip_conflicts) {
+                    throw new BookingBlockedError(() => rejectBooking(req, res, renderForm, flattenSeriesIssues(results)));
+                }
+                dates = occurrences.filter(date => !blockedDates.includes(date));
+                if (dates.length === 0) {
+                    throw new BookingBlockedError(() => ruleError('None of the dates in the series can be booked'));
+                }
+            }
+
+            const series = await client.query(
+                `INSERT INTO session_series
+                 (resident_id, support_worker_id, property_id, support_type, start_time, end_time,
+                  duration_minutes, notes, interval_weeks, weekdays, start_date, end_date,
+                  occurrence_count, created_by, break_minutes, duration_override_reason,
+                  additional_worker_ids, staff_charge_rule)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+                 RETURNING id`,
+                [req.body.resident_id, req.body.support_worker_id, req.body.property_id,
+                 req.body.support_type, req.body.start_time, req.body.end_time,
+                 req.body.duration_minutes, req.body.notes || null, rule.interval_weeks,
+                 rule.weekdays, rule.start_date, rule.end_date, rule.occurrence_count, req.session.user.id,
+                 req.body.break_minutes, req.body.duration_override_reason,
+                 req.body.additional_worker_ids, req.body.staff_charge_rule]
+            );
+            const seriesId = series.rows[0].id;
+
+            const sessionIds = [];
+            for (const date of dates) {
+                const result = await client.query(
+                    `INSERT INTO support_sessions 
+                     (resident_id, support_worker_id, property_id, support_type, session_date, 
+                      start_time, end_time, duration_minutes, status, notes, created_by, series_id,
+                      break_minutes, duration_override_reason, additional_worker_ids, staff_charge_rule)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'planned', $9, $10, $11, $12, $13, $14, $15)
+                     RETURNING id`,
+                    [req.body.resident_id, req.body.support_worker_id, req.body.property_id,
+                     req.body.support_type, date, req.body.start_time, req.body.end_time,
+                     req.body.duration_minutes, req.body.notes || null,
+                     req.session.user.id, seriesId, req.body.break_minutes, req.body.duration_override_reason,
+                     req.body.additional_worker_ids, req.body.staff_charge_rule]
+                );
+                sessionIds.push(result.rows[0].id);
+                if (resultsByDate[date]) {
+                    await recordOverrides(result.rows[0].id, resultsByDate[date].errors,
+                        overrideReason(req), req.session.user.id, client);
+                }
+            }
+            return { firstSessionId: sessionIds[0], dates, blockedDates, closureDates };
+        });
+    } catch (error) {
+        if (error instanceof BookingBlockedError) return error.reject();
+        throw error;
+    }
+
+    if (wantsJson(req)) {
+        return res.status(201).json({
+            id: created.firstSessionId,
+            occurrences: created.dates,
+            skipped: created.blockedDates,
+            closed: created.closureDates
+        });
+    }
+    res.redirect('/sessions/' + created.firstSessionId);
+}
+
+// Validation for the edit form and the calendar's PATCH requests
+function sessionUpdateRules() {
+    return [
+        body('resident_id').if(isIndividual).isUUID(),
+        body('group_session').optional(),
+        body('attendee_ids').optional(),
+        body('apportion_rule').optional({ checkFalsy: true }).isIn(APPORTION_RULES.map(rule => rule.key)),
+        body('additional_worker_ids').optional(),
+        body('staff_charge_rule').optional({ checkFalsy: true }).isIn(STAFF_CHARGE_RULES.map(rule => rule.key)),
+        body('support_worker_id').isUUID(),
+        body('property_id').isUUID(),
+        body('support_type').isIn(['mental_health', 'domestic_independence', 'activity_group']),
+        body('session_date').isDate(),
+        body('start_time').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+        body('end_time').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+        body('break_minutes').optional({ checkFalsy: true }).isInt({ min: 0, max: MAX_SESSION_MINUTES }),
+        body('billable_minutes').optional({ checkFalsy: true }).isInt({ min: MIN_SESSION_MINUTES, max: MAX_SESSION_MINUTES }),
+        body('billable_reason').optional().trim(),
+        body('actual_start_time').optional({ checkFalsy: true }).matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+        body('actual_end_time').optional({ checkFalsy: true }).matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+        body('status').isIn(['planned', 'completed', 'cancelled', 'no_show']),
+        body('cancellation_reason').optional({ checkFalsy: true }).isIn(CANCELLATION_REASONS.map(reason => reason.key)),
+        body('cancelled_by').optional({ checkFalsy: true }).isIn(CANCELLED_BY.map(option => option.key)),
+        body('notified_at').optional({ checkFalsy: true }).matches(DATETIME_PATTERN),
+        body('notes').optional().trim(),
+        body('apply_to').optional().isIn(SERIES_SCOPES)
+    ];
+}
+
+// Save the edit form or a calendar PATCH. Changes to later occurrences of a
+// series are passed on to updateSeriesOccurrences.
+async function updateSession(req, res) {
+    try {
+        const session = await dbOps.getSessionById(req.params.id);
+        if (!session) {
+            if (wantsJson(req)) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            return res.status(404).render('error', {
+                title: 'Session Not Found',
+                message: 'The requested session does not exist'
+            });
+        }
+        const renderForm = (locals) => renderEditForm(res, session, locals);
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return rejectSubmission(req, res, renderForm, 400, {
+                error: 'Please provide valid session information',
+                errors: errors.array().map(fieldIssue)
+            });
+        }
+
+        if (req.body.start_time === req.body.end_time) {
+            return rejectSubmission(req, res, renderForm, 400, {
+                error: 'End time must be different from start time',
+                errors: [{ code: 'invalid_time_range', severity: 'error', field: 'end_time', message: 'End time must be different from start time' }]
+            });
+        }
+
+        const durationIssues = [
+            ...resolveDuration(req),
+            ...resolveActualTimes(req),
+            ...resolveGroup(req, Boolean(session.series_id)),
+            ...resolveStaff(req),
+            ...resolveCancellation(req, session),
+            ...keepMakeupResident(req, session)
+        ];
+        if (durationIssues.length > 0) {
+            return rejectSubmission(req, res, renderForm, 400, {
+                error: durationIssues[0].message,
+                errors: durationIssues
+            });
+        }
+
+        const applyTo = session.series_id ? (req.body.apply_to || 'occurrence') : 'occurrence';
+        if (applyTo !== 'occurrence') {
+            return await updateSeriesOccurrences(req, res, session, applyTo);
+        }
+
+        try {
+            await transaction(async (client) => {
+                let booking = { errors: [], warnings: [] };
+                if (needsBookingChecks(req.body.status)) {
+                    booking = await validateBooking(req.body, { excludeIds: [session.id], client });
+                    if (bookingBlocked(req, booking)) {
+                        throw new BookingBlockedError(() => rejectBooking(req, res, renderForm, booking));
+                    }
+                }
+
+                // Editing a single occurrence detaches it from later series-wide edits
+                await client.query(
+                    `UPDATE support_sessions 
+                     SET resident_id = $1, support_worker_id = $2, property_id = $3, support_type = $4, 
+                         session_date = $5, start_time = $6, end_time = $7, duration_minutes = $8, 
+                         status = $9, notes = $10, is_series_exception = (series_id IS NOT NULL),
+                         break_minutes = $12, duration_override_reason = $13,
+                         actual_start_time = $14, actual_end_time = $15, actual_minutes = $16,
+                         apportion_rule = $17, additional_worker_ids = $18, staff_charge_rule = $19,
+                         cancellation_reason = $20, cancelled_by = $21,
+                         cancelled_at = CASE WHEN $9::varchar IN ('cancelled', 'no_show')
+                             THEN COALESCE($22::timestamptz, CURRENT_TIMESTAMP) END,
+                         cancellation_notice_minutes = CASE WHEN $9::varchar IN ('cancelled', 'no_show')
+                             THEN ${noticeMinutesSql('COALESCE($22::timestamptz, CURRENT_TIMESTAMP)', '$5::date + $6::time')} END
+                     WHERE id = $11`,
+                    [req.body.resident_id, req.body.support_worker_id, req.body.property_id, 
+                     req.body.support_type, req.body.session_date, req.body.start_time, 
+                     req.body.end_time, req.body.duration_minutes, 
+                     req.body.status, req.body.notes || null, req.params.id,
+                     req.body.break_minutes, req.body.duration_override_reason,
+                     req.body.actual_start_time, req.body.actual_end_time, req.body.actual_minutes,
+                     req.body.apportion_rule, req.body.additional_worker_ids, req.body.staff_charge_rule,
+                     req.body.cancellation_reason, req.body.cancelled_by, req.body.cancelled_at]
+                );
+                await saveAttendees(client, session.id, req.body.attendee_ids);
+                await syncOwedHours([session.id], req.session.user.id, client);
+                await recordOverrides(session.id, booking.errors, overrideReason(req), req.session.user.id, client);
+            });
+        } catch (error) {
+            if (error instanceof BookingBlockedError) return error.reject();
+            throw error;
+        }
+
+        if (wantsJson(req)) {
+            return res.json({ success: true, id: session.id });
+        }
+        res.redirect('/sessions/' + req.params.id);
+    } catch (error) {
+        console.error('Session update error:', error);
+        if (wantsJson(req)) {
+            return res.status(500).json({ error: 'An error occurred updating the session' });
+        }
+        const session = await dbOps.getSessionById(req.params.id);
+        await renderEditForm(res, session, {
+            error: 'An error occurred updating the session',
+            formData: req.body
+        });
+    }
+}
+
+// Apply an edit to "this and following" occurrences or to the whole series.
+// Only planned occurrences that have not been edited individually are changed;
+// the occurrence being edited always receives the full update.
+async function updateSeriesOccurrences(req, res, session, applyTo) {
+    const scope = await query(
+        `SELECT id, TO_CHAR(session_date, 'YYYY-MM-DD') as session_date
+         FROM support_sessions
+         WHERE series_id = $1
+           AND (id = $2 OR (status = 'planned' AND is_series_exception = false))
+           AND ($3::text = 'series' OR session_date >= (SELECT session_date FROM support_sessions WHERE id = $2))
+         ORDER BY session_date`,
+        [session.series_id, session.id, applyTo]
+    );
+    const occurrences = scope.rows;
+    const current = occurrences.find(occurrence => occurrence.id === session.id);
+    const renderForm = (locals) => renderEditForm(res, session, locals);
+
+    if (req.body.session_date !== current.session_date) {
+        const message = 'A date change can only be applied to this occurrence';
+        return rejectSubmission(req, res, renderForm, 400, {
+            error: message,
+            errors: [{ code: 'invalid_scope', severity: 'error', field: 'session_date', message }]
+        });
+    }
+
+    const details = [req.body.resident_id, req.body.support_worker_id, req.body.property_id,
+        req.body.support_type, req.body.start_time, req.body.end_time,
+        req.body.duration_minutes, req.body.notes || null, req.body.break_minutes,
+        req.body.duration_override_reason, req.body.additional_worker_ids, req.body.staff_charge_rule];
+
+    try {
+        await transaction(async (client) => {
+            const results = await validateSeries(
+                req.body,
+                occurrences.map(occurrence => occurrence.session_date),
+                { excludeIds: occurrences.map(occurrence => occurrence.id), client }
+            );
+            const issues = flattenSeriesIssues(results);
+            if (bookingBlocked(req, issues)) {
+                throw new BookingBlockedError(() => rejectBooking(req, res, renderForm, issues));
+            }
+
+            let seriesId = session.series_id;
+
+            const earlier = await client.query(
+                `SELECT 1 FROM support_sessions WHERE series_id = $1 AND session_date < $2 LIMIT 1`,
+                [seriesId, current.session_date]
+            );
+
+            if (applyTo === 'following' && earlier.rows.length > 0) {
+                // Split the series: the original ends the day before this occurrence
+                // and a new series carries the changed details from here on
+                const split = await client.query(
+                    `INSERT INTO session_series
+                     (resident_id, support_worker_id, property_id, support_type, start_time, end_time,
+                      duration_minutes, notes, break_minutes, duration_override_reason,
+                      additional_worker_ids, staff_charge_rule, interval_weeks,
+                      weekdays, start_date, end_date, occurrence_count, created_by)
+                     SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, interval_weeks, weekdays, $13, end_date,
+                            CASE WHEN occurrence_count IS NULL THEN NULL
+                                 ELSE (SELECT COUNT(*) FROM support_sessions WHERE series_id = $14 AND session_date >= $13)
+                            END,
+                            $15
+                     FROM session_series WHERE id = $14
+                     RETURNING id`,
+                    [...details, current.session_date, seriesId, req.session.user.id]
+                );
+                await client.query(
+                    `UPDATE session_series
+                     SET end_date = $2::date - 1, occurrence_count = NULL, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $1`,
+                    [seriesId, current.session_date]
+                );
+                await client.query(
+                    `UPDATE support_sessions SET series_id = $2 WHERE series_id = $1 AND session_date >= $3`,
+                    [seriesId, split.rows[0].id, current.session_date]
+                );
+                seriesId = split.rows[0].id;
+            } else {
+                await client.query(
+                    `UPDATE session_series
+                     SET resident_id = $1, support_worker_id = $2, property_id = $3, support_type = $4,
+                         start_time = $5, end_time = $6, duration_minutes = $7, notes = $8,
+                         break_minutes = $9, duration_override_reason = $10,
+                         additional_worker_ids = $11, staff_charge_rule = $12, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $13`,
+                    [...details, seriesId]
+                );
+            }
+
+            await client.query(
+                `UPDATE support_sessions
+                 SET resident_id = $1, support_worker_id = $2, property_id = $3, support_type = $4,
+                     start_time = $5, end_time = $6, duration_minutes = $7, notes = $8,
+                     break_minutes = $9, duration_override_reason = $10,
+                     additional_worker_ids = $11, staff_charge_rule = $12
+                 WHERE id = ANY($13::uuid[])`,
+                [...details, occurrences.map(occurrence => occurrence.id)]
+            );
+            await client.query(
+                `UPDATE support_sessions s
+                 SET status = $1, actual_start_time = $3, actual_end_time = $4, actual_minutes = $5,
+                     cancellation_reason = $6, cancelled_by = $7,
+                     cancelled_at = CASE WHEN $1::varchar IN ('cancelled', 'no_show')
+                         THEN COALESCE($8::timestamptz, CURRENT_TIMESTAMP) END,
+                     cancellation_notice_minutes = CASE WHEN $1::varchar IN ('cancelled', 'no_show')
+                         THEN ${noticeMinutesSql('COALESCE($8::timestamptz, CURRENT_TIMESTAMP)')} END
+                 WHERE id = $2`,
+                [req.body.status, session.id, req.body.actual_start_time, req.body.actual_end_time,
+                 req.body.actual_minutes, req.body.cancellation_reason, req.body.cancelled_by,
+                 req.body.cancelled_at]
+            );
+            await syncOwedHours([session.id], req.session.user.id, client);
+
+            for (const occurrence of occurrences) {
+                await recordOverrides(occurrence.id,
+                    issues.errors.filter(issue => issue.session_date === occurrence.session_date),
+                    overrideReason(req), req.session.user.id, client);
+            }
+        });
+    } catch (error) {
+        if (error instanceof BookingBlockedError) return error.reject();
+        throw error;
+    }
+
+    if (wantsJson(req)) {
+        return res.json({ success: true, id: session.id, updated: occurrences.length });
+    }
+    res.redirect('/sessions/' + session.id);
+}
+
+module.exports = router;
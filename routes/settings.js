@@ -0,0 +1,691 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { dbOps, query } = require('../utils/database');
+const {
+    CANCELLED_BY,
+    CANCELLATION_REASONS,
+    CHARGEABLE_STATUSES,
+    describeChargeRule
+} = require('../utils/cancellations');
+const {
+    WEEK_STARTS,
+    SLOT_SIZES,
+    HOUR_OPTIONS,
+    getSettingRows,
+    saveOrganisationSettings,
+    saveUserSettings
+} = require('../utils/calendar-settings');
+const {
+    CLOSURE_TYPES,
+    BANK_HOLIDAY_REGIONS,
+    getClosuresInRange,
+    bundledBankHolidays,
+    parseIcsHolidays,
+    importBankHolidays
+} = require('../utils/closures');
+const {
+    SEND_HOURS,
+    DELIVERY_TRIGGERS,
+    previousMonthPeriod,
+    getScheduleRecipients,
+    sendScheduledReports,
+    sendTestReport
+} = require('../utils/report-emails');
+const { mailServer } = require('../utils/mailer');
+const { parseReportPeriod } = require('../utils/report-periods');
+const { today, yearMonthOf, addDays, daysBetween, formatDateTime } = require('../utils/dates');
+
+const router = express.Router();
+
+// Longest run of days one closure can cover
+const MAX_CLOSURE_DAYS = 31;
+
+// Most recent report emails shown in the delivery log
+const DELIVERY_LOG_LIMIT = 200;
+
+const REPORT_SCHEDULE_ERROR = 'Please give the schedule a name, a day from 1 to 28 and an hour to send';
+
+// Cancellation charging rules
+router.get('/cancellation-charging', requireAdmin, async (req, res) => {
+    try {
+        await renderChargingRules(res);
+    } catch (error) {
+        console.error('Cancellation charging rules error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'Unable to load cancellation charging rules'
+        });
+    }
+});
+
+// Add a charging rule
+router.post('/cancellation-charging/rules', requireAdmin, [
+    body('session_status').isIn(CHARGEABLE_STATUSES.map(status => status.key)),
+    body('cancelled_by').optional({ checkFalsy: true }).isIn(CANCELLED_BY.map(option => option.key)),
+    body('cancellation_reason').optional({ checkFalsy: true }).isIn(CANCELLATION_REASONS.map(reason => reason.key)),
+    body('min_notice_hours').optional({ checkFalsy: true }).isFloat({ gt: 0, max: 99999 }),
+    body('charge_percent').isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderChargingRules(res, {
+                error: 'Please choose a status, a notice period above zero if any, and a charge from 1 to 100%',
+                formData: req.body
+            });
+        }
+
+        await query(
+            `INSERT INTO cancellation_charge_rules
+             (session_status, cancelled_by, cancellation_reason, min_notice_hours, charge_percent, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [req.body.session_status, req.body.cancelled_by || null, req.body.cancellation_reason || null,
+             req.body.min_notice_hours || null, req.body.charge_percent, req.session.user.id]
+        );
+
+        res.redirect('/settings/cancellation-charging');
+    } catch (error) {
+        console.error('Cancellation charging rule create error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred adding the charging rule'
+        });
+    }
+});
+
+// Switch a charging rule on or off
+router.post('/cancellation-charging/rules/:ruleId/toggle', requireAdmin, async (req, res) => {
+    try {
+        await query(
+            `UPDATE cancellation_charge_rules
+             SET is_active = NOT is_active, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [req.params.ruleId]
+        );
+        res.redirect('/settings/cancellation-charging');
+    } catch (error) {
+        console.error('Cancellation charging rule update error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred updating the charging rule'
+        });
+    }
+});
+
+// Remove a charging rule
+router.post('/cancellation-charging/rules/:ruleId/delete', requireAdmin, async (req, res) => {
+    try {
+        await query('DELETE FROM cancellation_charge_rules WHERE id = $1', [req.params.ruleId]);
+        res.redirect('/settings/cancellation-charging');
+    } catch (error) {
+        console.error('Cancellation charging rule delete error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred removing the charging rule'
+        });
+    }
+});
+
+// Calendar settings: everyone's own, and the organisation's for admins
+router.get('/calendar', requireAuth, async (req, res) => {
+    try {
+        await renderCalendarSettings(req, res);
+    } catch (error) {
+        console.error('Calendar settings error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'Unable to load calendar settings'
+        });
+    }
+});
+
+// Save the organisation's calendar settings
+router.post('/calendar/organisation', requireAdmin, calendarSettingRules(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty() || req.body.day_end <= req.body.day_start) {
+            return renderCalendarSettings(req, res, {
+                organisationError: 'Please choose a week start, a slot size and visible hours that end after they start',
+                organisationForm: req.body
+            });
+        }
+
+        await saveOrganisationSettings(calendarSettingValues(req.body), req.session.user.id);
+        res.redirect('/settings/calendar');
+    } catch (error) {
+        console.error('Organisation calendar settings error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred saving the calendar settings'
+        });
+    }
+});
+
+// Save the signed-in user's own calendar settings. Blank values follow the
+// organisation.
+router.post('/calendar/user', requireAuth, calendarSettingRules(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const { organisation } = await getSettingRows(req.session.user.id);
+        const dayStart = req.body.day_start || organisation.day_start;
+        const dayEnd = req.body.day_end || organisation.day_end;
+        if (!errors.isEmpty() || (dayStart && dayEnd && dayEnd <= dayStart)) {
+            return renderCalendarSettings(req, res, {
+                userError: 'Please choose visible hours that end after they start',
+                userForm: req.body
+            });
+        }
+
+        await saveUserSettings(req.session.user.id, calendarSettingValues(req.body));
+        res.redirect('/settings/calendar');
+    } catch (error) {
+        console.error('User calendar settings error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred saving your calendar settings'
+        });
+    }
+});
+
+// Bank holidays and closure days for a year
+router.get('/closures', requireAdmin, async (req, res) => {
+    try {
+        await renderClosures(req, res);
+    } catch (error) {
+        console.error('Closure days error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'Unable to load closure days'
+        });
+    }
+});
+
+// Close the organisation or a property for a day or a run of days
+router.post('/closures', requireAdmin, [
+    body('closure_type').isIn(['organisation', 'property']),
+    body('property_id').if(body('closure_type').equals('property')).isUUID(),
+    body('start_date').isDate(),
+    body('end_date').optional({ checkFalsy: true }).isDate(),
+    body('name').trim().isLength({ min: 1, max: 150 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const endDate = req.body.end_date || req.body.start_date;
+        const days = errors.isEmpty() ? daysBetween(req.body.start_date, endDate) + 1 : 0;
+        if (days < 1 || days > MAX_CLOSURE_DAYS) {
+            return renderClosures(req, res, {
+                error: `Please give a name, a property for property closures, and up to ${MAX_CLOSURE_DAYS} days ` +
+                    'ending on or after the first',
+                formData: req.body
+            });
+        }
+
+        const propertyId = req.body.closure_type === 'property' ? req.body.property_id : null;
+        for (let day = 0; day < days; day++) {
+            await query(
+                `INSERT INTO closure_days (closure_date, name, closure_type, property_id, blocks_sessions, created_by)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 ON CONFLICT DO NOTHING`,
+                [addDays(req.body.start_date, day), req.body.name, req.body.closure_type, propertyId,
+                 !!req.body.blocks_sessions, req.session.user.id]
+            );
+        }
+
+        res.redirect('/settings/closures?year=' + req.body.start_date.substring(0, 4));
+    } catch (error) {
+        console.error('Closure day create error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred adding the closure'
+        });
+    }
+});
+
+// Import UK bank holidays from the bundled list or an uploaded .ics file
+router.post('/closures/import', requireAdmin, [
+    body('source').isIn(['bundled', 'ics']),
+    body('region').if(body('source').equals('bundled')).isIn(BANK_HOLIDAY_REGIONS.map(region => region.key)),
+    body('ics').if(body('source').equals('ics')).isLength({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        let holidays = [];
+        if (errors.isEmpty()) {
+            holidays = req.body.source === 'bundled' ? bundledBankHolidays(req.body.region) : parseIcsHolidays(req.body.ics);
+        }
+        if (holidays.length === 0) {
+            return renderClosures(req, res, {
+                importError: req.body.source === 'ics'
+                    ? 'No all-day events were found in the calendar file'
+                    : 'Please choose a region to import',
+                importForm: req.body
+            });
+        }
+
+        const added = await importBankHolidays(holidays, req.body.source, req.session.user.id);
+        await renderClosures(req, res, {
+            importMessage: `Imported ${added} of ${holidays.length} bank holidays` +
+                (added < holidays.length ? '; the rest were already listed' : '')
+        });
+    } catch (error) {
+        console.error('Bank holiday import error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred importing the bank holidays'
+        });
+    }
+});
+
+// Switch a closure between blocking sessions and only warning about them
+router.post('/closures/:closureId/toggle', requireAdmin, async (req, res) => {
+    try {
+        const result = await query(
+            `UPDATE closure_days SET blocks_sessions = NOT blocks_sessions WHERE id = $1
+             RETURNING TO_CHAR(closure_date, 'YYYY') as year`,
+            [req.params.closureId]
+        );
+        res.redirect('/settings/closures' + (result.rows[0] ? '?year=' + result.rows[0].year : ''));
+    } catch (error) {
+        console.error('Closure day update error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred updating the closure'
+        });
+    }
+});
+
+// Remove a closure day
+router.post('/closures/:closureId/delete', requireAdmin, async (req, res) => {
+    try {
+        const result = await query(
+            `DELETE FROM closure_days WHERE id = $1 RETURNING TO_CHAR(closure_date, 'YYYY') as year`,
+            [req.params.closureId]
+        );
+        res.redirect('/settings/closures' + (result.rows[0] ? '?year=' + result.rows[0].year : ''));
+    } catch (error) {
+        console.error('Closure day delete error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred removing the closure'
+        });
+    }
+});
+
+// Monthly report emails to property managers: schedules and recipients
+router.get('/report-emails', requireAdmin, async (req, res) => {
+    try {
+        await renderReportEmails(req, res);
+    } catch (error) {
+        console.error('Report emails error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'Unable to load report emails'
+        });
+    }
+});
+
+// Add a schedule. It first sends next month, for this month's figures.
+router.post('/report-emails/schedules', requireAdmin, reportScheduleRules(), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderReportEmails(req, res, { error: REPORT_SCHEDULE_ERROR, formData: req.body });
+        }
+
+        await query(
+            `INSERT INTO report_schedules (name, day_of_month, send_hour, include_managers, is_active, last_period_start, created_by)
+             VALUES ($1, $2, $3, $4, true, $5, $6)`,
+            [req.body.name, req.body.day_of_month, req.body.send_hour, !!req.body.include_managers,
+             previousMonthPeriod(today()).start, req.session.user.id]
+        );
+
+        res.redirect('/settings/report-emails');
+    } catch (error) {
+        console.error('Report schedule create error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred adding the schedule'
+        });
+    }
+});
+
+// Change a schedule's name, timing and recipients, or pause it
+router.post('/report-emails/schedules/:scheduleId', requireAdmin, reportScheduleRules(), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderReportEmails(req, res, { error: REPORT_SCHEDULE_ERROR });
+        }
+
+        await query(
+            `UPDATE report_schedules
+             SET name = $1, day_of_month = $2, send_hour = $3, include_managers = $4, is_active = $5,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $6`,
+            [req.body.name, req.body.day_of_month, req.body.send_hour, !!req.body.include_managers,
+             !!req.body.is_active, req.params.scheduleId]
+        );
+
+        res.redirect('/settings/report-emails');
+    } catch (error) {
+        console.error('Report schedule update error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred updating the schedule'
+        });
+    }
+});
+
+// Remove a schedule and its recipients. Its deliveries stay in the log.
+router.post('/report-emails/schedules/:scheduleId/delete', requireAdmin, async (req, res) => {
+    try {
+        await query('DELETE FROM report_schedules WHERE id = $1', [req.params.scheduleId]);
+        res.redirect('/settings/report-emails');
+    } catch (error) {
+        console.error('Report schedule delete error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred removing the schedule'
+        });
+    }
+});
+
+// Send a property's summaries to another address as well as its manager
+router.post('/report-emails/schedules/:scheduleId/recipients', requireAdmin, [
+    body('property_id').isUUID(),
+    body('email').trim().isEmail()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderReportEmails(req, res, {
+                error: 'Please choose a property and enter a valid email address',
+                recipientForm: { ...req.body, schedule_id: req.params.scheduleId }
+            });
+        }
+
+        await query(
+            `INSERT INTO report_recipients (schedule_id, property_id, email, created_by)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT DO NOTHING`,
+            [req.params.scheduleId, req.body.property_id, req.body.email, req.session.user.id]
+        );
+
+        res.redirect('/settings/report-emails');
+    } catch (error) {
+        console.error('Report recipient create error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred adding the recipient'
+        });
+    }
+});
+
+// Stop sending to an added recipient
+router.post('/report-emails/recipients/:recipientId/delete', requireAdmin, async (req, res) => {
+    try {
+        await query('DELETE FROM report_recipients WHERE id = $1', [req.params.recipientId]);
+        res.redirect('/settings/report-emails');
+    } catch (error) {
+        console.error('Report recipient delete error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred removing the recipient'
+        });
+    }
+});
+
+// Send a schedule's summaries for a month now, to every property or one.
+// The schedule still sends on its day as usual.
+router.post('/report-emails/schedules/:scheduleId/send', requireAdmin, [
+    body('month').matches(/^\d{4}-\d{2}$/),
+    body('property_id').optional({ checkFalsy: true }).isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const schedule = (await query('SELECT * FROM report_schedules WHERE id = $1', [req.params.scheduleId])).rows[0];
+        if (!schedule) {
+            return res.status(404).render('error', {
+                title: 'Schedule Not Found',
+                message: 'The requested report schedule could not be found'
+            });
+        }
+        if (!errors.isEmpty()) {
+            return renderReportEmails(req, res, { error: 'Please choose a month to send' });
+        }
+
+        const period = monthPeriod(req.body.month);
+        const counts = await sendScheduledReports(schedule, period, {
+            triggeredBy: 'manual',
+            userId: req.session.user.id,
+            propertyId: req.body.property_id || null
+        });
+
+        const summary = `Sent ${counts.sent} of ${counts.sent + counts.failed} emails for ${period.label}`;
+        if (counts.sent + counts.failed === 0) {
+            await renderReportEmails(req, res, { error: `Nobody receives ${schedule.name} for the properties chosen` });
+        } else if (counts.failed > 0) {
+            await renderReportEmails(req, res, { error: `${summary}; see the delivery log for the failures` });
+        } else {
+            await renderReportEmails(req, res, { message: summary });
+        }
+    } catch (error) {
+        console.error('Report send error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred sending the reports'
+        });
+    }
+});
+
+// Send one property's summary to any address, to check the email and the
+// mail server
+router.post('/report-emails/test', requireAdmin, [
+    body('email').trim().isEmail(),
+    body('property_id').isUUID(),
+    body('month').matches(/^\d{4}-\d{2}$/)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderReportEmails(req, res, {
+                testError: 'Please enter a valid email address and choose a property and month',
+                testForm: req.body
+            });
+        }
+
+        const period = monthPeriod(req.body.month);
+        const status = await sendTestReport(req.body.property_id, period, req.body.email, req.session.user.id);
+        const results = {
+            sent: { testMessage: `Sent a test email to ${req.body.email}` },
+            failed: { testError: 'The test email could not be sent; see the delivery log for the reason' }
+        };
+        await renderReportEmails(req, res, {
+            ...(results[status] || { testError: 'Please choose an active property' }),
+            testForm: req.body
+        });
+    } catch (error) {
+        console.error('Report test email error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'An error occurred sending the test email'
+        });
+    }
+});
+
+// Emails sent and failed, newest first
+router.get('/report-emails/log', requireAdmin, async (req, res) => {
+    try {
+        const status = ['sent', 'failed'].includes(req.query.status) ? req.query.status : null;
+        const result = await query(
+            `SELECT d.*, TO_CHAR(d.period_start, 'YYYY-MM-DD') as period_start, rs.name as schedule_name,
+                    u.first_name as sent_by_first_name, u.last_name as sent_by_last_name
+             FROM report_deliveries d
+             LEFT JOIN report_schedules rs ON d.schedule_id = rs.id
+             LEFT JOIN users u ON d.sent_by = u.id
+             WHERE ($1::text IS NULL OR d.status = $1)
+             ORDER BY d.created_at DESC
+             LIMIT ${DELIVERY_LOG_LIMIT}`,
+            [status]
+        );
+
+        res.render('settings/report-email-log', {
+            title: 'Report Email Log - Support Hours Tracker',
+            deliveries: result.rows.map(delivery => ({
+                ...delivery,
+                sent_at: formatDateTime(delivery.created_at).substring(0, 17),
+                period_label: parseReportPeriod({ period: 'month', ...yearMonthOf(delivery.period_start) }).label,
+                trigger_label: (DELIVERY_TRIGGERS.find(trigger => trigger.key === delivery.triggered_by) || {}).label
+            })),
+            status,
+            limit: DELIVERY_LOG_LIMIT
+        });
+    } catch (error) {
+        console.error('Report email log error:', error);
+        res.render('error', {
+            title: 'Settings Error',
+            message: 'Unable to load the report email log'
+        });
+    }
+});
+
+// Helper functions
+async function renderChargingRules(res, locals = {}) {
+    const result = await query(
+        `SELECT * FROM cancellation_charge_rules
+         ORDER BY is_active DESC, session_status, min_notice_hours NULLS FIRST, created_at`
+    );
+
+    res.render('settings/cancellation-charging', {
+        title: 'Cancellation Charging - Support Hours Tracker',
+        rules: result.rows.map(rule => ({ ...rule, description: describeChargeRule(rule) })),
+        statuses: CHARGEABLE_STATUSES,
+        cancelledByOptions: CANCELLED_BY,
+        cancellationReasons: CANCELLATION_REASONS,
+        ...locals
+    });
+}
+
+// Validation for the calendar settings forms. Users may leave settings blank
+// to follow the organisation.
+function calendarSettingRules(optional) {
+    const field = (name) => optional ? body(name).optional({ checkFalsy: true }) : body(name);
+    return [
+        field('week_start').isIn(WEEK_STARTS.map(option => String(option.key))),
+        field('day_start').isIn(HOUR_OPTIONS.slice(0, -1)),
+        field('day_end').isIn(HOUR_OPTIONS.slice(1)),
+        field('slot_minutes').isIn(SLOT_SIZES.map(option => String(option.key)))
+    ];
+}
+
+function calendarSettingValues(form) {
+    return {
+        week_start: form.week_start === '' || form.week_start === undefined ? null : parseInt(form.week_start),
+        day_start: form.day_start || null,
+        day_end: form.day_end || null,
+        slot_minutes: form.slot_minutes ? parseInt(form.slot_minutes) : null
+    };
+}
+
+async function renderCalendarSettings(req, res, locals = {}) {
+    const { organisation, user } = await getSettingRows(req.session.user.id);
+    res.render('settings/calendar', {
+        title: 'Calendar Settings - Support Hours Tracker',
+        weekStarts: WEEK_STARTS,
+        slotSizes: SLOT_SIZES,
+        startHours: HOUR_OPTIONS.slice(0, -1),
+        endHours: HOUR_OPTIONS.slice(1),
+        organisationForm: organisation,
+        userForm: user,
+        ...locals
+    });
+}
+
+// The closures page for the year in the query string, with the number of
+// planned sessions already booked on each closure day
+async function renderClosures(req, res, locals = {}) {
+    const year = parseInt(req.query.year) || yearMonthOf(today()).year;
+    const closures = await getClosuresInRange(`${year}-01-01`, `${year}-12-31`);
+    const booked = await query(
+        `SELECT c.id, COUNT(s.id) as planned_sessions
+         FROM closure_days c
+         JOIN support_sessions s ON s.session_date = c.closure_date AND s.status = 'planned'
+              AND (c.property_id IS NULL OR s.property_id = c.property_id)
+         WHERE c.closure_date BETWEEN $1 AND $2
+         GROUP BY c.id`,
+        [`${year}-01-01`, `${year}-12-31`]
+    );
+    const plannedSessions = Object.fromEntries(booked.rows.map(row => [row.id, parseInt(row.planned_sessions)]));
+
+    res.render('settings/closures', {
+        title: 'Closure Days - Support Hours Tracker',
+        year,
+        previousYear: year - 1,
+        nextYear: year + 1,
+        closures: closures.map(closure => ({ ...closure, planned_sessions: plannedSessions[closure.id] || 0 })),
+        closureTypes: CLOSURE_TYPES.filter(type => type.key !== 'bank_holiday'),
+        regions: BANK_HOLIDAY_REGIONS,
+        properties: await dbOps.getAllProperties(),
+        maxClosureDays: MAX_CLOSURE_DAYS,
+        ...locals
+    });
+}
+
+function reportScheduleRules() {
+    return [
+        body('name').trim().isLength({ min: 1, max: 150 }),
+        body('day_of_month').isInt({ min: 1, max: 28 }),
+        body('send_hour').isInt({ min: 0, max: 23 })
+    ];
+}
+
+// The month period for a 'YYYY-MM' month input
+function monthPeriod(value) {
+    const [year, month] = value.split('-');
+    return parseReportPeriod({ period: 'month', year, month });
+}
+
+// The report emails page: each schedule with its recipients per property,
+// and the latest deliveries
+async function renderReportEmails(req, res, locals = {}) {
+    const schedules = await query('SELECT * FROM report_schedules ORDER BY created_at');
+    const added = await query(
+        `SELECT id, schedule_id, property_id, email FROM report_recipients ORDER BY email`
+    );
+    const recent = await query(
+        `SELECT d.*, TO_CHAR(d.period_start, 'YYYY-MM-DD') as period_start
+         FROM report_deliveries d
+         ORDER BY d.created_at DESC
+         LIMIT 10`
+    );
+    const lastMonth = previousMonthPeriod(today());
+    const monthLabel = (dateKey) => parseReportPeriod({ period: 'month', ...yearMonthOf(dateKey) }).label;
+
+    res.render('settings/report-emails', {
+        title: 'Report Emails - Support Hours Tracker',
+        schedules: await Promise.all(schedules.rows.map(async schedule => ({
+            ...schedule,
+            send_time: SEND_HOURS[schedule.send_hour].label,
+            last_sent: schedule.last_period_start ? monthLabel(schedule.last_period_start) : null,
+            properties: (await getScheduleRecipients(schedule)).map(property => ({
+                ...property,
+                manager_recipient: schedule.include_managers ? property.manager_email : null,
+                added: added.rows.filter(recipient =>
+                    recipient.schedule_id === schedule.id && recipient.property_id === property.id)
+            }))
+        }))),
+        deliveries: recent.rows.map(delivery => ({
+            ...delivery,
+            sent_at: formatDateTime(delivery.created_at).substring(0, 17),
+            period_label: monthLabel(delivery.period_start)
+        })),
+        properties: await dbOps.getAllProperties(),
+        sendHours: SEND_HOURS,
+        lastMonth: lastMonth.start.substring(0, 7),
+        mailServer: mailServer(),
+        ...locals
+    });
+}
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
-const { dbOps, query } = require('../utils/database');
+const { dbOps, query, transaction } = require('../utils/database');
+const { getWorkerHours, formatDateKey, ABSENCE_TYPES, absenceLabel } = require('../utils/scheduling');
+const { WEEKDAY_NAMES } = require('../utils/recurrence');
+const { today: todayKey, yearMonthOf, addDays, weekStartOf, monthStart, monthEnd } = require('../utils/dates');
+const { RESIDENT_NAME_COLUMNS } = require('../utils/group-sessions');
+const { workerBookedSql } = require('../utils/session-staff');
+const { getFeedUrl } = require('../utils/calendar-feeds');
 
 const router = express.Router();
 
@@ -101,43 +107,41 @@ router.get('/:id', requireAuth, async (req, res) => {
         }
         
         // Get support worker's sessions for current month
-        const currentDate = new Date();
-        const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-        const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+        const currentMonth = yearMonthOf(todayKey());
+        const startOfMonth = monthStart(currentMonth.year, currentMonth.month);
+        const endOfMonth = monthEnd(currentMonth.year, currentMonth.month);
         
         const sessions = await query(
             `SELECT s.*, 
-                    r.first_name as resident_first_name, r.last_name as resident_last_name,
+                    ${RESIDENT_NAME_COLUMNS},
                     p.name as property_name
              FROM support_sessions s
-             JOIN residents r ON s.resident_id = r.id
+             LEFT JOIN residents r ON s.resident_id = r.id
              JOIN properties p ON s.property_id = p.id
-             WHERE s.support_worker_id = $1 
+             WHERE ${workerBookedSql('$1')}
                AND s.session_date BETWEEN $2 AND $3
              ORDER BY s.session_date DESC, s.start_time DESC`,
-            [supportWorker.id, startOfMonth.toISOString().split('T')[0], endOfMonth.toISOString().split('T')[0]]
+            [supportWorker.id, startOfMonth, endOfMonth]
         );
         
         // Calculate workload statistics
         const completedSessions = sessions.rows.filter(s => s.status === 'completed');
-        const totalHoursWorked = completedSessions.reduce((sum, session) => sum + (session.duration_minutes / 60), 0);
+        const totalHoursWorked = completedSessions.reduce((sum, session) => sum + ((session.actual_minutes ?? session.duration_minutes) / 60), 0);
         const monthlyUtilization = supportWorker.max_hours_per_month > 0 
             ? ((totalHoursWorked / supportWorker.max_hours_per_month) * 100).toFixed(1)
             : 0;
         
-        // Get current week's hours
-        const startOfWeek = new Date();
-        startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
-        const endOfWeek = new Date(startOfWeek);
-        endOfWeek.setDate(endOfWeek.getDate() + 6);
+        // Get current week's hours, Sunday to Saturday
+        const startOfWeek = weekStartOf(todayKey(), 0);
+        const endOfWeek = addDays(startOfWeek, 6);
         
         const weekSessions = await query(
-            `SELECT SUM(duration_minutes) / 60.0 as weekly_hours
-             FROM support_sessions
-             WHERE support_worker_id = $1 
-               AND session_date BETWEEN $2 AND $3
-               AND status = 'completed'`,
-            [supportWorker.id, startOfWeek.toISOString().split('T')[0], endOfWeek.toISOString().split('T')[0]]
+            `SELECT SUM(COALESCE(s.actual_minutes, s.duration_minutes)) / 60.0 as weekly_hours
+             FROM support_sessions s
+             WHERE ${workerBookedSql('$1')}
+               AND s.session_date BETWEEN $2 AND $3
+               AND s.status = 'completed'`,
+            [supportWorker.id, startOfWeek, endOfWeek]
         );
         
         const weeklyHours = weekSessions.rows[0].weekly_hours || 0;
@@ -145,10 +149,30 @@ router.get('/:id', requireAuth, async (req, res) => {
             ? ((weeklyHours / supportWorker.max_hours_per_week) * 100).toFixed(1)
             : 0;
         
+        // Booked (completed and planned) hours against the caps for the
+        // current ISO week and calendar month
+        const today = todayKey();
+        const hours = await getWorkerHours(supportWorker.id, today);
+        
+        const availability = await dbOps.getWorkerAvailability(supportWorker.id);
+        const absences = await describeAbsences(supportWorker.id, today);
+        
         res.render('support-workers/view', {
             title: `${supportWorker.first_name} ${supportWorker.last_name} - Support Workers`,
             supportWorker: supportWorker,
+            feedUrl: await getFeedUrl(req, 'support_worker', supportWorker.id),
             sessions: sessions.rows,
+            headroom: [
+                describeHeadroom('This Week', `${formatDateKey(hours.week_start)} - ${formatDateKey(hours.week_end)}`,
+                    hours.week_booked_minutes, hours.week_cap_minutes),
+                describeHeadroom('This Month', hours.month_label,
+                    hours.month_booked_minutes, hours.month_cap_minutes)
+            ],
+            availability: availability.map(slot => ({
+                ...slot,
+                dayName: WEEKDAY_NAMES[slot.weekday]
+            })),
+            absences: absences,
             stats: {
                 totalHoursWorked: totalHoursWorked.toFixed(1),
                 monthlyUtilization: monthlyUtilization,
@@ -256,4 +280,192 @@ router.post('/:id/edit', requireAdmin, [
     }
 });
 
+// Availability and absences
+router.get('/:id/availability', requireAdmin, async (req, res) => {
+    try {
+        const supportWorker = await dbOps.getSupportWorkerById(req.params.id);
+        if (!supportWorker) {
+            return res.status(404).render('error', {
+                title: 'Support Worker Not Found',
+                message: 'The requested support worker does not exist'
+            });
+        }
+        
+        await renderAvailabilityForm(res, supportWorker);
+    } catch (error) {
+        console.error('Support worker availability form error:', error);
+        res.render('error', {
+            title: 'Support Worker Error',
+            message: 'Unable to load support worker availability'
+        });
+    }
+});
+
+// Replace the weekly availability template
+router.post('/:id/availability', requireAdmin, async (req, res) => {
+    try {
+        const supportWorker = await dbOps.getSupportWorkerById(req.params.id);
+        if (!supportWorker) {
+            return res.status(404).render('error', {
+                title: 'Support Worker Not Found',
+                message: 'The requested support worker does not exist'
+            });
+        }
+        
+        const slots = [];
+        for (let weekday = 0; weekday < 7; weekday++) {
+            if (!req.body[`available_${weekday}`]) continue;
+            
+            const startTime = req.body[`start_time_${weekday}`];
+            const endTime = req.body[`end_time_${weekday}`];
+            if (!/^\d{2}:\d{2}/.test(startTime || '') || !/^\d{2}:\d{2}/.test(endTime || '') || endTime <= startTime) {
+                return renderAvailabilityForm(res, supportWorker, {
+                    error: `Please give a valid start and end time for ${WEEKDAY_NAMES[weekday]}`,
+                    formData: req.body
+                });
+            }
+            slots.push({ weekday, startTime, endTime });
+        }
+        
+        await transaction(async (client) => {
+            await client.query('DELETE FROM worker_availability WHERE support_worker_id = $1', [supportWorker.id]);
+            for (const slot of slots) {
+                await client.query(
+                    `INSERT INTO worker_availability (support_worker_id, weekday, start_time, end_time)
+                     VALUES ($1, $2, $3, $4)`,
+                    [supportWorker.id, slot.weekday, slot.startTime, slot.endTime]
+                );
+            }
+        });
+        
+        res.redirect('/support-workers/' + supportWorker.id + '/availability');
+    } catch (error) {
+        console.error('Support worker availability update error:', error);
+        res.render('error', {
+            title: 'Support Worker Error',
+            message: 'An error occurred updating the availability'
+        });
+    }
+});
+
+// Record an absence
+router.post('/:id/absences', requireAdmin, [
+    body('absence_type').isIn(ABSENCE_TYPES.map(type => type.key)),
+    body('start_date').isDate(),
+    body('end_date').isDate(),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const supportWorker = await dbOps.getSupportWorkerById(req.params.id);
+        if (!supportWorker) {
+            return res.status(404).render('error', {
+                title: 'Support Worker Not Found',
+                message: 'The requested support worker does not exist'
+            });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty() || req.body.end_date < req.body.start_date) {
+            return renderAvailabilityForm(res, supportWorker, {
+                absenceError: 'Please provide an absence type and a valid date range',
+                absenceData: req.body
+            });
+        }
+        
+        await query(
+            `INSERT INTO worker_absences (support_worker_id, absence_type, start_date, end_date, notes, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [supportWorker.id, req.body.absence_type, req.body.start_date, req.body.end_date,
+             req.body.notes || null, req.session.user.id]
+        );
+        
+        res.redirect('/support-workers/' + supportWorker.id + '/availability');
+    } catch (error) {
+        console.error('Support worker absence create error:', error);
+        res.render('error', {
+            title: 'Support Worker Error',
+            message: 'An error occurred recording the absence'
+        });
+    }
+});
+
+// Remove an absence
+router.post('/:id/absences/:absenceId/delete', requireAdmin, async (req, res) => {
+    try {
+        await query(
+            'DELETE FROM worker_absences WHERE id = $1 AND support_worker_id = $2',
+            [req.params.absenceId, req.params.id]
+        );
+        res.redirect('/support-workers/' + req.params.id + '/availability');
+    } catch (error) {
+        console.error('Support worker absence delete error:', error);
+        res.render('error', {
+            title: 'Support Worker Error',
+            message: 'An error occurred removing the absence'
+        });
+    }
+});
+
+// Helper functions
+async function renderAvailabilityForm(res, supportWorker, locals = {}) {
+    const availability = await dbOps.getWorkerAvailability(supportWorker.id);
+    const formData = locals.formData;
+    
+    // Monday first, one availability window per day
+    const days = [1, 2, 3, 4, 5, 6, 0].map(weekday => {
+        const slot = availability.find(existing => existing.weekday === weekday);
+        if (formData) {
+            return {
+                weekday,
+                name: WEEKDAY_NAMES[weekday],
+                available: !!formData[`available_${weekday}`],
+                startTime: formData[`start_time_${weekday}`],
+                endTime: formData[`end_time_${weekday}`]
+            };
+        }
+        return {
+            weekday,
+            name: WEEKDAY_NAMES[weekday],
+            available: !!slot,
+            startTime: slot ? slot.start_time.substring(0, 5) : '09:00',
+            endTime: slot ? slot.end_time.substring(0, 5) : '17:00'
+        };
+    });
+    
+    res.render('support-workers/availability', {
+        title: `Availability - ${supportWorker.first_name} ${supportWorker.last_name} - Support Workers`,
+        supportWorker: supportWorker,
+        days: days,
+        hasTemplate: availability.length > 0,
+        absences: await describeAbsences(supportWorker.id, todayKey()),
+        absenceTypes: ABSENCE_TYPES,
+        ...locals
+    });
+}
+
+// Upcoming absences with the planned sessions each one affects
+async function describeAbsences(workerId, fromDate) {
+    const absences = await dbOps.getWorkerAbsences(workerId, fromDate);
+    const affected = await dbOps.getSessionsAffectedByAbsences(workerId, fromDate);
+    return absences.map(absence => ({
+        ...absence,
+        label: absenceLabel(absence.absence_type),
+        affectedSessions: affected.filter(session => session.absence_id === absence.id)
+    }));
+}
+
+function describeHeadroom(label, period, bookedMinutes, capMinutes) {
+    const percentage = capMinutes ? Math.round((bookedMinutes / capMinutes) * 100) : 0;
+    return {
+        label: label,
+        period: period,
+        bookedHours: (bookedMinutes / 60).toFixed(1),
+        capHours: capMinutes === null ? null : (capMinutes / 60).toFixed(1),
+        remainingHours: capMinutes === null ? null : ((capMinutes - bookedMinutes) / 60).toFixed(1),
+        percentage: percentage,
+        barWidth: Math.min(percentage, 100),
+        overCap: capMinutes !== null && bookedMinutes > capMinutes
+    };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -19,6 +19,11 @@ const supportWorkerRoutes = require('./routes/support-workers');
 const sessionRoutes = require('./routes/sessions');
 const reportRoutes = require('./routes/reports');
 const calendarRoutes = require('./routes/calendar');
+const settingsRoutes = require('./routes/settings');
+const feedRoutes = require('./routes/feeds');
+const dates = require('./utils/dates');
+const { supportTypeColor } = require('./utils/scheduling');
+const { startReportScheduler } = require('./utils/report-emails');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -115,29 +120,27 @@ const hbs = exphbs.create({
     helpers: {
         formatDate: (date) => {
             if (!date) return '';
-            return new Date(date).toLocaleDateString('en-GB');
+            return dates.formatDay(dates.toDateKey(date));
         },
         formatTime: (time) => {
             if (!time) return '';
             return time.substring(0, 5); // Remove seconds
         },
+        // Overnight sessions end on the day after they start
+        endsNextDay: (startTime, endTime) => {
+            if (!startTime || !endTime) return false;
+            return endTime.substring(0, 5) <= startTime.substring(0, 5);
+        },
         formatDateTime: (dateTime) => {
             if (!dateTime) return '';
-            return new Date(dateTime).toLocaleString('en-GB');
+            return dates.formatDateTime(dateTime);
         },
         eq: (a, b) => a === b,
         or: (a, b) => a || b,
         and: (a, b) => a && b,
         json: (obj) => JSON.stringify(obj),
         capitalize: (str) => str.charAt(0).toUpperCase() + str.slice(1),
-        supportTypeColor: (type) => {
-            const colors = {
-                'mental_health': '#dc3545',
-                'domestic_independence': '#28a745',
-                'activity_group': '#007bff'
-            };
-            return colors[type] || '#6c757d';
-        },
+        supportTypeColor,
         supportTypeLabel: (type) => {
             const labels = {
                 'mental_health': 'Mental Health Support',
@@ -156,8 +159,7 @@ const hbs = exphbs.create({
         lte: (a, b) => a <= b,
         formatDateInput: (date) => {
             if (!date) return '';
-            const d = new Date(date);
-            return d.toISOString().split('T')[0];
+            return dates.toDateKey(date);
         },
         contains: (array, item) => {
             if (!array || !Array.isArray(array)) return false;
@@ -190,27 +192,16 @@ const hbs = exphbs.create({
             }
         },
         // Calendar helpers
-        getWeekStart: function(year, month) {
-            const date = new Date(year, month - 1, 1);
-            const day = date.getDay();
-            const diff = date.getDate() - day;
-            const weekStart = new Date(date.setDate(diff));
-            return weekStart.toISOString().split('T')[0];
-        },
         getCurrentDate: function(format) {
-            const now = new Date();
+            const now = dates.today();
             switch(format) {
                 case 'year':
-                    return now.getFullYear();
+                    return dates.yearMonthOf(now).year;
                 case 'month':
-                    return now.getMonth() + 1;
-                case 'week':
-                    const weekStart = new Date(now);
-                    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-                    return weekStart.toISOString().split('T')[0];
+                    return dates.yearMonthOf(now).month;
                 case 'date':
                 default:
-                    return now.toISOString().split('T')[0];
+                    return now;
             }
         },
         addMinutes: function(timeString, minutes) {
@@ -356,6 +347,8 @@ app.use('/support-workers', supportWorkerRoutes);
 app.use('/sessions', sessionRoutes);
 app.use('/reports', reportRoutes);
 app.use('/calendar', calendarRoutes);
+app.use('/settings', settingsRoutes);
+app.use('/feeds', feedRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -396,6 +389,9 @@ app.use((req, res) => {
 app.listen(PORT, () => {
     console.log(`Support Hours Tracker running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    // Email property managers their monthly summaries when they are due
+    startReportScheduler();
 });
 
 // Graceful shutdown
@@ -0,0 +1,170 @@
+const dates = require('../utils/dates');
+const { generateOccurrences } = require('../utils/recurrence');
+
+// Clocks go forward at 01:00 UTC on 29 March 2026 and back at 01:00 UTC on
+// 25 October 2026
+describe('date keys for moments in time', () => {
+    test('defaults to Europe/London', () => {
+        expect(dates.TIMEZONE).toBe('Europe/London');
+    });
+
+    test('reads the date on the UK clock either side of the spring change', () => {
+        expect(dates.toDateKey('2026-03-28T23:30:00Z')).toBe('2026-03-28');
+        expect(dates.toDateKey('2026-03-29T00:30:00Z')).toBe('2026-03-29');
+        expect(dates.toDateKey('2026-03-29T22:59:00Z')).toBe('2026-03-29');
+        expect(dates.toDateKey('2026-03-29T23:00:00Z')).toBe('2026-03-30');
+    });
+
+    test('reads the date on the UK clock either side of the autumn change', () => {
+        expect(dates.toDateKey('2026-10-24T22:59:00Z')).toBe('2026-10-24');
+        expect(dates.toDateKey('2026-10-24T23:00:00Z')).toBe('2026-10-25');
+        expect(dates.toDateKey('2026-10-25T23:30:00Z')).toBe('2026-10-25');
+        expect(dates.toDateKey('2026-10-26T00:00:00Z')).toBe('2026-10-26');
+    });
+
+    test('keeps UK midnight during British Summer Time on its own day', () => {
+        const midnight = new Date('2026-07-01T00:00:00+01:00');
+        expect(midnight.toISOString().split('T')[0]).toBe('2026-06-30');
+        expect(dates.toDateKey(midnight)).toBe('2026-07-01');
+    });
+
+    test('returns date keys unchanged', () => {
+        expect(dates.toDateKey('2026-03-29')).toBe('2026-03-29');
+        expect(dates.toDateKey('2026-10-25', 'America/New_York')).toBe('2026-10-25');
+    });
+
+    test('reads other IANA timezones', () => {
+        expect(dates.toDateKey('2026-03-08T04:30:00Z', 'America/New_York')).toBe('2026-03-07');
+        expect(dates.toDateKey('2026-03-08T07:30:00Z', 'America/New_York')).toBe('2026-03-08');
+        expect(dates.toDateKey('2026-10-24T23:30:00Z', 'UTC')).toBe('2026-10-24');
+    });
+});
+
+describe('wall-clock timestamps from the database', () => {
+    test('reads a stored time as the UK clock in summer and winter', () => {
+        expect(dates.parseWallClock('2026-07-01 14:00:00').toISOString()).toBe('2026-07-01T13:00:00.000Z');
+        expect(dates.parseWallClock('2026-12-01 14:00:00.25').toISOString()).toBe('2026-12-01T14:00:00.250Z');
+        expect(dates.formatDateTime(dates.parseWallClock('2026-07-01 14:00:00'))).toBe('01/07/2026, 14:00:00');
+    });
+
+    test('reads times either side of the clock changes', () => {
+        expect(dates.parseWallClock('2026-03-29 00:59:00').toISOString()).toBe('2026-03-29T00:59:00.000Z');
+        expect(dates.parseWallClock('2026-03-29 02:00:00').toISOString()).toBe('2026-03-29T01:00:00.000Z');
+        expect(dates.parseWallClock('2026-10-25 00:59:00').toISOString()).toBe('2026-10-24T23:59:00.000Z');
+        expect(dates.parseWallClock('2026-10-25 02:00:00').toISOString()).toBe('2026-10-25T02:00:00.000Z');
+    });
+
+    test('reads the repeated autumn hour as standard time and moves the skipped spring hour on', () => {
+        expect(dates.parseWallClock('2026-10-25 01:30:00').toISOString()).toBe('2026-10-25T01:30:00.000Z');
+        expect(dates.formatDateTime(dates.parseWallClock('2026-03-29 01:30:00'))).toBe('29/03/2026, 02:30:00');
+    });
+
+    test('reads in another timezone when given one', () => {
+        expect(dates.parseWallClock('2026-07-01 14:00:00', 'America/New_York').toISOString()).toBe('2026-07-01T18:00:00.000Z');
+        expect(dates.parseWallClock('2026-07-01 14:00:00', 'UTC').toISOString()).toBe('2026-07-01T14:00:00.000Z');
+    });
+});
+
+describe('today', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('is the UK date late on the evening before a month starts in summer', () => {
+        jest.useFakeTimers().setSystemTime(new Date('2026-06-30T23:30:00Z'));
+        expect(dates.today()).toBe('2026-07-01');
+        expect(dates.yearMonthOf(dates.today())).toEqual({ year: 2026, month: 7 });
+        expect(dates.today('UTC')).toBe('2026-06-30');
+    });
+
+    test('is the UK date in the hour the clocks go back', () => {
+        jest.useFakeTimers().setSystemTime(new Date('2026-10-25T00:30:00Z'));
+        expect(dates.today()).toBe('2026-10-25');
+        jest.setSystemTime(new Date('2026-10-25T23:30:00Z'));
+        expect(dates.today()).toBe('2026-10-25');
+    });
+
+    test('is the UK date in winter', () => {
+        jest.useFakeTimers().setSystemTime(new Date('2026-12-31T23:30:00Z'));
+        expect(dates.today()).toBe('2026-12-31');
+    });
+});
+
+describe('date arithmetic over the clock changes', () => {
+    test('steps a day at a time through the transition weekends', () => {
+        expect(dates.addDays('2026-03-28', 1)).toBe('2026-03-29');
+        expect(dates.addDays('2026-03-29', 1)).toBe('2026-03-30');
+        expect(dates.addDays('2026-10-24', 1)).toBe('2026-10-25');
+        expect(dates.addDays('2026-10-25', 1)).toBe('2026-10-26');
+        expect(dates.addDays('2026-03-30', -2)).toBe('2026-03-28');
+        expect(dates.addDays('2026-10-26', -7)).toBe('2026-10-19');
+    });
+
+    test('counts whole days across the transitions', () => {
+        expect(dates.daysBetween('2026-03-28', '2026-03-30')).toBe(2);
+        expect(dates.daysBetween('2026-10-24', '2026-10-26')).toBe(2);
+        expect(dates.daysBetween('2026-03-01', '2026-04-01')).toBe(31);
+        expect(dates.daysBetween('2026-11-01', '2026-10-01')).toBe(-31);
+    });
+
+    test('finds the start of the weeks holding the transition Sundays', () => {
+        expect(dates.weekdayOf('2026-03-29')).toBe(0);
+        expect(dates.weekStartOf('2026-03-29')).toBe('2026-03-23');
+        expect(dates.weekStartOf('2026-03-29', 0)).toBe('2026-03-29');
+        expect(dates.weekStartOf('2026-03-30', 0)).toBe('2026-03-29');
+        expect(dates.weekStartOf('2026-10-25', 1)).toBe('2026-10-19');
+        expect(dates.weekStartOf('2026-10-26', 1)).toBe('2026-10-26');
+    });
+
+    test('gives the first and last days of the transition months', () => {
+        expect(dates.monthStart(2026, 3)).toBe('2026-03-01');
+        expect(dates.monthEnd(2026, 3)).toBe('2026-03-31');
+        expect(dates.monthStart(2026, 10)).toBe('2026-10-01');
+        expect(dates.monthEnd(2026, 10)).toBe('2026-10-31');
+        expect(dates.monthEnd(2028, 2)).toBe('2028-02-29');
+        expect(dates.monthEnd(2026, 12)).toBe('2026-12-31');
+    });
+
+    test('moves between months over year ends', () => {
+        expect(dates.addMonths(2026, 12, 1)).toEqual({ year: 2027, month: 1 });
+        expect(dates.addMonths(2026, 1, -1)).toEqual({ year: 2025, month: 12 });
+        expect(dates.addMonths(2026, 3, 7)).toEqual({ year: 2026, month: 10 });
+    });
+
+    test('keeps weekly series on the same weekday over the spring change', () => {
+        expect(generateOccurrences({ start_date: '2026-03-23', occurrence_count: 3, weekdays: [1] }))
+            .toEqual(['2026-03-23', '2026-03-30', '2026-04-06']);
+    });
+
+    test('keeps weekly series on the same weekday over the autumn change', () => {
+        expect(generateOccurrences({ start_date: '2026-10-18', end_date: '2026-11-01', weekdays: [0] }))
+            .toEqual(['2026-10-18', '2026-10-25', '2026-11-01']);
+    });
+});
+
+describe('formatting', () => {
+    test('formats date keys without shifting them', () => {
+        expect(dates.formatDay('2026-03-29')).toBe('29/03/2026');
+        expect(dates.formatDay('2026-10-25', { weekday: 'long' })).toBe('Sunday');
+        expect(dates.formatDay('2026-07-01', { year: 'numeric', month: 'long' })).toBe('July 2026');
+    });
+
+    test('shows both passes through the repeated hour in autumn as 01:30', () => {
+        expect(dates.formatDateTime('2026-10-25T00:30:00Z')).toBe('25/10/2026, 01:30:00');
+        expect(dates.formatDateTime('2026-10-25T01:30:00Z')).toBe('25/10/2026, 01:30:00');
+    });
+
+    test('reads the time of day on the UK clock whatever the server timezone', () => {
+        expect(dates.timeOf('2026-07-01T13:05:00Z')).toBe('14:05');
+        expect(dates.timeOf('2026-12-01T13:05:00Z')).toBe('13:05');
+        expect(dates.timeOf('2026-10-25T00:30:00Z')).toBe('01:30');
+        expect(dates.timeOf('2026-10-25T01:30:00Z')).toBe('01:30');
+        expect(dates.timeOf('2026-07-01T23:30:00Z')).toBe('00:30');
+        expect(dates.timeOf('2026-07-01T13:05:00Z', 'UTC')).toBe('13:05');
+    });
+
+    test('skips the missing hour in spring', () => {
+        expect(dates.formatDateTime('2026-03-29T00:59:00Z')).toBe('29/03/2026, 00:59:00');
+        expect(dates.formatDateTime('2026-03-29T01:00:00Z')).toBe('29/03/2026, 02:00:00');
+    });
+});
@@ -0,0 +1,71 @@
+const { MAX_OCCURRENCES, generateOccurrences } = require('../utils/recurrence');
+const { closedDates } = require('../utils/closures');
+
+// A transaction client holding closure days for the given dates
+const closuresClient = (closures) => {
+    const client = {
+        calls: [],
+        query: async (text, params) => {
+            client.calls.push(params);
+            return {
+                rows: closures.filter(closure => closure.closure_date >= params[0] && closure.closure_date <= params[1])
+            };
+        }
+    };
+    return client;
+};
+
+describe('generateOccurrences', () => {
+    test('repeats on each chosen weekday until the end date', () => {
+        expect(generateOccurrences({ start_date: '2026-11-02', end_date: '2026-11-13', weekdays: [1, 4] }))
+            .toEqual(['2026-11-02', '2026-11-05', '2026-11-09', '2026-11-12']);
+    });
+
+    test('keeps a fortnightly series in the same cycle, skipping days before the start', () => {
+        expect(generateOccurrences({ start_date: '2026-11-04', occurrence_count: 4, interval_weeks: 2, weekdays: ['1', '5'] }))
+            .toEqual(['2026-11-06', '2026-11-16', '2026-11-20', '2026-11-30']);
+    });
+
+    test('defaults to the start date\'s weekday', () => {
+        expect(generateOccurrences({ start_date: '2026-11-04', occurrence_count: 2 }))
+            .toEqual(['2026-11-04', '2026-11-11']);
+    });
+
+    test('stops at the occurrence limit', () => {
+        expect(generateOccurrences({ start_date: '2026-01-05', occurrence_count: 500, weekdays: [1, 3, 5] }))
+            .toHaveLength(MAX_OCCURRENCES);
+    });
+
+    test('needs an end date or a count', () => {
+        expect(() => generateOccurrences({ start_date: '2026-11-04' })).toThrow();
+    });
+});
+
+describe('closedDates', () => {
+    const closures = [
+        { closure_date: '2026-12-25', name: 'Christmas Day', closure_type: 'bank_holiday', property_id: null },
+        { closure_date: '2026-12-28', name: 'Boxing Day (substitute day)', closure_type: 'bank_holiday', property_id: null }
+    ];
+
+    test('picks out the series dates that fall on closure days', async () => {
+        const dates = generateOccurrences({ start_date: '2026-12-14', occurrence_count: 4, weekdays: [1, 5] });
+        expect(dates).toEqual(['2026-12-14', '2026-12-18', '2026-12-21', '2026-12-25']);
+
+        const client = closuresClient(closures);
+        expect(await closedDates('property-1', dates, client)).toEqual(['2026-12-25']);
+        expect(client.calls).toEqual([['2026-12-14', '2026-12-25', 'property-1']]);
+    });
+
+    test('reads closures across the whole series whatever order the dates come in', async () => {
+        const client = closuresClient(closures);
+        expect(await closedDates('property-1', ['2026-12-28', '2026-12-21', '2026-12-25'], client))
+            .toEqual(['2026-12-28', '2026-12-25']);
+        expect(client.calls).toEqual([['2026-12-21', '2026-12-28', 'property-1']]);
+    });
+
+    test('does not query for an empty series', async () => {
+        const client = closuresClient(closures);
+        expect(await closedDates('property-1', [], client)).toEqual([]);
+        expect(client.calls).toEqual([]);
+    });
+});
@@ -0,0 +1,63 @@
+// These tests read and write the database, so they only run with DB_TESTS set
+// against a migrated database.
+const { pool, query } = require('../utils/database');
+const { getPropertyUtilization } = require('../utils/report-data');
+const { parseReportPeriod } = require('../utils/report-periods');
+
+const describeDatabase = process.env.DB_TESTS ? describe : describe.skip;
+
+describeDatabase('getPropertyUtilization', () => {
+    const ids = {};
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const insert = async (text, params) => (await query(text, params)).rows[0].id;
+        ids.property = await insert(
+            `INSERT INTO properties (name, max_capacity) VALUES ('Report Test House', 4) RETURNING id`
+        );
+        ids.residents = [
+            await insert(
+                `INSERT INTO residents (first_name, last_name, property_id, monthly_support_hours)
+                 VALUES ('Ann', 'Lee', $1, 10) RETURNING id`,
+                [ids.property]
+            ),
+            await insert(
+                `INSERT INTO residents (first_name, last_name, property_id, monthly_support_hours)
+                 VALUES ('Bo', 'Reed', $1, 10) RETURNING id`,
+                [ids.property]
+            )
+        ];
+        ids.worker = await insert(
+            `INSERT INTO support_workers (first_name, last_name, email)
+             VALUES ('Sam', 'Hart', 'report-test@example.com') RETURNING id`
+        );
+        ids.session = await insert(
+            `INSERT INTO support_sessions
+             (resident_id, support_worker_id, property_id, support_type, session_date,
+              start_time, end_time, duration_minutes, status)
+             VALUES ($1, $2, $3, 'mental_health', '2026-09-10', '10:00', '12:00', 120, 'completed')
+             RETURNING id`,
+            [ids.residents[0], ids.worker, ids.property]
+        );
+    });
+
+    afterAll(async () => {
+        await query('DELETE FROM support_sessions WHERE id = $1', [ids.session]);
+        await query('DELETE FROM residents WHERE id = ANY($1::uuid[])', [ids.residents]);
+        await query('DELETE FROM support_workers WHERE id = $1', [ids.worker]);
+        await query('DELETE FROM properties WHERE id = $1', [ids.property]);
+        await pool.end();
+        console.log.mockRestore();
+    });
+
+    test('counts a session once however many residents live at the property', async () => {
+        const properties = await getPropertyUtilization(parseReportPeriod({ period: 'month', year: 2026, month: 9 }));
+        const property = properties.find(row => row.id === ids.property);
+        expect(parseInt(property.current_residents)).toBe(2);
+        expect(parseInt(property.total_sessions)).toBe(1);
+        expect(parseInt(property.completed_sessions)).toBe(1);
+        expect(parseInt(property.cancelled_sessions)).toBe(0);
+        expect(parseFloat(property.total_hours)).toBe(2);
+        expect(property.occupancy_rate).toBe('50.0');
+    });
+});
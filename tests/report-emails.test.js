@@ -0,0 +1,42 @@
+const { previousMonthPeriod, summaryEmail } = require('../utils/report-emails');
+
+const summary = {
+    property: {
+        name: 'Oak <House>',
+        current_residents: 1,
+        max_capacity: 4,
+        occupancy_rate: '25.0',
+        total_sessions: 3,
+        completed_sessions: 2,
+        cancelled_sessions: 1,
+        total_hours: '6'
+    },
+    residents: [{
+        first_name: 'Ann',
+        last_name: 'Lee',
+        property_name: 'Oak <House>',
+        allocated_hours: 10,
+        hours_delivered: 6,
+        hours_used: 7.5,
+        utilization_rate: '75.0',
+        remaining_hours: 2.5
+    }],
+    totals: { allocated_hours: 10, hours_used: 7.5, utilization_rate: '75.0' }
+};
+
+describe('report emails', () => {
+    test('reports on the month before the send date', () => {
+        expect(previousMonthPeriod('2026-11-01')).toMatchObject({ start: '2026-10-01', end: '2026-10-31' });
+        expect(previousMonthPeriod('2027-01-15')).toMatchObject({ start: '2026-12-01', end: '2026-12-31' });
+    });
+
+    test('writes the summary as text and escaped HTML with a CSV of residents', () => {
+        const email = summaryEmail(summary, previousMonthPeriod('2026-11-01'));
+        expect(email.subject).toBe('Support hours summary: Oak <House>, October 2026');
+        expect(email.text).toContain('Ann Lee: 7.5 of 10.0 hours used (75.0%), 2.5 remaining');
+        expect(email.html).toContain('Oak &lt;House&gt;');
+        expect(email.html).not.toContain('<House>');
+        expect(email.attachments[0].filename).toBe('support-hours-oak-house-2026-10.csv');
+        expect(email.attachments[0].content).toContain('"Ann Lee","Oak <House>","10.0"');
+    });
+});
@@ -0,0 +1,56 @@
+const { renderExport, reportSheets, toCsv } = require('../utils/report-export');
+const { parseReportPeriod } = require('../utils/report-periods');
+
+const residents = {
+    columns: [
+        { key: 'name', label: 'Resident', value: row => `${row.first_name} ${row.last_name}` },
+        { key: 'hours_used', label: 'Hours Used', type: 'decimal' },
+        { key: 'utilization_rate', label: 'Utilization Rate', type: 'percent' }
+    ],
+    rows: [
+        { first_name: 'Ann', last_name: 'O\'Neil, "Nan"', hours_used: '12.345', utilization_rate: '41.2' },
+        { first_name: '=HYPERLINK("x")', last_name: '', hours_used: null, utilization_rate: 0 }
+    ]
+};
+
+const report = {
+    title: 'Summary Report',
+    period: parseReportPeriod({ period: 'quarter', year: '2026', quarter: '4' }, '2026-10-19'),
+    fileName: 'monthly-summary-2026-Q4',
+    summary: [{ key: 'utilization_rate', label: 'Utilization Rate', type: 'percent', value: '41.2' }],
+    sheets: reportSheets({
+        residents,
+        workers: { columns: [], rows: [] },
+        properties: { columns: [], rows: [] },
+        sessions: { columns: [], rows: [] }
+    })
+};
+
+describe('report exports', () => {
+    test('quotes every CSV field, doubling quotes and guarding formulas', () => {
+        const lines = toCsv(report.sheets[0]).replace(/^\ufeff/, '').split('\r\n');
+        expect(lines[0]).toBe('"Resident","Hours Used","Utilization Rate"');
+        expect(lines[1]).toBe('"Ann O\'Neil, ""Nan""","12.3","41.2%"');
+        expect(lines[2]).toBe('"\'=HYPERLINK(""x"") ","","0.0%"');
+    });
+
+    test('names CSV files after the sheet unless it is the first', () => {
+        expect(renderExport(report, 'csv').fileName).toBe('monthly-summary-2026-Q4.csv');
+        expect(renderExport(report, 'csv', 'sessions').fileName).toBe('monthly-summary-2026-Q4-sessions.csv');
+        expect(renderExport(report, 'csv', 'rotas')).toBeNull();
+        expect(renderExport(report, 'docx')).toBeNull();
+    });
+
+    test('writes JSON with typed values under each sheet key', () => {
+        const document = JSON.parse(renderExport(report, 'json').body);
+        expect(document.period).toEqual({ type: 'quarter', start: '2026-10-01', end: '2026-12-31', label: report.period.label });
+        expect(document.summary).toEqual({ utilization_rate: 41.2 });
+        expect(document.residents[0]).toEqual({ name: 'Ann O\'Neil, "Nan"', hours_used: 12.35, utilization_rate: 41.2 });
+        expect(Object.keys(document)).toEqual(expect.arrayContaining(['workers', 'properties', 'sessions']));
+    });
+
+    test('writes XLSX as a zip and PDF as a PDF', () => {
+        expect(renderExport(report, 'xlsx').body.subarray(0, 4).toString('latin1')).toBe('PK\u0003\u0004');
+        expect(renderExport(report, 'pdf').body.subarray(0, 8).toString('latin1')).toBe('%PDF-1.4');
+    });
+});
@@ -0,0 +1,65 @@
+const { allocationMonths, parseReportPeriod, adjacentPeriods } = require('../utils/report-periods');
+
+const TODAY = '2026-10-19';
+
+describe('report periods from the query string', () => {
+    test('defaults to the current month', () => {
+        const period = parseReportPeriod({}, TODAY);
+        expect(period).toMatchObject({ type: 'month', start: '2026-10-01', end: '2026-10-31', months: 1 });
+        expect(period.label).toBe('October 2026');
+    });
+
+    test('reads a year and month without a period type', () => {
+        expect(parseReportPeriod({ year: '2024', month: '2' }, TODAY))
+            .toMatchObject({ type: 'month', start: '2024-02-01', end: '2024-02-29', fileLabel: '2024-02' });
+    });
+
+    test('reads calendar quarters', () => {
+        const period = parseReportPeriod({ period: 'quarter', year: '2026', quarter: '1' }, TODAY);
+        expect(period).toMatchObject({ start: '2026-01-01', end: '2026-03-31', months: 3, fileLabel: '2026-Q1' });
+        expect(period.label).toBe('Q1 2026 (January - March)');
+        expect(parseReportPeriod({ period: 'quarter' }, TODAY)).toMatchObject({ year: 2026, quarter: 4 });
+    });
+
+    test('runs financial years from April to March', () => {
+        const period = parseReportPeriod({ period: 'financial_year', year: '2025' }, TODAY);
+        expect(period).toMatchObject({ start: '2025-04-01', end: '2026-03-31', months: 12, fileLabel: 'FY2025-26' });
+        expect(period.label).toBe('Financial year 2025/26');
+        expect(parseReportPeriod({ period: 'financial_year' }, '2027-02-10').year).toBe(2026);
+    });
+
+    test('reads date ranges', () => {
+        const period = parseReportPeriod({ start_date: '2026-10-01', end_date: '2026-10-14' }, TODAY);
+        expect(period).toMatchObject({ type: 'custom', days: 14, fileLabel: '2026-10-01-to-2026-10-14' });
+        expect(period.query).toBe('period=custom&start_date=2026-10-01&end_date=2026-10-14');
+    });
+
+    test('refuses backwards, malformed and over-long ranges', () => {
+        expect(parseReportPeriod({ start_date: '2026-10-14', end_date: '2026-10-01' }, TODAY)).toBeNull();
+        expect(parseReportPeriod({ start_date: '14/10/2026' }, TODAY)).toBeNull();
+        expect(parseReportPeriod({ start_date: '2024-01-01', end_date: '2026-01-01' }, TODAY)).toBeNull();
+        expect(parseReportPeriod({ period: 'fortnight' }, TODAY)).toBeNull();
+    });
+});
+
+describe('pro-rating monthly allocations', () => {
+    test('counts part months by their share of days', () => {
+        expect(allocationMonths('2026-10-01', '2026-10-31')).toBe(1);
+        expect(allocationMonths('2026-09-16', '2026-09-30')).toBe(0.5);
+        expect(allocationMonths('2026-01-17', '2026-03-14')).toBeCloseTo(15 / 31 + 1 + 14 / 31, 4);
+    });
+});
+
+describe('adjacent periods', () => {
+    test('steps quarters across years', () => {
+        const { previous, next } = adjacentPeriods(parseReportPeriod({ period: 'quarter', year: '2026', quarter: '4' }, TODAY));
+        expect(previous).toMatchObject({ year: 2026, quarter: 3 });
+        expect(next).toMatchObject({ year: 2027, quarter: 1, start: '2027-01-01' });
+    });
+
+    test('moves date ranges by their length', () => {
+        const { previous, next } = adjacentPeriods(parseReportPeriod({ start_date: '2026-10-01', end_date: '2026-10-07' }, TODAY));
+        expect(previous).toMatchObject({ start: '2026-09-24', end: '2026-09-30' });
+        expect(next).toMatchObject({ start: '2026-10-08', end: '2026-10-14' });
+    });
+});
@@ -0,0 +1,190 @@
+const { validateBooking } = require('../utils/scheduling');
+
+const booking = {
+    property_id: 'property-1',
+    resident_id: 'resident-1',
+    support_worker_id: 'worker-1',
+    support_type: 'mental_health',
+    session_date: '2026-11-12',
+    start_time: '10:00',
+    end_time: '12:00',
+    duration_minutes: 120
+};
+
+// Rows each booking check reads when nothing stands in the way
+const defaults = () => ({
+    closures: [],
+    workerConflicts: [],
+    specialization: [{ first_name: 'Sam', last_name: 'Reed', matches: true }],
+    availability: [{ first_name: 'Sam', last_name: 'Reed', weekday_name: 'Thursday', template_slots: '0', covering_slots: '0' }],
+    absences: [],
+    workerHours: [{
+        first_name: 'Sam',
+        last_name: 'Reed',
+        max_hours_per_week: null,
+        max_hours_per_month: null,
+        week_start: '2026-11-09',
+        week_end: '2026-11-15',
+        month_label: 'November 2026',
+        week_minutes: '0',
+        month_minutes: '0'
+    }],
+    residentConflicts: [],
+    tenancy: [{ first_name: 'Ann', last_name: 'Lee', is_active: true, before_start: false, after_end: false }],
+    allocation: [{
+        first_name: 'Ann',
+        last_name: 'Lee',
+        monthly_support_hours: 10,
+        month_label: 'November 2026',
+        completed_minutes: '0',
+        planned_minutes: '0',
+        cancelled_minutes: '0'
+    }]
+});
+
+// The query each check runs, told apart by a piece of its SQL
+const CHECKS = [
+    ['closures', 'FROM closure_days'],
+    ['workerConflicts', 'as worker_name'],
+    ['specialization', 'specializations'],
+    ['availability', 'FROM worker_availability'],
+    ['absences', 'FROM worker_absences'],
+    ['workerHours', 'max_hours_per_week'],
+    ['residentConflicts', 'as resident_name'],
+    ['tenancy', 'before_start'],
+    ['allocation', 'monthly_support_hours']
+];
+
+// A transaction client answering each check from rows, which may be a
+// function of the query parameters
+const stubClient = (overrides = {}) => {
+    const rows = { ...defaults(), ...overrides };
+    const client = {
+        calls: [],
+        query: async (text, params) => {
+            const check = CHECKS.find(([, sql]) => text.includes(sql));
+            if (!check) throw new Error(`Unexpected query: ${text}`);
+            client.calls.push({ check: check[0], params });
+            const answer = rows[check[0]];
+            return { rows: typeof answer === 'function' ? answer(params) : answer };
+        }
+    };
+    return client;
+};
+
+const codes = (issues) => issues.map(issue => issue.code);
+
+describe('validateBooking', () => {
+    test('passes a booking with nothing in the way, reading through the given client', async () => {
+        const client = stubClient();
+        const result = await validateBooking(booking, { client });
+        expect(result).toEqual({ errors: [], warnings: [] });
+        expect(new Set(client.calls.map(call => call.check))).toEqual(new Set(CHECKS.map(([check]) => check)));
+    });
+
+    test('refuses a booking that clashes with the worker or the resident', async () => {
+        const client = stubClient({
+            workerConflicts: [{ id: 'session-2', worker_name: 'Sam Reed' }],
+            residentConflicts: [{
+                id: 'session-3',
+                start_time: '11:00:00',
+                end_time: '12:30:00',
+                worker_first_name: 'Jo',
+                worker_last_name: 'Hart',
+                resident_name: 'Ann Lee'
+            }]
+        });
+        const { errors } = await validateBooking(booking, { client });
+        expect(codes(errors)).toEqual(['worker_conflict', 'resident_conflict']);
+        expect(errors[1].message).toBe('Resident already has a session from 11:00 to 12:30 with Jo Hart');
+    });
+
+    test('leaves the sessions being edited out of the overlap and hours checks', async () => {
+        const client = stubClient();
+        await validateBooking(booking, { client, excludeIds: ['session-1'] });
+        client.calls
+            .filter(call => ['workerConflicts', 'residentConflicts'].includes(call.check))
+            .forEach(call => expect(call.params[4]).toEqual(['session-1']));
+        client.calls
+            .filter(call => ['workerHours', 'allocation'].includes(call.check))
+            .forEach(call => expect(call.params[2]).toEqual(['session-1']));
+    });
+
+    test('refuses a booking past the worker\'s weekly cap, counting unsaved sessions', async () => {
+        const hours = { ...defaults().workerHours[0], max_hours_per_week: 20, week_minutes: '1020' };
+        const client = stubClient({ workerHours: [hours] });
+        expect(codes((await validateBooking(booking, { client })).errors)).toEqual([]);
+
+        const pending = { weeks: { '2026-11-09': 120 } };
+        const { errors } = await validateBooking(booking, { client, pending });
+        expect(codes(errors)).toEqual(['worker_weekly_cap_exceeded']);
+        expect(errors[0].overridable).toBe(true);
+        expect(errors[0].message).toBe('This session would bring Sam Reed to 21.0 of 20.0 hours for the week of ' +
+            '09/11/2026 (1.0 hours over)');
+    });
+
+    test('refuses a booking past the resident\'s monthly allocation', async () => {
+        const allocation = { ...defaults().allocation[0], completed_minutes: '420', planned_minutes: '120' };
+        const client = stubClient({ allocation: [allocation] });
+        const { errors } = await validateBooking(booking, { client });
+        expect(codes(errors)).toEqual(['allocation_exceeded']);
+        expect(errors[0].message).toBe('This session would bring Ann Lee to 11.0 of 10.0 allocated hours for ' +
+            'November 2026 (1.0 hours over)');
+    });
+
+    test('warns about a closure day, or refuses it when the closure blocks sessions', async () => {
+        const closure = {
+            closure_date: '2026-11-12',
+            name: 'Deep clean',
+            closure_type: 'property',
+            property_id: 'property-1',
+            property_name: 'Oak House',
+            blocks_sessions: false
+        };
+        let result = await validateBooking(booking, { client: stubClient({ closures: [closure] }) });
+        expect(codes(result.errors)).toEqual([]);
+        expect(codes(result.warnings)).toEqual(['closure_day']);
+        expect(result.warnings[0].message).toBe('Oak House is closed on 12/11/2026 (Deep clean)');
+
+        result = await validateBooking(booking, {
+            client: stubClient({ closures: [{ ...closure, blocks_sessions: true }] })
+        });
+        expect(codes(result.errors)).toEqual(['closure_day']);
+        expect(result.errors[0].overridable).toBe(true);
+    });
+
+    test('refuses a booking while the worker is absent or outside their tenancy', async () => {
+        const client = stubClient({
+            absences: [{ absence_type: 'annual_leave', start_date: '2026-11-10', end_date: '2026-11-13' }],
+            tenancy: [{ first_name: 'Ann', last_name: 'Lee', is_active: true, start_date: '2026-12-01', before_start: true }]
+        });
+        const { errors } = await validateBooking(booking, { client });
+        expect(codes(errors)).toEqual(['worker_absent', 'outside_tenancy']);
+        expect(errors[1].message).toBe('Ann Lee\'s tenancy does not start until 01/12/2026');
+    });
+
+    test('checks every worker on the session and charges each group attendee their share', async () => {
+        const client = stubClient({
+            workerConflicts: (params) => params[0] === 'worker-2' ? [{ id: 'session-2', worker_name: 'Jo Hart' }] : [],
+            allocation: (params) => [{
+                ...defaults().allocation[0],
+                first_name: params[0] === 'resident-2' ? 'Bo' : 'Ann',
+                monthly_support_hours: params[0] === 'resident-2' ? 1 : 10,
+                planned_minutes: '0'
+            }]
+        });
+        const group = {
+            ...booking,
+            resident_id: null,
+            attendee_ids: ['resident-1', 'resident-2'],
+            apportion_rule: 'divided',
+            additional_worker_ids: ['worker-2'],
+            staff_charge_rule: 'per_worker'
+        };
+        const { errors } = await validateBooking(group, { client });
+        expect(codes(errors)).toEqual(['worker_conflict', 'allocation_exceeded']);
+        expect(errors[0]).toMatchObject({ field: 'additional_worker_ids', message: 'Jo Hart is already scheduled at this time' });
+        expect(errors[1].message).toBe('This session would bring Bo Lee to 2.0 of 1.0 allocated hours for ' +
+            'November 2026 (1.0 hours over)');
+    });
+});
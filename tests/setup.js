@@ -0,0 +1,3 @@
+// Run every test against the default organisation timezone, whatever the
+// environment sets
+delete process.env.TIMEZONE;
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { query, transaction } = require('./database');
+const { SUPPORT_TYPE_LABELS } = require('./scheduling');
+const { sessionStartSql, sessionEndSql } = require('./session-time');
+const { workerBookedSql } = require('./session-staff');
+const { residentBookedSql, RESIDENT_NAME_COLUMNS } = require('./group-sessions');
+const { TIMEZONE } = require('./dates');
+
+// iCalendar (.ics) subscription feeds.
+//
+// Each support worker, resident and property can have a secret feed URL that
+// calendar apps poll for its sessions. The token in the URL is the only
+// credential, so it can be revoked and reissued from the owner's page. Every
+// session keeps the same UID for its lifetime and its SEQUENCE grows with
+// each change, so moved and cancelled sessions update in place in the app.
+// Session times are wall-clock times in TIMEZONE and are written in UTC, so
+// they need no timezone definition and show correctly in any app.
+
+const FEED_OWNERS = {
+    support_worker: {
+        label: 'Support worker',
+        table: 'support_workers',
+        path: '/support-workers',
+        nameSql: `(SELECT first_name || ' ' || last_name FROM support_workers WHERE id = $1)`,
+        sessionsWhere: workerBookedSql('$1')
+    },
+    resident: {
+        label: 'Resident',
+        table: 'residents',
+        path: '/residents',
+        nameSql: `(SELECT first_name || ' ' || last_name FROM residents WHERE id = $1)`,
+        sessionsWhere: residentBookedSql('$1')
+    },
+    property: {
+        label: 'Property',
+        table: 'properties',
+        path: '/properties',
+        nameSql: '(SELECT name FROM properties WHERE id = $1)',
+        sessionsWhere: 's.property_id = $1'
+    }
+};
+
+// Feeds list sessions from this many days ago onwards
+const FEED_HISTORY_DAYS = 90;
+
+const isFeedOwner = (ownerType) => Object.prototype.hasOwnProperty.call(FEED_OWNERS, ownerType);
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/feeds/${token}.ics`;
+
+// The URL of the owner's live feed, or null if it has none
+async function getFeedUrl(req, ownerType, ownerId) {
+    const result = await query(
+        `SELECT token FROM calendar_feed_tokens
+         WHERE owner_type = $1 AND owner_id = $2 AND revoked_at IS NULL`,
+        [ownerType, ownerId]
+    );
+    return result.rows.length > 0 ? feedUrl(req, result.rows[0].token) : null;
+}
+
+// Give the owner a new feed token, revoking any they had so the old URL
+// stops working. Returns null if the owner does not exist.
+async function issueFeedToken(ownerType, ownerId, userId) {
+    return transaction(async (client) => {
+        const owner = await client.query(
+            `SELECT id FROM ${FEED_OWNERS[ownerType].table} WHERE id = $1 FOR KEY SHARE`,
+            [ownerId]
+        );
+        if (owner.rows.length === 0) {
+            return null;
+        }
+
+        await client.query(
+            `UPDATE calendar_feed_tokens SET revoked_at = CURRENT_TIMESTAMP
+             WHERE owner_type = $1 AND owner_id = $2 AND revoked_at IS NULL`,
+            [ownerType, ownerId]
+        );
+        const result = await client.query(
+            `INSERT INTO calendar_feed_tokens (owner_type, owner_id, token, created_by)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [ownerType, ownerId, crypto.randomBytes(24).toString('hex'), userId]
+        );
+        return result.rows[0];
+    });
+}
+
+async function revokeFeedToken(ownerType, ownerId) {
+    await query(
+        `UPDATE calendar_feed_tokens SET revoked_at = CURRENT_TIMESTAMP
+         WHERE owner_type = $1 AND owner_id = $2 AND revoked_at IS NULL`,
+        [ownerType, ownerId]
+    );
+}
+
+// The calendar for a live feed token as iCalendar text, or null if the token
+// is unknown or revoked
+async function buildFeed(token, baseUrl) {
+    const result = await query(
+        `UPDATE calendar_feed_tokens SET last_used_at = CURRENT_TIMESTAMP
+         WHERE token = $1 AND revoked_at IS NULL
+         RETURNING owner_type, owner_id`,
+        [token]
+    );
+    const feed = result.rows[0];
+    if (!feed) {
+        return null;
+    }
+
+    const owner = FEED_OWNERS[feed.owner_type];
+    const sessions = await query(
+        `SELECT s.id, s.support_type, s.status,
+                TO_CHAR(${sessionStartSql('s')} AT TIME ZONE $2 AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"') as dtstart,
+                TO_CHAR(${sessionEndSql('s')} AT TIME ZONE $2 AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"') as dtend,
+                TO_CHAR(s.updated_at::timestamptz AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"') as last_modified,
+                GREATEST(COALESCE(EXTRACT(EPOCH FROM s.updated_at - s.created_at), 0), 0)::int as sequence,
+                ${RESIDENT_NAME_COLUMNS},
+                (SELECT STRING_AGG(sw.first_name || ' ' || sw.last_name, ', ' ORDER BY st.is_lead DESC, sw.last_name)
+                 FROM session_staff st JOIN support_workers sw ON st.support_worker_id = sw.id
+                 WHERE st.session_id = s.id) as worker_names,
+                p.name as property_name, p.address as property_address,
+                ${owner.nameSql} as owner_name
+         FROM support_sessions s
+         LEFT JOIN residents r ON s.resident_id = r.id
+         JOIN properties p ON s.property_id = p.id
+         WHERE ${owner.sessionsWhere}
+           AND s.session_date >= CURRENT_DATE - ${FEED_HISTORY_DAYS}
+         ORDER BY s.session_date, s.start_time`,
+        [feed.owner_id, TIMEZONE]
+    );
+
+    const calendarName = sessions.rows.length > 0 && sessions.rows[0].owner_name
+        ? `${sessions.rows[0].owner_name} - Support Sessions`
+        : 'Support Sessions';
+    return buildCalendar(calendarName, sessions.rows.map(session => ({
+        ...session,
+        summary: eventSummary(feed.owner_type, session)
+    })), baseUrl);
+}
+
+// Event title from the feed owner's point of view
+function eventSummary(ownerType, session) {
+    const supportType = SUPPORT_TYPE_LABELS[session.support_type] || session.support_type;
+    const resident = `${session.resident_first_name} ${session.resident_last_name}`;
+    const summary = ownerType === 'support_worker'
+        ? `${supportType} - ${resident}`
+        : ownerType === 'resident'
+            ? `${supportType} with ${session.worker_names}`
+            : `${resident} - ${session.worker_names}`;
+    return session.status === 'cancelled'
+        ? `Cancelled: ${summary}`
+        : session.status === 'no_show' ? `No show: ${summary}` : summary;
+}
+
+function buildCalendar(name, sessions, baseUrl) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Support Hours Tracker//Calendar Feed//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${TIMEZONE}`
+    ];
+
+    sessions.forEach(session => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${session.id}@support-hours-tracker`,
+            `DTSTAMP:${stamp}`,
+            `SEQUENCE:${session.sequence}`,
+            `DTSTART:${session.dtstart}`,
+            `DTEND:${session.dtend}`,
+            `SUMMARY:${escapeText(session.summary)}`,
+            `LOCATION:${escapeText([session.property_name, session.property_address].filter(Boolean).join(', '))}`,
+            `DESCRIPTION:${escapeText([
+                `Resident: ${session.resident_first_name} ${session.resident_last_name}`,
+                `Support workers: ${session.worker_names}`,
+                `Status: ${session.status.replace('_', ' ')}`
+            ].join('\n'))}`,
+            `URL:${baseUrl}/sessions/${session.id}`,
+            `STATUS:${['cancelled', 'no_show'].includes(session.status) ? 'CANCELLED' : 'CONFIRMED'}`
+        );
+        if (session.last_modified) {
+            lines.push(`LAST-MODIFIED:${session.last_modified}`);
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Escape commas, semicolons, backslashes and newlines in a text value
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Split lines longer than 75 octets, continuing them on lines starting with a
+// space, without breaking a multi-byte character
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+module.exports = {
+    FEED_OWNERS,
+    isFeedOwner,
+    getFeedUrl,
+    issueFeedToken,
+    revokeFeedToken,
+    buildFeed
+};
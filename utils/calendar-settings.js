@@ -0,0 +1,95 @@
+const { query } = require('./database');
+
+// Calendar display settings.
+//
+// The organisation sets the day weeks start on, the hours the weekly and
+// daily grids show and their slot size in the calendar_settings row without a
+// user_id. Each user can override any of these in their own row, where NULL
+// means "as the organisation".
+
+const WEEK_STARTS = [
+    { key: 1, label: 'Monday' },
+    { key: 0, label: 'Sunday' }
+];
+
+const SLOT_SIZES = [
+    { key: 15, label: '15 minutes' },
+    { key: 30, label: '30 minutes' },
+    { key: 60, label: '1 hour' }
+];
+
+// Used if the organisation row is missing
+const DEFAULT_SETTINGS = {
+    week_start: 1,
+    day_start: '08:00',
+    day_end: '19:00',
+    slot_minutes: 30
+};
+
+const SETTING_COLUMNS = 'week_start, TO_CHAR(day_start, \'HH24:MI\') as day_start, ' +
+    'TO_CHAR(day_end, \'HH24:MI\') as day_end, slot_minutes';
+
+// Whole hours from '00:00' to '24:00' for the visible hours lists
+const HOUR_OPTIONS = Array.from({ length: 25 }, (_, hour) => `${hour.toString().padStart(2, '0')}:00`);
+
+// The organisation's settings and the user's own overrides, each with
+// undefined for anything not set
+async function getSettingRows(userId) {
+    const result = await query(
+        `SELECT user_id, ${SETTING_COLUMNS} FROM calendar_settings
+         WHERE user_id IS NULL OR user_id = $1`,
+        [userId]
+    );
+    const organisation = result.rows.find(row => row.user_id === null) || {};
+    const user = result.rows.find(row => row.user_id !== null) || {};
+    return { organisation, user };
+}
+
+// The settings the user's calendar uses: their own where set, otherwise the
+// organisation's
+async function getCalendarSettings(userId) {
+    const { organisation, user } = await getSettingRows(userId);
+    const settings = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(name => {
+        settings[name] = [user[name], organisation[name], DEFAULT_SETTINGS[name]]
+            .find(value => value !== null && value !== undefined);
+    });
+    // A user's hours can cross the organisation's after it changes them
+    if (settings.day_end <= settings.day_start) {
+        settings.day_end = '24:00';
+    }
+    return settings;
+}
+
+async function saveOrganisationSettings(settings, userId) {
+    await query(
+        `INSERT INTO calendar_settings (week_start, day_start, day_end, slot_minutes, updated_by)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT ((user_id IS NULL)) WHERE user_id IS NULL
+         DO UPDATE SET week_start = $1, day_start = $2, day_end = $3, slot_minutes = $4,
+                       updated_by = $5, updated_at = CURRENT_TIMESTAMP`,
+        [settings.week_start, settings.day_start, settings.day_end, settings.slot_minutes, userId]
+    );
+}
+
+// Save a user's overrides; null values follow the organisation
+async function saveUserSettings(userId, settings) {
+    await query(
+        `INSERT INTO calendar_settings (user_id, week_start, day_start, day_end, slot_minutes, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $1)
+         ON CONFLICT (user_id)
+         DO UPDATE SET week_start = $2, day_start = $3, day_end = $4, slot_minutes = $5,
+                       updated_by = $1, updated_at = CURRENT_TIMESTAMP`,
+        [userId, settings.week_start, settings.day_start, settings.day_end, settings.slot_minutes]
+    );
+}
+
+module.exports = {
+    WEEK_STARTS,
+    SLOT_SIZES,
+    HOUR_OPTIONS,
+    getSettingRows,
+    getCalendarSettings,
+    saveOrganisationSettings,
+    saveUserSettings
+};
@@ -0,0 +1,79 @@
+// Cancellations, no-shows and late-cancellation charging.
+//
+// A cancelled or no-show session records who cancelled it, the reason and
+// the notice given before its planned start. Most cancellations are not
+// charged to the resident, but the active cancellation_charge_rules pick out
+// those that still count against monthly_support_hours, e.g. no-shows or
+// cancellations by the resident at short notice.
+
+const CANCELLED_BY = [
+    { key: 'resident', label: 'Resident' },
+    { key: 'worker', label: 'Support worker' },
+    { key: 'organisation', label: 'Organisation' }
+];
+
+const CANCELLATION_REASONS = [
+    { key: 'resident_unwell', label: 'Resident unwell' },
+    { key: 'resident_unavailable', label: 'Resident unavailable' },
+    { key: 'resident_declined', label: 'Resident declined support' },
+    { key: 'resident_in_hospital', label: 'Resident in hospital' },
+    { key: 'worker_unwell', label: 'Support worker unwell' },
+    { key: 'worker_unavailable', label: 'Support worker unavailable' },
+    { key: 'staffing_shortage', label: 'Staffing shortage' },
+    { key: 'property_issue', label: 'Property issue' },
+    { key: 'weather', label: 'Weather or travel disruption' },
+    { key: 'other', label: 'Other' }
+];
+
+// Session statuses that the charging rules apply to
+const CHARGEABLE_STATUSES = [
+    { key: 'cancelled', label: 'Cancelled' },
+    { key: 'no_show', label: 'No show' }
+];
+
+const labelFor = (options, key) => (options.find(option => option.key === key) || { label: key }).label;
+
+const cancelledByLabel = (key) => labelFor(CANCELLED_BY, key);
+const cancellationReasonLabel = (key) => labelFor(CANCELLATION_REASONS, key);
+
+// Minutes of notice from cancelledAt to the planned start, by default that of
+// session s
+const noticeMinutesSql = (cancelledAt, plannedStart = 's.session_date + s.start_time') =>
+    `FLOOR(EXTRACT(EPOCH FROM ((${plannedStart}) - ${cancelledAt})) / 60)`;
+
+// Fraction of session s charged to its residents: 1 for planned and completed
+// sessions, the highest matching rule's charge for cancellations and
+// no-shows, or 0 where no rule matches. A missing notice period counts as
+// no notice.
+const chargedFractionSql = (alias = 's') => `CASE WHEN ${alias}.status IN ('cancelled', 'no_show') THEN COALESCE((
+        SELECT MAX(cr.charge_percent) FROM cancellation_charge_rules cr
+        WHERE cr.is_active = true
+          AND cr.session_status = ${alias}.status
+          AND (cr.cancelled_by IS NULL OR cr.cancelled_by = ${alias}.cancelled_by)
+          AND (cr.cancellation_reason IS NULL OR cr.cancellation_reason = ${alias}.cancellation_reason)
+          AND (cr.min_notice_hours IS NULL
+               OR COALESCE(${alias}.cancellation_notice_minutes, 0) < cr.min_notice_hours * 60)
+    ), 0) / 100.0 ELSE 1 END`;
+
+// Plain description of a charging rule, e.g. "Cancelled by the resident with
+// less than 24 hours' notice"
+function describeChargeRule(rule) {
+    const parts = [rule.session_status === 'no_show' ? 'No-shows' : 'Cancellations'];
+    if (rule.cancelled_by) parts.push(`by the ${cancelledByLabel(rule.cancelled_by).toLowerCase()}`);
+    if (rule.cancellation_reason) parts.push(`for "${cancellationReasonLabel(rule.cancellation_reason)}"`);
+    if (rule.min_notice_hours !== null && rule.min_notice_hours !== undefined) {
+        parts.push(`with less than ${parseFloat(rule.min_notice_hours)} hours' notice`);
+    }
+    return parts.join(' ');
+}
+
+module.exports = {
+    CANCELLED_BY,
+    CANCELLATION_REASONS,
+    CHARGEABLE_STATUSES,
+    cancelledByLabel,
+    cancellationReasonLabel,
+    noticeMinutesSql,
+    chargedFractionSql,
+    describeChargeRule
+};
@@ -0,0 +1,145 @@
+const { query } = require('./database');
+const { addDays, formatDay } = require('./dates');
+const BANK_HOLIDAYS = require('../database/data/uk-bank-holidays.json');
+
+// Bank holidays and closure days.
+//
+// A closure day applies to every property when it is a bank holiday or an
+// organisation closure, and to one property when it is a property closure.
+// Booking on a closure day is a warning, or an overridable error when the
+// closure blocks sessions, and recurring series skip closure days altogether.
+
+const CLOSURE_TYPES = [
+    { key: 'bank_holiday', label: 'Bank Holiday' },
+    { key: 'organisation', label: 'Organisation Closure' },
+    { key: 'property', label: 'Property Closure' }
+];
+
+// Divisions in the bundled list, which has the same layout as
+// https://www.gov.uk/bank-holidays.json so it can be refreshed from there
+const BANK_HOLIDAY_REGIONS = [
+    { key: 'england-and-wales', label: 'England and Wales' },
+    { key: 'scotland', label: 'Scotland' },
+    { key: 'northern-ireland', label: 'Northern Ireland' }
+];
+
+const closureTypeLabel = (type) => (CLOSURE_TYPES.find(option => option.key === type) || { label: type }).label;
+
+const runner = (client) => client ? (text, params) => client.query(text, params) : query;
+
+// Closure days from one 'YYYY-MM-DD' date to another. With a propertyId,
+// only those applying to that property; otherwise every closure, including
+// each property's own.
+async function getClosuresInRange(startDate, endDate, propertyId = null, client = null) {
+    const result = await runner(client)(
+        `SELECT c.id, TO_CHAR(c.closure_date, 'YYYY-MM-DD') as closure_date, c.name, c.closure_type,
+                c.property_id, c.blocks_sessions, c.source, p.name as property_name
+         FROM closure_days c
+         LEFT JOIN properties p ON c.property_id = p.id
+         WHERE c.closure_date BETWEEN $1 AND $2
+           AND ($3::uuid IS NULL OR c.property_id IS NULL OR c.property_id = $3::uuid)
+         ORDER BY c.closure_date, c.closure_type, p.name`,
+        [startDate, endDate, propertyId]
+    );
+    return result.rows.map(closure => ({ ...closure, type_label: closureTypeLabel(closure.closure_type) }));
+}
+
+// Closures on a 'YYYY-MM-DD' date, from those already loaded for a range
+function closuresOn(closures, dateKey) {
+    return closures.filter(closure => closure.closure_date === dateKey);
+}
+
+// Warn about, or for blocking closures refuse, a booking on a closure day
+// for its property. Returns issues in the scheduling checks' format.
+async function checkClosures(booking, client = null) {
+    const closures = await getClosuresInRange(booking.session_date, booking.session_date, booking.property_id, client);
+    return closures.map(closure => ({
+        code: 'closure_day',
+        severity: closure.blocks_sessions ? 'error' : 'warning',
+        overridable: closure.blocks_sessions,
+        field: 'session_date',
+        message: closure.closure_type === 'property'
+            ? `${closure.property_name} is closed on ${formatDay(closure.closure_date)} (${closure.name})`
+            : `${formatDay(closure.closure_date)} is ${closure.closure_type === 'bank_holiday'
+                ? `a bank holiday (${closure.name})`
+                : `an organisation closure day (${closure.name})`}`
+    }));
+}
+
+// The dates of a property's closure days among the given dates
+async function closedDates(propertyId, dates, client = null) {
+    if (dates.length === 0) return [];
+    const sorted = [...dates].sort();
+    const closures = await getClosuresInRange(sorted[0], sorted[sorted.length - 1], propertyId, client);
+    return dates.filter(date => closuresOn(closures, date).length > 0);
+}
+
+// The bundled bank holidays for a region, as [{ date, name }]
+function bundledBankHolidays(region) {
+    return ((BANK_HOLIDAYS[region] || {}).events || []).map(event => ({ date: event.date, name: event.title }));
+}
+
+// All-day events in iCalendar text, as [{ date, name }]. Events lasting
+// several days give an entry for each day.
+function parseIcsHolidays(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).map(line => line.trim());
+    const holidays = [];
+    let event = null;
+    const dateOf = (value) => {
+        const match = /(\d{4})(\d{2})(\d{2})/.exec(value);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    };
+
+    lines.forEach(line => {
+        const separator = line.indexOf(':');
+        const name = line.substring(0, separator).split(';')[0].toUpperCase();
+        const value = line.substring(separator + 1);
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+        } else if (line === 'END:VEVENT' && event) {
+            if (event.start && event.summary) {
+                const last = event.end && event.end > event.start ? addDays(event.end, -1) : event.start;
+                for (let date = event.start; date <= last; date = addDays(date, 1)) {
+                    holidays.push({ date, name: event.summary });
+                }
+            }
+            event = null;
+        } else if (event && name === 'DTSTART') {
+            event.start = dateOf(value);
+        } else if (event && name === 'DTEND') {
+            event.end = dateOf(value);
+        } else if (event && name === 'SUMMARY') {
+            event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim().substring(0, 150);
+        }
+    });
+    return holidays;
+}
+
+// Add bank holidays, leaving any already on those dates as they are.
+// Returns the number added.
+async function importBankHolidays(holidays, source, userId) {
+    let added = 0;
+    for (const holiday of holidays) {
+        const result = await query(
+            `INSERT INTO closure_days (closure_date, name, closure_type, source, created_by)
+             VALUES ($1, $2, 'bank_holiday', $3, $4)
+             ON CONFLICT DO NOTHING`,
+            [holiday.date, holiday.name, source, userId]
+        );
+        added += result.rowCount;
+    }
+    return added;
+}
+
+module.exports = {
+    CLOSURE_TYPES,
+    BANK_HOLIDAY_REGIONS,
+    closureTypeLabel,
+    getClosuresInRange,
+    closuresOn,
+    checkClosures,
+    closedDates,
+    bundledBankHolidays,
+    parseIcsHolidays,
+    importBankHolidays
+};
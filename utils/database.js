@@ -1,4 +1,8 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const { TIMEZONE, parseWallClock } = require('./dates');
+const { overlapsPeriodSql, minutesWithinSql } = require('./session-time');
+const { CHARGED_STATUSES, apportionedMinutes, RESIDENT_NAME_COLUMNS } = require('./group-sessions');
+const { chargedFractionSql } = require('./cancellations');
 
 const pool = new Pool({
     host: process.env.DB_HOST || 'localhost',
@@ -6,8 +10,20 @@ const pool = new Pool({
     database: process.env.DB_NAME || 'support_hours',
     user: process.env.DB_USER || 'postgres',
     password: process.env.DB_PASSWORD || 'postgres',
+    // CURRENT_DATE and NOW() follow the organisation's timezone
+    options: `-c timezone=${TIMEZONE}`,
 });
 
+// Keep DATE columns as 'YYYY-MM-DD' date keys. Read as a Date they would be
+// midnight in the server's timezone, an hour before midnight UTC during
+// British Summer Time, and fall on the previous day once written back out.
+types.setTypeParser(types.builtins.DATE, value => value);
+
+// TIMESTAMP columns hold the organisation's wall-clock time, as the session
+// timezone above writes them, so read them in TIMEZONE rather than the
+// server's timezone
+types.setTypeParser(types.builtins.TIMESTAMP, value => parseWallClock(value));
+
 // Generic database query function
 const query = async (text, params) => {
     const start = Date.now();
@@ -189,6 +205,19 @@ const dbOps = {
         return result.rows;
     },
 
+    // Active support workers, those specialised in the support type first
+    async getSupportWorkersForSupportType(supportType) {
+        const result = await query(
+            `SELECT id, first_name, last_name, specializations,
+                    $1 = ANY(COALESCE(specializations, '{}')) as matches_specialization
+             FROM support_workers
+             WHERE is_active = true
+             ORDER BY matches_specialization DESC, last_name, first_name`,
+            [supportType]
+        );
+        return result.rows;
+    },
+
     async getSupportWorkerById(id) {
         const result = await query(
             'SELECT * FROM support_workers WHERE id = $1',
@@ -197,15 +226,74 @@ const dbOps = {
         return result.rows[0];
     },
 
+    // Support worker availability
+    async getWorkerAvailability(workerId) {
+        const result = await query(
+            `SELECT id, weekday, start_time, end_time
+             FROM worker_availability
+             WHERE support_worker_id = $1
+             ORDER BY weekday, start_time`,
+            [workerId]
+        );
+        return result.rows;
+    },
+
+    // Absences ending on or after fromDate, oldest first
+    async getWorkerAbsences(workerId, fromDate) {
+        const result = await query(
+            `SELECT id, absence_type, notes,
+                    TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+                    TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+             FROM worker_absences
+             WHERE support_worker_id = $1 AND end_date >= $2
+             ORDER BY start_date`,
+            [workerId, fromDate]
+        );
+        return result.rows;
+    },
+
+    // Planned sessions that fall within one of the worker's absences
+    async getSessionsAffectedByAbsences(workerId, fromDate) {
+        const result = await query(
+            `SELECT a.id as absence_id, s.id, s.session_date, s.start_time, s.end_time, s.support_type,
+                    ${RESIDENT_NAME_COLUMNS}
+             FROM worker_absences a
+             JOIN support_sessions s ON (s.support_worker_id = a.support_worker_id
+                     OR a.support_worker_id = ANY(s.additional_worker_ids))
+                 AND s.session_date BETWEEN a.start_date AND a.end_date
+                 AND s.status = 'planned'
+             LEFT JOIN residents r ON s.resident_id = r.id
+             WHERE a.support_worker_id = $1 AND a.end_date >= $2
+             ORDER BY s.session_date, s.start_time`,
+            [workerId, fromDate]
+        );
+        return result.rows;
+    },
+
+    async getAbsencesInRange(startDate, endDate) {
+        const result = await query(
+            `SELECT a.id, a.support_worker_id, a.absence_type,
+                    TO_CHAR(a.start_date, 'YYYY-MM-DD') as start_date,
+                    TO_CHAR(a.end_date, 'YYYY-MM-DD') as end_date,
+                    sw.first_name as worker_first_name, sw.last_name as worker_last_name
+             FROM worker_absences a
+             JOIN support_workers sw ON a.support_worker_id = sw.id
+             WHERE a.start_date <= $2 AND a.end_date >= $1
+             ORDER BY sw.last_name, sw.first_name`,
+            [startDate, endDate]
+        );
+        return result.rows;
+    },
+
     // Support Sessions
     async getSessionsByDateRange(startDate, endDate) {
         const result = await query(
             `SELECT s.*, 
-                    r.first_name as resident_first_name, r.last_name as resident_last_name,
+                    ${RESIDENT_NAME_COLUMNS},
                     sw.first_name as worker_first_name, sw.last_name as worker_last_name,
                     p.name as property_name
              FROM support_sessions s
-             JOIN residents r ON s.resident_id = r.id
+             LEFT JOIN residents r ON s.resident_id = r.id
              JOIN support_workers sw ON s.support_worker_id = sw.id
              JOIN properties p ON s.property_id = p.id
              WHERE s.session_date BETWEEN $1 AND $2
@@ -218,21 +306,68 @@ const dbOps = {
     async getSessionById(id) {
         const result = await query(
             `SELECT s.*, 
-                    r.first_name as resident_first_name, r.last_name as resident_last_name,
+                    ${RESIDENT_NAME_COLUMNS},
                     sw.first_name as worker_first_name, sw.last_name as worker_last_name,
-                    p.name as property_name
+                    p.name as property_name,
+                    (SELECT STRING_AGG(extra.first_name || ' ' || extra.last_name, ', '
+                         ORDER BY extra.last_name, extra.first_name)
+                     FROM support_workers extra
+                     WHERE extra.id = ANY(s.additional_worker_ids)) as additional_worker_names,
+                    ss.interval_weeks as series_interval_weeks, ss.weekdays as series_weekdays,
+                    ss.start_date as series_start_date, ss.end_date as series_end_date,
+                    ss.occurrence_count as series_occurrence_count, ss.is_active as series_is_active,
+                    mf.session_date as makeup_for_session_date, mf.start_time as makeup_for_start_time
              FROM support_sessions s
-             JOIN residents r ON s.resident_id = r.id
+             LEFT JOIN residents r ON s.resident_id = r.id
              JOIN support_workers sw ON s.support_worker_id = sw.id
              JOIN properties p ON s.property_id = p.id
+             LEFT JOIN session_series ss ON s.series_id = ss.id
+             LEFT JOIN support_sessions mf ON s.makeup_for_session_id = mf.id
              WHERE s.id = $1`,
             [id]
         );
         return result.rows[0];
     },
 
+    // Attendees of a group session with the minutes charged to each
+    async getSessionAttendees(session) {
+        const result = await query(
+            `SELECT sa.resident_id, sa.attendance_status,
+                    r.first_name, r.last_name, r.monthly_support_hours
+             FROM session_attendees sa
+             JOIN residents r ON sa.resident_id = r.id
+             WHERE sa.session_id = $1
+             ORDER BY r.last_name, r.first_name`,
+            [session.id]
+        );
+
+        const charged = (attendee) => CHARGED_STATUSES.includes(attendee.attendance_status);
+        const chargedCount = result.rows.filter(charged).length;
+        const minutes = session.actual_minutes ?? session.duration_minutes;
+        return result.rows.map(attendee => ({
+            ...attendee,
+            charged_minutes: charged(attendee)
+                ? Math.round(apportionedMinutes(minutes, session.apportion_rule, chargedCount))
+                : 0
+        }));
+    },
+
+    async getSessionOverrides(sessionId) {
+        const result = await query(
+            `SELECT o.*, u.first_name as created_by_first_name, u.last_name as created_by_last_name
+             FROM session_overrides o
+             LEFT JOIN users u ON o.created_by = u.id
+             WHERE o.session_id = $1
+             ORDER BY o.created_at`,
+            [sessionId]
+        );
+        return result.rows;
+    },
+
     // Dashboard statistics
     async getDashboardStats() {
+        const thisMonth = "DATE_TRUNC('month', CURRENT_DATE)";
+        const nextMonth = "DATE_TRUNC('month', CURRENT_DATE) + INTERVAL '1 month'";
         const result = await query(`
             SELECT 
                 (SELECT COUNT(*) FROM residents WHERE is_active = true) as total_residents,
@@ -241,10 +376,10 @@ const dbOps = {
                 (SELECT COUNT(*) FROM support_sessions 
                  WHERE DATE_TRUNC('month', session_date) = DATE_TRUNC('month', CURRENT_DATE)
                  AND status = 'completed') as sessions_this_month,
-                (SELECT COALESCE(SUM(duration_minutes), 0) / 60.0 
-                 FROM support_sessions 
-                 WHERE DATE_TRUNC('month', session_date) = DATE_TRUNC('month', CURRENT_DATE)
-                 AND status = 'completed') as hours_this_month,
+                (SELECT COALESCE(SUM(${minutesWithinSql('s', thisMonth, nextMonth)}), 0) / 60.0 
+                 FROM support_sessions s
+                 WHERE ${overlapsPeriodSql('s', thisMonth, nextMonth)}
+                 AND s.status = 'completed') as hours_this_month,
                 (SELECT COUNT(*) FROM support_sessions 
                  WHERE session_date = CURRENT_DATE) as sessions_today
         `);
@@ -252,7 +387,13 @@ const dbOps = {
     },
 
     // Monthly usage summary
+    // Overnight sessions count only the hours that fall within the month, and
+    // group sessions only each attendee's share. Late cancellations and
+    // no-shows count where the cancellation charging rules charge them.
     async getMonthlyUsageSummary(year, month) {
+        const monthStart = 'MAKE_DATE($1::int, $2::int, 1)';
+        const monthEnd = `${monthStart} + INTERVAL '1 month'`;
+        const usedMinutes = `${minutesWithinSql('s', monthStart, monthEnd)} * sr.share * ${chargedFractionSql('s')}`;
         const result = await query(`
             SELECT 
                 r.id,
@@ -260,14 +401,14 @@ const dbOps = {
                 r.last_name,
                 r.monthly_support_hours,
                 p.name as property_name,
-                COALESCE(SUM(s.duration_minutes), 0) / 60.0 as hours_used,
-                r.monthly_support_hours - COALESCE(SUM(s.duration_minutes), 0) / 60.0 as remaining_hours
+                COALESCE(SUM(${usedMinutes}), 0) / 60.0 as hours_used,
+                r.monthly_support_hours - COALESCE(SUM(${usedMinutes}), 0) / 60.0 as remaining_hours
             FROM residents r
             LEFT JOIN properties p ON r.property_id = p.id
-            LEFT JOIN support_sessions s ON r.id = s.resident_id 
-                AND EXTRACT(YEAR FROM s.session_date) = $1
-                AND EXTRACT(MONTH FROM s.session_date) = $2
-                AND s.status = 'completed'
+            LEFT JOIN (session_residents sr
+                JOIN support_sessions s ON s.id = sr.session_id
+                    AND ${overlapsPeriodSql('s', monthStart, monthEnd)}
+                    AND s.status IN ('completed', 'cancelled', 'no_show')) ON sr.resident_id = r.id
             WHERE r.is_active = true
             GROUP BY r.id, r.first_name, r.last_name, r.monthly_support_hours, p.name
             ORDER BY r.last_name, r.first_name
@@ -0,0 +1,138 @@
+// Calendar dates in the organisation's timezone.
+//
+// A calendar day is handled as a 'YYYY-MM-DD' date key. Keys compare and sort
+// as strings, and arithmetic on them is done in UTC, where every day has 24
+// hours, so nothing shifts by a day across the British Summer Time changes.
+// Only moments in time, such as "now" or a timestamp, depend on a timezone:
+// they are read in TIMEZONE, an IANA name set by the TIMEZONE environment
+// variable, rather than in the server's own timezone.
+
+const TIMEZONE = process.env.TIMEZONE || 'Europe/London';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const isDateKey = (value) => typeof value === 'string' && DATE_KEY_PATTERN.test(value);
+
+// Midnight UTC on the date, for arithmetic and formatting
+const parseDateKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+const utcDateKey = (date) => date.toISOString().split('T')[0];
+
+// Date key for a year and month (1-12) and day, which may fall outside the
+// month and roll over, e.g. day 0 is the last day of the previous month
+const dateKeyOf = (year, month, day = 1) => utcDateKey(new Date(Date.UTC(year, month - 1, day)));
+
+// The date of a date key, or of a moment in time (a Date or timestamp string)
+// as the clock reads in the timezone
+const toDateKey = (value, timeZone = TIMEZONE) => {
+    if (isDateKey(value)) return value;
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(new Date(value))
+        .forEach(part => { parts[part.type] = part.value; });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Today's date in the timezone
+const today = (timeZone = TIMEZONE) => toDateKey(new Date(), timeZone);
+
+// { year, month } of a date key, with month 1-12
+const yearMonthOf = (dateKey) => {
+    const [year, month] = dateKey.split('-').map(Number);
+    return { year, month };
+};
+
+const addDays = (dateKey, days) => {
+    const date = parseDateKey(dateKey);
+    date.setUTCDate(date.getUTCDate() + days);
+    return utcDateKey(date);
+};
+
+// Days from one date key to another, negative if to is earlier
+const daysBetween = (from, to) => Math.round((parseDateKey(to) - parseDateKey(from)) / (24 * 60 * 60 * 1000));
+
+// Day of the week, 0 Sunday to 6 Saturday
+const weekdayOf = (dateKey) => parseDateKey(dateKey).getUTCDay();
+
+// First day of the week holding the date, for weeks starting on weekStart
+// (0 Sunday, 1 Monday)
+const weekStartOf = (dateKey, weekStart = 1) => addDays(dateKey, -((weekdayOf(dateKey) - weekStart + 7) % 7));
+
+// First and last days of a month (1-12)
+const monthStart = (year, month) => dateKeyOf(year, month, 1);
+const monthEnd = (year, month) => dateKeyOf(year, month + 1, 0);
+
+// The month before or after, e.g. addMonths(2026, 12, 1) is { year: 2027, month: 1 }
+const addMonths = (year, month, months) => {
+    const index = year * 12 + (month - 1) + months;
+    return { year: Math.floor(index / 12), month: index % 12 + 1 };
+};
+
+// Minutes the timezone's clock is ahead of UTC at a moment in time
+const offsetMinutes = (time, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(time)).map(part => [part.type, parseInt(part.value)]));
+    const clock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((clock - Math.floor(time / 1000) * 1000) / 60000);
+};
+
+// The moment a wall-clock time in the timezone stands for, from
+// 'YYYY-MM-DD HH:MM:SS[.ffffff]' as Postgres writes a TIMESTAMP. As in
+// Postgres, a time in the repeated hour in autumn is the standard time pass
+// and a time in the hour skipped in spring moves on an hour.
+const parseWallClock = (text, timeZone = TIMEZONE) => {
+    const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = ''] =
+        text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?)?$/) || [];
+    if (!year) return new Date(NaN);
+    const clock = Date.UTC(year, month - 1, day, hour, minute, second, Number(fraction.padEnd(3, '0').substring(0, 3)));
+    const guess = clock - offsetMinutes(clock, timeZone) * 60000;
+    return new Date(clock - offsetMinutes(guess, timeZone) * 60000);
+};
+
+// The hour (0-23) of a moment in time as the clock reads in the timezone
+const hourOf = (value, timeZone = TIMEZONE) =>
+    parseInt(new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', hourCycle: 'h23' }).format(new Date(value)));
+
+// The time of day of a moment in time as 'HH:MM' on the clock in the timezone
+const timeOf = (value, timeZone = TIMEZONE) =>
+    new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .format(new Date(value));
+
+// Format a date key for display, e.g. formatDay('2026-03-29') is '29/03/2026'.
+// options are Intl date options such as { weekday: 'long', month: 'long' }.
+const formatDay = (dateKey, options = {}) =>
+    parseDateKey(dateKey).toLocaleDateString('en-GB', { ...options, timeZone: 'UTC' });
+
+// Format a moment in time as the clock reads in the timezone
+const formatDateTime = (value, timeZone = TIMEZONE) =>
+    new Date(value).toLocaleString('en-GB', { timeZone });
+
+module.exports = {
+    TIMEZONE,
+    DAY_NAMES,
+    isDateKey,
+    parseDateKey,
+    dateKeyOf,
+    toDateKey,
+    today,
+    yearMonthOf,
+    addDays,
+    daysBetween,
+    weekdayOf,
+    weekStartOf,
+    monthStart,
+    monthEnd,
+    addMonths,
+    parseWallClock,
+    hourOf,
+    timeOf,
+    formatDay,
+    formatDateTime
+};
@@ -0,0 +1,66 @@
+// Group activity sessions.
+//
+// A group session has one support worker and many resident attendees. It is
+// stored as a support_sessions row with no resident_id and an apportion_rule,
+// and its residents are listed in session_attendees. The session_residents
+// view gives every resident booked on any session with the share of the
+// session charged to their allocation, so hour totals work the same way for
+// individual and group sessions.
+
+const APPORTION_RULES = [
+    { key: 'divided', label: 'Divide the session between attendees' },
+    { key: 'full', label: 'Charge every attendee the full session' }
+];
+
+const ATTENDANCE_STATUSES = [
+    { key: 'booked', label: 'Booked' },
+    { key: 'attended', label: 'Attended' },
+    { key: 'absent', label: 'Absent' },
+    { key: 'cancelled', label: 'Cancelled' }
+];
+
+// Attendees in these states are charged for the session and share its time
+const CHARGED_STATUSES = ['booked', 'attended'];
+
+// Minutes charged to each attendee of a group session
+const apportionedMinutes = (minutes, rule, chargedCount) =>
+    rule === 'divided' && chargedCount > 0 ? minutes / chargedCount : minutes;
+
+// Session s has resident $n booked on it, on its own or as a group attendee
+// who has not cancelled
+const residentBookedSql = (param) =>
+    `(s.resident_id = ${param} OR EXISTS (SELECT 1 FROM session_attendees sa ` +
+    `WHERE sa.session_id = s.id AND sa.resident_id = ${param} AND sa.attendance_status <> 'cancelled'))`;
+
+// Resident name columns for session lists that LEFT JOIN residents r. Group
+// sessions are shown as "Group" with their number of attendees.
+const RESIDENT_NAME_COLUMNS = `COALESCE(r.first_name, 'Group') as resident_first_name,
+       COALESCE(r.last_name, '(' || (SELECT COUNT(*) FROM session_attendees sa
+           WHERE sa.session_id = s.id AND sa.attendance_status <> 'cancelled') || ')') as resident_last_name`;
+
+// Replace a session's attendee list. Residents already on the list keep their
+// attendance status; new ones are booked.
+async function saveAttendees(client, sessionId, residentIds) {
+    await client.query(
+        `DELETE FROM session_attendees WHERE session_id = $1 AND NOT (resident_id = ANY($2::uuid[]))`,
+        [sessionId, residentIds]
+    );
+    for (const residentId of residentIds) {
+        await client.query(
+            `INSERT INTO session_attendees (session_id, resident_id)
+             VALUES ($1, $2)
+             ON CONFLICT (session_id, resident_id) DO NOTHING`,
+            [sessionId, residentId]
+        );
+    }
+}
+
+module.exports = {
+    APPORTION_RULES,
+    ATTENDANCE_STATUSES,
+    CHARGED_STATUSES,
+    apportionedMinutes,
+    residentBookedSql,
+    RESIDENT_NAME_COLUMNS,
+    saveAttendees
+};
@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email over SMTP.
+//
+// The server is set by SMTP_HOST and SMTP_PORT, with SMTP_USER and
+// SMTP_PASSWORD when it needs a login and SMTP_SECURE=true for TLS from the
+// start (usually port 465). Without a user no login is attempted, so a local
+// catcher such as Mailpit (SMTP_HOST=localhost, SMTP_PORT=1025) can be used
+// to check emails in development. Mail is sent from FROM_EMAIL.
+
+let transport = null;
+
+const mailConfigured = () => !!process.env.SMTP_HOST;
+
+// Where mail is sent, for showing to admins, e.g. 'localhost:1025'
+const mailServer = () => mailConfigured() ? `${process.env.SMTP_HOST}:${process.env.SMTP_PORT || 587}` : null;
+
+function getTransport() {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        });
+    }
+    return transport;
+}
+
+// Send a message in nodemailer's format. Resolves to nodemailer's info, with
+// the messageId the server accepted it under.
+async function sendMail(message) {
+    if (!mailConfigured()) {
+        throw new Error('Email is not set up: set SMTP_HOST to the mail server');
+    }
+    return getTransport().sendMail({
+        from: process.env.FROM_EMAIL || 'noreply@support-hours.com',
+        ...message
+    });
+}
+
+module.exports = {
+    mailConfigured,
+    mailServer,
+    sendMail
+};
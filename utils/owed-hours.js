@@ -0,0 +1,135 @@
+const { query } = require('./database');
+
+// Owed make-up hours.
+//
+// Sessions cancelled by the provider rather than the resident leave each
+// resident on them owed the time. The owed_hours_ledger keeps an 'owed' entry
+// per resident for each such session and a negative 'made_up' entry for each
+// make-up session booked against it, so the outstanding hours for a
+// cancelled session are the sum of its entries.
+
+// Who cancelled a session for it to count as a provider-side cancellation
+const PROVIDER_CANCELLERS = ['worker', 'organisation'];
+
+const runner = (client) => client ? (text, params) => client.query(text, params) : query;
+
+// Bring the ledger in step with sessions that have just been booked or whose
+// status or cancellation details have just changed:
+// - make-up sessions that were cancelled or missed give back the hours they
+//   used, and those planned or completed use what is still owed for the
+//   session they make up, up to their own length, following edits to it
+// - provider-side cancellations owe each resident their share of the planned
+//   minutes; cancelling a make-up session gives back the original hours instead
+// - sessions no longer cancelled by the provider owe nothing, unless some of
+//   the hours have already been made up
+async function syncOwedHours(sessionIds, userId = null, client = null) {
+    const run = runner(client);
+    await run(
+        `DELETE FROM owed_hours_ledger l
+         USING support_sessions s
+         WHERE l.makeup_session_id = s.id
+           AND s.id = ANY($1::uuid[])
+           AND (s.status IN ('cancelled', 'no_show') OR l.resident_id <> s.resident_id)`,
+        [sessionIds]
+    );
+
+    await run(
+        `INSERT INTO owed_hours_ledger
+         (resident_id, entry_type, minutes, source_session_id, makeup_session_id, created_by)
+         SELECT s.resident_id, 'made_up', -LEAST(owed.minutes, s.duration_minutes),
+                s.makeup_for_session_id, s.id, $2
+         FROM support_sessions s
+         JOIN LATERAL (
+             SELECT SUM(l.minutes) as minutes FROM owed_hours_ledger l
+             WHERE l.resident_id = s.resident_id AND l.source_session_id = s.makeup_for_session_id
+               AND l.makeup_session_id IS DISTINCT FROM s.id
+         ) owed ON owed.minutes > 0
+         WHERE s.id = ANY($1::uuid[])
+           AND s.status IN ('planned', 'completed')
+         ON CONFLICT (makeup_session_id, resident_id) WHERE entry_type = 'made_up'
+         DO UPDATE SET minutes = EXCLUDED.minutes`,
+        [sessionIds, userId]
+    );
+
+    await run(
+        `INSERT INTO owed_hours_ledger (resident_id, entry_type, minutes, source_session_id, created_by)
+         SELECT sr.resident_id, 'owed', ROUND(s.duration_minutes * sr.share), s.id, $3
+         FROM support_sessions s
+         JOIN session_residents sr ON sr.session_id = s.id
+         WHERE s.id = ANY($1::uuid[])
+           AND s.status = 'cancelled'
+           AND s.cancelled_by = ANY($2::text[])
+           AND s.makeup_for_session_id IS NULL
+           AND ROUND(s.duration_minutes * sr.share) > 0
+         ON CONFLICT DO NOTHING`,
+        [sessionIds, PROVIDER_CANCELLERS, userId]
+    );
+
+    await run(
+        `DELETE FROM owed_hours_ledger l
+         USING support_sessions s
+         WHERE l.source_session_id = s.id
+           AND l.entry_type = 'owed'
+           AND s.id = ANY($1::uuid[])
+           AND NOT (s.status = 'cancelled' AND s.cancelled_by = ANY($2::text[]))
+           AND NOT EXISTS (
+               SELECT 1 FROM owed_hours_ledger used
+               WHERE used.source_session_id = l.source_session_id
+                 AND used.resident_id = l.resident_id
+                 AND used.entry_type = 'made_up')`,
+        [sessionIds, PROVIDER_CANCELLERS]
+    );
+}
+
+// Provider-cancelled sessions with hours still owed to the resident, oldest
+// first
+async function getOutstandingOwedHours(residentId, client = null) {
+    const result = await runner(client)(
+        `SELECT s.id as source_session_id,
+                TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date,
+                s.start_time, s.end_time, s.support_type, s.cancelled_by, s.cancellation_reason,
+                SUM(l.minutes) FILTER (WHERE l.entry_type = 'owed') as owed_minutes,
+                COALESCE(-SUM(l.minutes) FILTER (WHERE l.entry_type = 'made_up'), 0) as made_up_minutes,
+                SUM(l.minutes) as remaining_minutes
+         FROM owed_hours_ledger l
+         JOIN support_sessions s ON s.id = l.source_session_id
+         WHERE l.resident_id = $1
+         GROUP BY s.id, s.session_date, s.start_time, s.end_time, s.support_type,
+                  s.cancelled_by, s.cancellation_reason
+         HAVING SUM(l.minutes) > 0
+         ORDER BY s.session_date, s.start_time`,
+        [residentId]
+    );
+    return result.rows.map(row => ({
+        ...row,
+        owed_minutes: parseInt(row.owed_minutes),
+        made_up_minutes: parseInt(row.made_up_minutes),
+        remaining_minutes: parseInt(row.remaining_minutes)
+    }));
+}
+
+// Every ledger entry for a resident, oldest first, with the running balance
+async function getResidentLedger(residentId) {
+    const result = await query(
+        `SELECT l.id, l.entry_type, l.minutes, l.created_at,
+                l.source_session_id, l.makeup_session_id,
+                src.session_date as source_session_date, src.start_time as source_start_time,
+                src.cancelled_by, src.cancellation_reason,
+                mk.session_date as makeup_session_date, mk.start_time as makeup_start_time,
+                SUM(l.minutes) OVER (ORDER BY l.created_at, l.id) as balance_minutes
+         FROM owed_hours_ledger l
+         JOIN support_sessions src ON src.id = l.source_session_id
+         LEFT JOIN support_sessions mk ON mk.id = l.makeup_session_id
+         WHERE l.resident_id = $1
+         ORDER BY l.created_at, l.id`,
+        [residentId]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    PROVIDER_CANCELLERS,
+    syncOwedHours,
+    getOutstandingOwedHours,
+    getResidentLedger
+};
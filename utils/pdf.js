@@ -0,0 +1,172 @@
+const zlib = require('zlib');
+
+// Simple PDF documents drawn on the server.
+//
+// Pages hold text in the standard Helvetica fonts, which every PDF reader
+// has built in, and filled or outlined rectangles, so printable documents
+// need no rendering service or font files. Positions are in points (1/72
+// inch) from the top left of the page, with text placed by its baseline.
+
+// A4 in points
+const PAGE_SIZES = {
+    portrait: { width: 595, height: 842 },
+    landscape: { width: 842, height: 595 }
+};
+
+// Widths of the printable ASCII characters, from space, in 1/1000s of the
+// font size (from the Adobe font metrics)
+const CHARACTER_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Characters outside Latin-1 that the fonts' WinAnsi encoding also has
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+// A string as WinAnsi character codes, with anything the fonts lack as '?'
+const encodeText = (text) => Array.from(String(text)).map(character => {
+    const code = character.charCodeAt(0);
+    if (WIN_ANSI_EXTRAS[character]) return WIN_ANSI_EXTRAS[character];
+    return code < 32 ? 32 : (code < 127 || (code >= 160 && code <= 255) ? code : 63);
+});
+
+// Width in points of text in the font at the size
+function textWidth(text, size, bold = false) {
+    const widths = CHARACTER_WIDTHS[bold ? 'bold' : 'regular'];
+    const units = encodeText(text).reduce((total, code) => total + (widths[code - 32] || 556), 0);
+    return units * size / 1000;
+}
+
+// The text, shortened with an ellipsis if need be, to fit in the width
+function fitText(text, width, size, bold = false) {
+    let fitted = String(text);
+    if (textWidth(fitted, size, bold) <= width) return fitted;
+    while (fitted.length > 0 && textWidth(fitted + '…', size, bold) > width) {
+        fitted = fitted.slice(0, -1);
+    }
+    return fitted.trimEnd() + '…';
+}
+
+// '#rrggbb' as PDF colour components
+const rgb = (hex) => [1, 3, 5].map(index => (parseInt(hex.substring(index, index + 2), 16) / 255).toFixed(3)).join(' ');
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+// A new document. Draw on it with the returned functions, starting a page
+// with addPage, then call toBuffer for the finished file.
+function createPdf({ orientation = 'portrait', title = '' } = {}) {
+    const { width, height } = PAGE_SIZES[orientation];
+    const pages = [];
+    let page = null;
+
+    const draw = (operations) => {
+        if (!page) throw new Error('Add a page before drawing on it');
+        page.push(operations);
+    };
+
+    return {
+        width,
+        height,
+
+        addPage() {
+            page = [];
+            pages.push(page);
+        },
+
+        // Text with its baseline at y, in size points, in colour ('#rrggbb')
+        text(text, x, y, { size = 10, bold = false, color = '#000000' } = {}) {
+            const literal = encodeText(text)
+                .map(code => [40, 41, 92].includes(code) ? '\\' + String.fromCharCode(code) : String.fromCharCode(code))
+                .join('');
+            draw(`BT ${rgb(color)} rg /${bold ? 'F2' : 'F1'} ${number(size)} Tf ` +
+                `${number(x)} ${number(height - y)} Td (${literal}) Tj ET`);
+        },
+
+        // A rectangle from its top left, filled and/or outlined in colours
+        rect(x, y, rectWidth, rectHeight, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+            const path = `${number(x)} ${number(height - y - rectHeight)} ${number(rectWidth)} ${number(rectHeight)} re`;
+            const colours = (fill ? `${rgb(fill)} rg ` : '') + (stroke ? `${rgb(stroke)} RG ${number(lineWidth)} w ` : '');
+            draw(`${colours}${path} ${fill && stroke ? 'B' : (fill ? 'f' : 'S')}`);
+        },
+
+        textWidth,
+        fitText,
+
+        toBuffer() {
+            const objects = [];
+            const add = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+            const catalog = add(null);
+            const pageTree = add(null);
+            const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+            const info = add(`<< /Title (${encodeText(title).map(code => String.fromCharCode(code)).join('').replace(/[()\\]/g, '\\$&')}) ` +
+                '/Producer (Support Hours Tracker) >>');
+
+            const pageIds = pages.map(operations => {
+                const stream = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+                const content = add(Buffer.concat([
+                    Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                    stream,
+                    Buffer.from('\nendstream', 'latin1')
+                ]));
+                return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                    `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+            });
+            objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+            objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+            const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+            let offset = chunks[0].length;
+            const offsets = objects.map((body, index) => {
+                const chunk = Buffer.concat([
+                    Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+                    Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+                    Buffer.from('\nendobj\n', 'latin1')
+                ]);
+                chunks.push(chunk);
+                const start = offset;
+                offset += chunk.length;
+                return start;
+            });
+
+            chunks.push(Buffer.from([
+                'xref',
+                `0 ${objects.length + 1}`,
+                '0000000000 65535 f ',
+                ...offsets.map(start => `${start.toString().padStart(10, '0')} 00000 n `),
+                'trailer',
+                `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+                'startxref',
+                offset.toString(),
+                '%%EOF',
+                ''
+            ].join('\n'), 'latin1'));
+            return Buffer.concat(chunks);
+        }
+    };
+}
+
+module.exports = {
+    createPdf,
+    textWidth,
+    fitText
+};
@@ -0,0 +1,73 @@
+const { DAY_NAMES, addDays, weekdayOf, weekStartOf } = require('./dates');
+
+// Recurrence rule expansion for session series
+//
+// Dates are handled as 'YYYY-MM-DD' strings and calculated in UTC so that
+// generated occurrences never drift across a daylight saving change.
+
+// Hard limit on the number of occurrences a single series may generate
+const MAX_OCCURRENCES = 156;
+
+const WEEKDAY_NAMES = DAY_NAMES;
+
+// Normalise the weekdays submitted by a form (string, array or empty) to a
+// sorted list of unique integers, defaulting to the start date's weekday
+const normaliseWeekdays = (weekdays, startDate) => {
+    const values = [].concat(weekdays || [])
+        .map(value => parseInt(value))
+        .filter(value => value >= 0 && value <= 6);
+    if (values.length === 0 && startDate) {
+        values.push(weekdayOf(startDate));
+    }
+    return [...new Set(values)].sort((a, b) => a - b);
+};
+
+// Expand a recurrence rule into the list of occurrence dates.
+// rule: { start_date, end_date, occurrence_count, interval_weeks, weekdays }
+const generateOccurrences = (rule) => {
+    const interval = parseInt(rule.interval_weeks) || 1;
+    const weekdays = normaliseWeekdays(rule.weekdays, rule.start_date);
+    const count = rule.occurrence_count ? parseInt(rule.occurrence_count) : null;
+    const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+    if (!rule.start_date || (!rule.end_date && !count)) {
+        throw new Error('A recurring series needs an end date or an occurrence count');
+    }
+
+    // Weeks are counted Monday to Sunday so that "every 2 weeks on Mon and
+    // Fri" keeps both days in the same fortnightly cycle
+    const weekStart = weekStartOf(rule.start_date);
+    const offsets = weekdays.map(day => (day + 6) % 7).sort((a, b) => a - b);
+
+    const occurrences = [];
+    for (let week = 0; occurrences.length < limit; week += interval) {
+        const cycleStart = addDays(weekStart, week * 7);
+        if (rule.end_date && cycleStart > rule.end_date) break;
+
+        for (const offset of offsets) {
+            const date = addDays(cycleStart, offset);
+            if (date < rule.start_date) continue;
+            if (rule.end_date && date > rule.end_date) break;
+            occurrences.push(date);
+            if (occurrences.length >= limit) break;
+        }
+    }
+
+    return occurrences;
+};
+
+// Human readable summary, e.g. "Every 2 weeks on Monday, Thursday"
+const describeRule = (rule) => {
+    const interval = parseInt(rule.interval_weeks) || 1;
+    const days = normaliseWeekdays(rule.weekdays).map(day => WEEKDAY_NAMES[day]).join(', ');
+    const frequency = interval === 1 ? 'Every week' : interval === 2 ? 'Every fortnight' : `Every ${interval} weeks`;
+    return days ? `${frequency} on ${days}` : frequency;
+};
+
+module.exports = {
+    MAX_OCCURRENCES,
+    WEEKDAY_NAMES,
+    normaliseWeekdays,
+    generateOccurrences,
+    describeRule
+};
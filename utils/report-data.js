@@ -0,0 +1,140 @@
+const { query } = require('./database');
+const { startsWithinSql, overlapsPeriodSql, minutesWithinSql } = require('./session-time');
+const { chargedFractionSql } = require('./cancellations');
+
+// Residents' and properties' figures for a reporting period, shared by the
+// report pages, their exports and the monthly emails to property managers.
+
+// Reporting period bounds for queries taking $1 start and $2 end dates, both
+// inclusive. Sessions are counted in the period they start, while hours of
+// overnight sessions are split at midnight between the days they fall in.
+const PERIOD_START = '$1::date';
+const PERIOD_END = '($2::date + 1)';
+const IN_PERIOD = startsWithinSql('s', PERIOD_START, PERIOD_END);
+const PERIOD_MINUTES = minutesWithinSql('s', PERIOD_START, PERIOD_END);
+
+// Late cancellations and no-shows charged to residents under the active
+// cancellation_charge_rules
+const CANCELLED_STATUSES = "s.status IN ('cancelled', 'no_show')";
+const CHARGED_CANCELLATION = `${CANCELLED_STATUSES} AND ${chargedFractionSql('s')} > 0`;
+
+// Hours used by each active resident over the period against their monthly
+// allocation pro-rated to it
+async function getMonthlyUtilization(period) {
+    const result = await query(`
+        SELECT 
+            r.id,
+            r.first_name,
+            r.last_name,
+            r.monthly_support_hours,
+            r.property_id,
+            p.name as property_name,
+            COALESCE(SUM(CASE WHEN s.status = 'completed' THEN ${PERIOD_MINUTES} * sr.share ELSE 0 END), 0) / 60.0 as hours_delivered,
+            COALESCE(SUM(CASE WHEN ${CANCELLED_STATUSES}
+                THEN ${PERIOD_MINUTES} * sr.share * ${chargedFractionSql('s')} ELSE 0 END), 0) / 60.0 as hours_charged_cancelled,
+            COALESCE(SUM(CASE WHEN s.status = 'planned' THEN ${PERIOD_MINUTES} * sr.share ELSE 0 END), 0) / 60.0 as hours_planned,
+            COALESCE(SUM(CASE WHEN s.status = 'cancelled' THEN ${PERIOD_MINUTES} * sr.share ELSE 0 END), 0) / 60.0 as hours_cancelled,
+            COUNT(CASE WHEN s.status = 'completed' AND ${IN_PERIOD} THEN 1 END) as completed_sessions,
+            COUNT(CASE WHEN s.status = 'no_show' AND ${IN_PERIOD} THEN 1 END) as no_show_sessions,
+            COUNT(CASE WHEN ${CHARGED_CANCELLATION} AND ${IN_PERIOD} THEN 1 END) as charged_cancellations
+        FROM residents r
+        LEFT JOIN properties p ON r.property_id = p.id
+        LEFT JOIN (session_residents sr
+            JOIN support_sessions s ON s.id = sr.session_id
+                AND ${overlapsPeriodSql('s', PERIOD_START, PERIOD_END)}) ON sr.resident_id = r.id
+        WHERE r.is_active = true
+        GROUP BY r.id, r.first_name, r.last_name, r.monthly_support_hours, r.property_id, p.name
+        ORDER BY r.last_name, r.first_name
+    `, [period.start, period.end]);
+
+    // Hours used are those delivered plus late cancellations and no-shows
+    // that are still charged
+    return result.rows.map(row => {
+        const hoursUsed = parseFloat(row.hours_delivered) + parseFloat(row.hours_charged_cancelled);
+        const allocatedHours = row.monthly_support_hours * period.months;
+        return {
+            ...row,
+            allocated_hours: allocatedHours,
+            hours_used: hoursUsed,
+            utilization_rate: allocatedHours > 0 
+                ? ((hoursUsed / allocatedHours) * 100).toFixed(1)
+                : 0,
+            remaining_hours: allocatedHours - hoursUsed
+        };
+    });
+}
+
+// Sessions and delivered hours at each active property over the period, with
+// its occupancy. Residents and sessions are counted apart so that neither
+// multiplies the other.
+async function getPropertyUtilization(period) {
+    const result = await query(`
+        SELECT 
+            p.id,
+            p.name,
+            p.max_capacity,
+            (SELECT COUNT(*) FROM residents r
+             WHERE r.property_id = p.id AND r.is_active = true) as current_residents,
+            sessions.total_sessions,
+            sessions.total_hours,
+            sessions.completed_sessions,
+            sessions.cancelled_sessions
+        FROM properties p
+        CROSS JOIN LATERAL (
+            SELECT 
+                COUNT(CASE WHEN ${IN_PERIOD} THEN 1 END) as total_sessions,
+                COALESCE(SUM(CASE WHEN s.status = 'completed' THEN ${PERIOD_MINUTES} ELSE 0 END), 0) / 60.0 as total_hours,
+                COUNT(CASE WHEN s.status = 'completed' AND ${IN_PERIOD} THEN 1 END) as completed_sessions,
+                COUNT(CASE WHEN s.status = 'cancelled' AND ${IN_PERIOD} THEN 1 END) as cancelled_sessions
+            FROM support_sessions s
+            WHERE s.property_id = p.id
+              AND ${overlapsPeriodSql('s', PERIOD_START, PERIOD_END)}
+        ) sessions
+        WHERE p.is_active = true
+        ORDER BY sessions.total_hours DESC
+    `, [period.start, period.end]);
+
+    return result.rows.map(row => ({
+        ...row,
+        occupancy_rate: row.max_capacity > 0 
+            ? ((row.current_residents / row.max_capacity) * 100).toFixed(1)
+            : 0
+    }));
+}
+
+// Columns of the residents' and properties' sheets in exports and emails
+const RESIDENT_COLUMNS = [
+    { key: 'name', label: 'Resident Name', value: resident => `${resident.first_name} ${resident.last_name}` },
+    { key: 'property_name', label: 'Property' },
+    { key: 'allocated_hours', label: 'Allocated Hours', type: 'decimal' },
+    { key: 'hours_delivered', label: 'Hours Delivered', type: 'decimal' },
+    { key: 'hours_charged_cancelled', label: 'Charged Cancellation Hours', type: 'decimal' },
+    { key: 'charged_cancellations', label: 'Charged Cancellations', type: 'integer' },
+    { key: 'hours_used', label: 'Hours Used', type: 'decimal' },
+    { key: 'utilization_rate', label: 'Utilization Rate', type: 'percent' },
+    { key: 'remaining_hours', label: 'Remaining Hours', type: 'decimal' },
+    { key: 'completed_sessions', label: 'Completed Sessions', type: 'integer' },
+    { key: 'no_show_sessions', label: 'No-shows', type: 'integer' }
+];
+
+const PROPERTY_COLUMNS = [
+    { key: 'name', label: 'Property' },
+    { key: 'max_capacity', label: 'Capacity', type: 'integer' },
+    { key: 'current_residents', label: 'Residents', type: 'integer' },
+    { key: 'occupancy_rate', label: 'Occupancy Rate', type: 'percent' },
+    { key: 'total_sessions', label: 'Sessions', type: 'integer' },
+    { key: 'completed_sessions', label: 'Completed', type: 'integer' },
+    { key: 'cancelled_sessions', label: 'Cancelled', type: 'integer' },
+    { key: 'total_hours', label: 'Hours Delivered', type: 'decimal' }
+];
+
+module.exports = {
+    PERIOD_START,
+    PERIOD_END,
+    IN_PERIOD,
+    PERIOD_MINUTES,
+    getMonthlyUtilization,
+    getPropertyUtilization,
+    RESIDENT_COLUMNS,
+    PROPERTY_COLUMNS
+};
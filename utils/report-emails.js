@@ -0,0 +1,321 @@
+const { query } = require('./database');
+const { mailConfigured, sendMail } = require('./mailer');
+const { getMonthlyUtilization, getPropertyUtilization, RESIDENT_COLUMNS } = require('./report-data');
+const { parseReportPeriod } = require('./report-periods');
+const { toCsv } = require('./report-export');
+const { toDateKey, yearMonthOf, addMonths, hourOf, formatDay } = require('./dates');
+
+// Monthly summaries emailed to property managers.
+//
+// Each active report_schedules row sends every active property's figures for
+// the previous month, with its residents as a CSV attachment, once a month on
+// its day at or after its hour. The scheduler checks every few minutes. It
+// claims a due schedule for a while before sending, so only one of several
+// servers sends it, and moves its last_period_start on only once every email
+// has gone. A run with failures is retried at the next check, sending only
+// to the recipients it has not reached yet. Every email, sent or failed, is
+// logged in report_deliveries.
+
+// How often the scheduler looks for due schedules
+const CHECK_INTERVAL_MINUTES = 5;
+
+// How long a server has to send a schedule it has claimed before another
+// server may take it over
+const CLAIM_MINUTES = 30;
+
+const SEND_HOURS = Array.from({ length: 24 }, (_, hour) => ({
+    value: hour,
+    label: `${String(hour).padStart(2, '0')}:00`
+}));
+
+const DELIVERY_TRIGGERS = [
+    { key: 'schedule', label: 'Scheduled' },
+    { key: 'manual', label: 'Sent by an admin' },
+    { key: 'test', label: 'Test' }
+];
+
+const hours = (value) => (parseFloat(value) || 0).toFixed(1);
+const percentage = (part, total) => total > 0 ? ((part / total) * 100).toFixed(1) : '0.0';
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// The month period before the one holding the date
+function previousMonthPeriod(dateKey) {
+    const { year, month } = yearMonthOf(dateKey);
+    const previous = addMonths(year, month, -1);
+    return parseReportPeriod({ period: 'month', year: previous.year, month: previous.month });
+}
+
+// Each active property's figures and residents for the period, with totals
+async function getPropertySummaries(period) {
+    const [residents, properties] = await Promise.all([
+        getMonthlyUtilization(period),
+        getPropertyUtilization(period)
+    ]);
+
+    return properties.map(property => {
+        const propertyResidents = residents.filter(resident => resident.property_id === property.id);
+        const allocated = propertyResidents.reduce((total, resident) => total + resident.allocated_hours, 0);
+        const used = propertyResidents.reduce((total, resident) => total + resident.hours_used, 0);
+        return {
+            property,
+            residents: propertyResidents,
+            totals: {
+                allocated_hours: allocated,
+                hours_used: used,
+                utilization_rate: percentage(used, allocated)
+            }
+        };
+    });
+}
+
+// A property's summary as an email: a subject, plain text and HTML bodies and
+// the residents' figures as a CSV attachment
+function summaryEmail(summary, period) {
+    const { property, residents, totals } = summary;
+    const dates = `${formatDay(period.start)} - ${formatDay(period.end)}`;
+    const figures = [
+        ['Residents', `${property.current_residents} of ${property.max_capacity} places (${property.occupancy_rate}% occupied)`],
+        ['Sessions', `${property.total_sessions} (${property.completed_sessions} completed, ${property.cancelled_sessions} cancelled)`],
+        ['Hours delivered', hours(property.total_hours)],
+        ['Allocated hours', hours(totals.allocated_hours)],
+        ['Hours used', `${hours(totals.hours_used)} (${totals.utilization_rate}%)`]
+    ];
+    const residentRows = residents.map(resident => [
+        `${resident.first_name} ${resident.last_name}`,
+        hours(resident.allocated_hours),
+        hours(resident.hours_delivered),
+        hours(resident.hours_used),
+        `${resident.utilization_rate}%`,
+        hours(resident.remaining_hours)
+    ]);
+    const residentHeadings = ['Resident', 'Allocated', 'Delivered', 'Used', 'Utilization', 'Remaining'];
+
+    const text = [
+        `Support hours summary for ${property.name}`,
+        `${period.label} (${dates})`,
+        '',
+        ...figures.map(([label, value]) => `${label}: ${value}`),
+        '',
+        'Residents',
+        ...(residentRows.length > 0
+            ? residentRows.map(row => `${row[0]}: ${row[3]} of ${row[1]} hours used (${row[4]}), ${row[5]} remaining`)
+            : ['No active residents']),
+        '',
+        'The attached CSV has each resident\'s figures for the month.'
+    ].join('\n');
+
+    const cell = 'padding: 4px 8px; border-bottom: 1px solid #dee2e6;';
+    const html = `<div style="font-family: Arial, sans-serif; font-size: 14px; color: #212529;">
+<h2 style="margin: 0 0 4px;">Support hours summary for ${escapeHtml(property.name)}</h2>
+<p style="margin: 0 0 16px; color: #6c757d;">${escapeHtml(period.label)} (${dates})</p>
+<table style="border-collapse: collapse; margin-bottom: 16px;">
+${figures.map(([label, value]) =>
+        `<tr><th style="${cell} text-align: left;">${label}</th><td style="${cell}">${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<h3 style="margin: 0 0 8px;">Residents</h3>
+${residentRows.length > 0 ? `<table style="border-collapse: collapse;">
+<tr>${residentHeadings.map((heading, index) =>
+        `<th style="${cell} text-align: ${index === 0 ? 'left' : 'right'};">${heading}</th>`).join('')}</tr>
+${residentRows.map(row => `<tr>${row.map((value, index) =>
+        `<td style="${cell} text-align: ${index === 0 ? 'left' : 'right'};">${escapeHtml(value)}</td>`).join('')}</tr>`).join('\n')}
+</table>` : '<p>No active residents</p>'}
+<p style="margin-top: 16px; color: #6c757d;">The attached CSV has each resident's figures for the month.</p>
+</div>`;
+
+    const slug = property.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+    return {
+        subject: `Support hours summary: ${property.name}, ${period.label}`,
+        text,
+        html,
+        attachments: [{
+            filename: `support-hours-${slug}-${period.fileLabel}.csv`,
+            content: toCsv({ columns: RESIDENT_COLUMNS, rows: residents }),
+            contentType: 'text/csv; charset=utf-8'
+        }]
+    };
+}
+
+// Active properties with the addresses a schedule sends their summaries to:
+// the manager's, if the schedule includes managers, and any listed for it
+async function getScheduleRecipients(schedule) {
+    const result = await query(
+        `SELECT p.id, p.name, p.manager_name, p.manager_email,
+                COALESCE(ARRAY_AGG(rr.email ORDER BY rr.email) FILTER (WHERE rr.id IS NOT NULL), '{}') as extra_emails
+         FROM properties p
+         LEFT JOIN report_recipients rr ON rr.property_id = p.id AND rr.schedule_id = $1
+         WHERE p.is_active = true
+         GROUP BY p.id, p.name, p.manager_name, p.manager_email
+         ORDER BY p.name`,
+        [schedule.id]
+    );
+
+    return result.rows.map(property => {
+        const emails = [
+            ...(schedule.include_managers && property.manager_email ? [property.manager_email] : []),
+            ...property.extra_emails
+        ];
+        return {
+            ...property,
+            recipients: emails.filter((email, index) =>
+                emails.findIndex(other => other.toLowerCase() === email.toLowerCase()) === index)
+        };
+    });
+}
+
+// The property and address pairs a schedule's summaries for the period have
+// already been sent to, as 'propertyId email' keys
+async function getSentRecipients(scheduleId, period) {
+    const result = await query(
+        `SELECT DISTINCT property_id, LOWER(recipient) as recipient
+         FROM report_deliveries
+         WHERE schedule_id = $1 AND period_start = $2 AND status = 'sent'`,
+        [scheduleId, period.start]
+    );
+    return result.rows.map(row => `${row.property_id} ${row.recipient}`);
+}
+
+// Send an email to one recipient and log the outcome. Returns 'sent' or
+// 'failed'.
+async function deliver(email, recipient, details) {
+    let info = null;
+    let failure = null;
+    try {
+        info = await sendMail({ ...email, to: recipient });
+    } catch (error) {
+        console.error('Report email error:', error);
+        failure = error.message;
+    }
+
+    await query(
+        `INSERT INTO report_deliveries
+         (schedule_id, property_id, property_name, recipient, period_start, period_end,
+          triggered_by, status, message_id, error, sent_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [details.scheduleId, details.property.id, details.property.name, recipient,
+         details.period.start, details.period.end, details.triggeredBy,
+         failure ? 'failed' : 'sent', info ? info.messageId : null, failure, details.userId || null]
+    );
+    return failure ? 'failed' : 'sent';
+}
+
+// Email each property's summary for the period to the schedule's recipients,
+// or only one property's with a propertyId. With skipSent, recipients the
+// period has already been sent to are left out. Returns the numbers of emails
+// { sent, failed }.
+async function sendScheduledReports(schedule, period, { triggeredBy, userId = null, propertyId = null, skipSent = false }) {
+    const [summaries, properties, sentRecipients] = await Promise.all([
+        getPropertySummaries(period),
+        getScheduleRecipients(schedule),
+        skipSent ? getSentRecipients(schedule.id, period) : []
+    ]);
+    const counts = { sent: 0, failed: 0 };
+
+    for (const property of properties) {
+        const summary = summaries.find(entry => entry.property.id === property.id);
+        if (!summary || (propertyId && property.id !== propertyId)) continue;
+
+        const email = summaryEmail(summary, period);
+        const recipients = property.recipients
+            .filter(recipient => !sentRecipients.includes(`${property.id} ${recipient.toLowerCase()}`));
+        for (const recipient of recipients) {
+            const status = await deliver(email, recipient, {
+                scheduleId: schedule.id, property, period, triggeredBy, userId
+            });
+            counts[status]++;
+        }
+    }
+    return counts;
+}
+
+// Email one property's summary for the period to any address, to check how
+// it looks and that mail gets through. Returns 'sent' or 'failed', or null
+// if the property is not active.
+async function sendTestReport(propertyId, period, recipient, userId) {
+    const summary = (await getPropertySummaries(period)).find(entry => entry.property.id === propertyId);
+    if (!summary) return null;
+    return deliver(summaryEmail(summary, period), recipient, {
+        scheduleId: null, property: summary.property, period, triggeredBy: 'test', userId
+    });
+}
+
+// Active schedules due by the day and hour given as $2 and $3 that have not
+// sent the month starting $1
+const DUE_SCHEDULES_WHERE = `is_active = true
+    AND (last_period_start IS NULL OR last_period_start < $1)
+    AND (day_of_month < $2 OR (day_of_month = $2 AND send_hour <= $3))`;
+
+// Send the previous month's summaries for every active schedule due by now
+// that has not sent them yet. Does nothing until email is set up.
+async function runDueSchedules(now = new Date()) {
+    if (!mailConfigured()) return [];
+    const dateKey = toDateKey(now);
+    const period = previousMonthPeriod(dateKey);
+    const dueParams = [period.start, parseInt(dateKey.substring(8)), hourOf(now)];
+
+    const due = await query(`SELECT id FROM report_schedules WHERE ${DUE_SCHEDULES_WHERE}`, dueParams);
+
+    const runs = [];
+    for (const { id } of due.rows) {
+        try {
+            // Claiming the schedule keeps other servers from sending it without
+            // holding a lock while the emails go out
+            const claimed = await query(
+                `UPDATE report_schedules
+                 SET claimed_until = CURRENT_TIMESTAMP + INTERVAL '${CLAIM_MINUTES} minutes'
+                 WHERE id = $4 AND ${DUE_SCHEDULES_WHERE}
+                   AND (claimed_until IS NULL OR claimed_until < CURRENT_TIMESTAMP)
+                 RETURNING *`,
+                [...dueParams, id]
+            );
+            const schedule = claimed.rows[0];
+            if (!schedule) continue;
+
+            let counts = null;
+            try {
+                counts = await sendScheduledReports(schedule, period, { triggeredBy: 'schedule', skipSent: true });
+            } finally {
+                await query(
+                    `UPDATE report_schedules
+                     SET claimed_until = NULL,
+                         last_period_start = CASE WHEN $3 THEN $2::date ELSE last_period_start END,
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $1`,
+                    [schedule.id, period.start, counts !== null && counts.failed === 0]
+                );
+            }
+            console.log(`Sent ${schedule.name} for ${period.label}: ${counts.sent} sent, ${counts.failed} failed`);
+            runs.push({ schedule, ...counts });
+        } catch (error) {
+            console.error('Report schedule error:', error);
+        }
+    }
+    return runs;
+}
+
+// Check for due schedules now and every CHECK_INTERVAL_MINUTES while the
+// server runs
+function startReportScheduler() {
+    const check = () => runDueSchedules().catch(error => console.error('Report scheduler error:', error));
+    const timer = setInterval(check, CHECK_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    check();
+    return timer;
+}
+
+module.exports = {
+    SEND_HOURS,
+    DELIVERY_TRIGGERS,
+    previousMonthPeriod,
+    getPropertySummaries,
+    summaryEmail,
+    getScheduleRecipients,
+    sendScheduledReports,
+    sendTestReport,
+    runDueSchedules,
+    startReportScheduler
+};
@@ -0,0 +1,324 @@
+const { createPdf } = require('./pdf');
+const { xlsxWorkbook } = require('./xlsx');
+const { SUPPORT_TYPE_LABELS } = require('./scheduling');
+const { isDateKey, toDateKey, formatDay, formatDateTime } = require('./dates');
+
+// Reports as downloadable files.
+//
+// A report to export is its title, its period, headline figures and sheets of
+// rows, built by the routes from the same data as the report's page:
+//
+//   { title, period, fileName, summary: [{ key, label, value, type }],
+//     sheets: [{ key, name, columns: [{ key, label, type, value }], rows }] }
+//
+// A column's type is 'text', 'decimal', 'integer', 'percent' (e.g. 45.5 for
+// 45.5%), 'date' or 'time', and its value, when given, reads it from a row.
+// The same report can then be written as an Excel workbook with a sheet each,
+// a PDF with a table each, JSON, or one sheet as CSV.
+
+const EXPORT_FORMATS = [
+    { key: 'xlsx', label: 'Excel (.xlsx)', icon: 'bi-file-earmark-excel' },
+    { key: 'pdf', label: 'PDF', icon: 'bi-file-earmark-pdf' },
+    { key: 'csv', label: 'CSV', icon: 'bi-filetype-csv' },
+    { key: 'json', label: 'JSON', icon: 'bi-filetype-json' }
+];
+
+const CONTENT_TYPES = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf',
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+// Every report exports a sheet each of residents, workers, properties and
+// sessions
+const REPORT_SHEETS = [
+    { key: 'residents', name: 'Residents' },
+    { key: 'workers', name: 'Support Workers' },
+    { key: 'properties', name: 'Properties' },
+    { key: 'sessions', name: 'Sessions' }
+];
+
+const SESSION_STATUS_LABELS = {
+    planned: 'Planned',
+    completed: 'Completed',
+    cancelled: 'Cancelled',
+    no_show: 'No show'
+};
+
+const hours = (minutes) => minutes === null || minutes === undefined ? null : minutes / 60;
+
+// Columns of the sessions sheet, for sessions loaded with their resident,
+// worker and property names
+const SESSION_COLUMNS = [
+    { key: 'session_date', label: 'Date', type: 'date' },
+    { key: 'start_time', label: 'Start', type: 'time' },
+    { key: 'end_time', label: 'End', type: 'time' },
+    { key: 'resident', label: 'Resident', value: session => `${session.resident_first_name} ${session.resident_last_name}` },
+    { key: 'worker', label: 'Support Worker', value: session => `${session.worker_first_name} ${session.worker_last_name}` },
+    { key: 'property', label: 'Property', value: session => session.property_name },
+    { key: 'support_type', label: 'Support Type', value: session => SUPPORT_TYPE_LABELS[session.support_type] || session.support_type },
+    { key: 'status', label: 'Status', value: session => SESSION_STATUS_LABELS[session.status] || session.status },
+    { key: 'planned_hours', label: 'Planned Hours', type: 'decimal', value: session => hours(session.duration_minutes) },
+    { key: 'delivered_hours', label: 'Delivered Hours', type: 'decimal', value: session => hours(session.actual_minutes) }
+];
+
+// A cell's value as a number, 'YYYY-MM-DD' date, 'HH:MM' time, string or null
+function cellValue(column, row) {
+    const value = column.value ? column.value(row) : row[column.key];
+    if (value === null || value === undefined || value === '') return null;
+    switch (column.type) {
+        case 'decimal':
+        case 'percent': {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? Math.round(number * 100) / 100 : null;
+        }
+        case 'integer': {
+            const number = parseInt(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'date':
+            return isDateKey(value) ? value : toDateKey(value);
+        case 'time':
+            return String(value).substring(0, 5);
+        default:
+            return String(value);
+    }
+}
+
+// A value as shown in CSV and PDF files
+function displayValue(type, value) {
+    if (value === null) return '';
+    if (type === 'decimal') return value.toFixed(1);
+    if (type === 'percent') return `${value.toFixed(1)}%`;
+    return String(value);
+}
+
+const summaryValue = (item) => cellValue({ key: 'value', type: item.type }, item);
+
+// CSV fields are all quoted, with quotes doubled. Text starting with a
+// character spreadsheets read as a formula is prefixed with an apostrophe.
+function csvField(value, type) {
+    let text = displayValue(type, value);
+    if ((!type || type === 'text') && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+function toCsv(sheet) {
+    const lines = [
+        sheet.columns.map(column => csvField(column.label)),
+        ...sheet.rows.map(row => sheet.columns.map(column => csvField(cellValue(column, row), column.type)))
+    ];
+    // With a byte order mark so Excel reads the file as UTF-8
+    return '\ufeff' + lines.map(fields => fields.join(',')).join('\r\n') + '\r\n';
+}
+
+function toJson(report) {
+    const document = {
+        report: report.title,
+        period: {
+            type: report.period.type,
+            start: report.period.start,
+            end: report.period.end,
+            label: report.period.label
+        },
+        generated_at: new Date().toISOString(),
+        summary: Object.fromEntries(report.summary.map(item => [item.key, summaryValue(item)]))
+    };
+    report.sheets.forEach(sheet => {
+        document[sheet.key] = sheet.rows.map(row =>
+            Object.fromEntries(sheet.columns.map(column => [column.key, cellValue(column, row)])));
+    });
+    return JSON.stringify(document, null, 2);
+}
+
+function toXlsx(report) {
+    return xlsxWorkbook([
+        {
+            name: 'Summary',
+            columns: [{ label: report.title, width: 34 }, { label: report.period.label, width: 30 }],
+            rows: [
+                ['From', { value: report.period.start, type: 'date' }],
+                ['To', { value: report.period.end, type: 'date' }],
+                ...report.summary.map(item => [item.label, { value: summaryValue(item), type: item.type }])
+            ]
+        },
+        ...report.sheets.map(sheet => ({
+            name: sheet.name,
+            columns: sheet.columns.map(column => ({
+                label: column.label,
+                type: column.type,
+                width: column.type === 'text' || !column.type ? 22 : 14
+            })),
+            rows: sheet.rows.map(row => sheet.columns.map(column => cellValue(column, row)))
+        }))
+    ]);
+}
+
+const PDF_MARGIN = 28;
+const ROW_HEIGHT = 14;
+const PDF_GREY = '#6c757d';
+
+// The report as tables on landscape A4, a page at a time. Rows are laid out
+// first so each page's footer can give the page count.
+function toPdf(report) {
+    const pdf = createPdf({ orientation: 'landscape', title: `${report.title} (${report.period.label})` });
+    const tableWidth = pdf.width - PDF_MARGIN * 2;
+    const bottom = pdf.height - PDF_MARGIN - 12;
+    const pages = [];
+    let page;
+    let y;
+
+    const newPage = () => {
+        page = [];
+        pages.push(page);
+        y = PDF_MARGIN + 10;
+    };
+    const place = (height, draw) => {
+        const top = y;
+        page.push(() => draw(top));
+        y += height;
+    };
+
+    newPage();
+    place(16, top => pdf.text(report.title, PDF_MARGIN, top + 6, { size: 16, bold: true }));
+    place(22, top => {
+        pdf.text(report.period.label, PDF_MARGIN, top + 6, { size: 10 });
+        const generated = `Generated ${formatDateTime(new Date()).substring(0, 17)}`;
+        pdf.text(generated, pdf.width - PDF_MARGIN - pdf.textWidth(generated, 8), top + 6, { size: 8, color: PDF_GREY });
+    });
+
+    // Headline figures, four to a row
+    const figureWidth = tableWidth / 4;
+    for (let index = 0; index < report.summary.length; index += 4) {
+        const figures = report.summary.slice(index, index + 4);
+        place(30, top => figures.forEach((item, position) => {
+            const x = PDF_MARGIN + position * figureWidth;
+            pdf.text(pdf.fitText(item.label, figureWidth - 8, 8), x, top + 8, { size: 8, color: PDF_GREY });
+            pdf.text(pdf.fitText(displayValue(item.type, summaryValue(item)), figureWidth - 8, 12, true),
+                x, top + 22, { size: 12, bold: true });
+        }));
+    }
+
+    report.sheets.forEach(sheet => {
+        const weights = sheet.columns.map(column => column.type && column.type !== 'text' ? 1 : 1.8);
+        const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+        const widths = weights.map(weight => tableWidth * weight / totalWeight);
+        const cells = (values, top, options) => {
+            let x = PDF_MARGIN;
+            values.forEach((text, index) => {
+                const fitted = pdf.fitText(text, widths[index] - 6, 7.5, options.bold);
+                const numeric = !options.heading && sheet.columns[index].type && !['text', 'date', 'time'].includes(sheet.columns[index].type);
+                const textX = numeric ? x + widths[index] - 3 - pdf.textWidth(fitted, 7.5, options.bold) : x + 3;
+                pdf.text(fitted, textX, top + 10, { size: 7.5, bold: options.bold });
+                x += widths[index];
+            });
+        };
+        const heading = (continued) => {
+            place(20, top => pdf.text(sheet.name + (continued ? ' (cont.)' : ''), PDF_MARGIN, top + 14, { size: 12, bold: true }));
+            place(ROW_HEIGHT, top => {
+                pdf.rect(PDF_MARGIN, top, tableWidth, ROW_HEIGHT, { fill: '#e9ecef', stroke: '#adb5bd' });
+                cells(sheet.columns.map(column => column.label), top, { bold: true, heading: true });
+            });
+        };
+
+        if (y + 20 + ROW_HEIGHT * 2 > bottom) newPage();
+        y += 8;
+        heading(false);
+        if (sheet.rows.length === 0) {
+            place(ROW_HEIGHT, top => pdf.text('None in this period', PDF_MARGIN + 3, top + 10, { size: 7.5, color: PDF_GREY }));
+        }
+        sheet.rows.forEach((row, rowIndex) => {
+            if (y + ROW_HEIGHT > bottom) {
+                newPage();
+                heading(true);
+            }
+            const values = sheet.columns.map(column => {
+                const value = cellValue(column, row);
+                return column.type === 'date' && value ? formatDay(value) : displayValue(column.type, value);
+            });
+            place(ROW_HEIGHT, top => {
+                if (rowIndex % 2 === 1) pdf.rect(PDF_MARGIN, top, tableWidth, ROW_HEIGHT, { fill: '#f8f9fa' });
+                cells(values, top, { bold: false });
+            });
+        });
+    });
+
+    pages.forEach((operations, pageIndex) => {
+        pdf.addPage();
+        operations.forEach(draw => draw());
+        const footer = `Page ${pageIndex + 1} of ${pages.length}`;
+        pdf.text(footer, pdf.width - PDF_MARGIN - pdf.textWidth(footer, 8), pdf.height - 14, { size: 8, color: PDF_GREY });
+        pdf.text(pdf.fitText(`${report.title} - ${report.period.label}`, tableWidth / 2, 8), PDF_MARGIN, pdf.height - 14,
+            { size: 8, color: PDF_GREY });
+    });
+
+    return pdf.toBuffer();
+}
+
+// The report in a format, as { contentType, fileName, body }. CSV holds one
+// sheet, by its key, or the first. Returns null for an unknown format or sheet.
+function renderExport(report, format, sheetKey = null) {
+    if (!CONTENT_TYPES[format]) return null;
+
+    if (format === 'csv') {
+        const sheet = sheetKey ? report.sheets.find(entry => entry.key === sheetKey) : report.sheets[0];
+        if (!sheet) return null;
+        return {
+            contentType: CONTENT_TYPES.csv,
+            fileName: `${report.fileName}${sheet === report.sheets[0] ? '' : `-${sheet.key}`}.csv`,
+            body: toCsv(sheet)
+        };
+    }
+
+    const renderers = { xlsx: toXlsx, pdf: toPdf, json: toJson };
+    return {
+        contentType: CONTENT_TYPES[format],
+        fileName: `${report.fileName}.${format}`,
+        body: renderers[format](report)
+    };
+}
+
+// Send a report to download in the format asked for in the query string
+function sendExport(req, res, report) {
+    const file = renderExport(report, req.query.format || 'csv', req.query.sheet || null);
+    if (!file) {
+        return res.status(400).json({ error: 'Unsupported format' });
+    }
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.body);
+}
+
+// A report's sheets from { residents, workers, properties, sessions }, each
+// { columns, rows }
+const reportSheets = (tables) => REPORT_SHEETS.map(sheet => ({ ...sheet, ...tables[sheet.key] }));
+
+// Links to download a report in each format, with a CSV link for each sheet
+function exportLinks(path, query) {
+    const url = (params) => `${path}?${[new URLSearchParams(params).toString(), query].filter(Boolean).join('&')}`;
+    return [
+        ...EXPORT_FORMATS.filter(format => format.key !== 'csv').map(format => ({
+            label: format.label,
+            icon: format.icon,
+            url: url({ format: format.key })
+        })),
+        ...REPORT_SHEETS.map((sheet, index) => ({
+            label: `CSV - ${sheet.name}`,
+            icon: 'bi-filetype-csv',
+            url: url(index === 0 ? { format: 'csv' } : { format: 'csv', sheet: sheet.key })
+        }))
+    ];
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    REPORT_SHEETS,
+    SESSION_COLUMNS,
+    cellValue,
+    toCsv,
+    reportSheets,
+    renderExport,
+    sendExport,
+    exportLinks
+};
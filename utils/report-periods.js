@@ -0,0 +1,163 @@
+const {
+    isDateKey, today, yearMonthOf, addDays, daysBetween, monthStart, monthEnd, addMonths, formatDay
+} = require('./dates');
+
+// Reporting periods.
+//
+// A report covers whole days from start to end, both 'YYYY-MM-DD' dates and
+// inclusive: a month, a calendar quarter, a financial year running from April
+// to March, or any range of dates. Residents' allocations and workers'
+// capacities are set per month, so over a period they are pro-rated by the
+// share of each month's days that the period covers.
+
+const PERIOD_TYPES = [
+    { key: 'month', label: 'Month' },
+    { key: 'quarter', label: 'Quarter' },
+    { key: 'financial_year', label: 'Financial year' },
+    { key: 'custom', label: 'Date range' }
+];
+
+const FINANCIAL_YEAR_START_MONTH = 4;
+
+// Longest date range a report can cover
+const MAX_PERIOD_DAYS = 731;
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const quarterOf = (month) => Math.ceil(month / 3);
+
+// The year a financial year holding the month starts in
+const financialYearOf = (year, month) => month >= FINANCIAL_YEAR_START_MONTH ? year : year - 1;
+
+// Months of allocation in a period: one for each whole month, and the share
+// of its days for a month the period only partly covers
+function allocationMonths(start, end) {
+    let months = 0;
+    let { year, month } = yearMonthOf(start);
+    while (monthStart(year, month) <= end) {
+        const first = monthStart(year, month) > start ? monthStart(year, month) : start;
+        const last = monthEnd(year, month) < end ? monthEnd(year, month) : end;
+        months += (daysBetween(first, last) + 1) / (daysBetween(monthStart(year, month), monthEnd(year, month)) + 1);
+        ({ year, month } = addMonths(year, month, 1));
+    }
+    return Math.round(months * 10000) / 10000;
+}
+
+// A named period of a type, from its year and its month or quarter
+function namedPeriod(type, year, number) {
+    if (type === 'quarter') {
+        const firstMonth = (number - 1) * 3 + 1;
+        return buildPeriod(type, monthStart(year, firstMonth), monthEnd(year, firstMonth + 2), {
+            year,
+            quarter: number,
+            label: `Q${number} ${year} (${MONTH_NAMES[firstMonth - 1]} - ${MONTH_NAMES[firstMonth + 1]})`,
+            fileLabel: `${year}-Q${number}`,
+            params: { period: type, year, quarter: number }
+        });
+    }
+    if (type === 'financial_year') {
+        const endYear = addMonths(year, FINANCIAL_YEAR_START_MONTH, 11).year;
+        return buildPeriod(type, monthStart(year, FINANCIAL_YEAR_START_MONTH),
+            monthEnd(endYear, FINANCIAL_YEAR_START_MONTH - 1), {
+                year,
+                label: `Financial year ${year}/${String(endYear).slice(-2)}`,
+                fileLabel: `FY${year}-${String(endYear).slice(-2)}`,
+                params: { period: type, year }
+            });
+    }
+    return buildPeriod('month', monthStart(year, number), monthEnd(year, number), {
+        year,
+        month: number,
+        label: `${MONTH_NAMES[number - 1]} ${year}`,
+        fileLabel: `${year}-${String(number).padStart(2, '0')}`,
+        params: { period: 'month', year, month: number }
+    });
+}
+
+function buildPeriod(type, start, end, details) {
+    return {
+        type,
+        start,
+        end,
+        days: daysBetween(start, end) + 1,
+        months: allocationMonths(start, end),
+        ...details,
+        query: new URLSearchParams(details.params).toString()
+    };
+}
+
+// A date range as a period
+function rangePeriod(start, end) {
+    return buildPeriod('custom', start, end, {
+        label: `${formatDay(start)} - ${formatDay(end)}`,
+        fileLabel: `${start}-to-${end}`,
+        params: { period: 'custom', start_date: start, end_date: end }
+    });
+}
+
+// The period in a report's query string: start_date and end_date for a date
+// range, or period=month, quarter or financial_year with a year and, for a
+// month or quarter, a month (1-12) or quarter (1-4). Reports linked with just
+// a year and month open that month. Missing values default to the period
+// holding today. Returns null for an invalid or over-long range.
+function parseReportPeriod(params, todayKey = today()) {
+    const current = yearMonthOf(todayKey);
+    const type = params.period || (params.start_date || params.end_date ? 'custom' : 'month');
+    const number = (value, min, max, fallback) => {
+        const parsed = parseInt(value);
+        return parsed >= min && parsed <= max ? parsed : fallback;
+    };
+    const year = number(params.year, 2000, 2100, null);
+
+    if (type === 'custom') {
+        const start = params.start_date;
+        const end = params.end_date || start;
+        if (!isDateKey(start) || !isDateKey(end) || end < start || daysBetween(start, end) >= MAX_PERIOD_DAYS) {
+            return null;
+        }
+        return rangePeriod(start, end);
+    }
+    if (type === 'quarter') {
+        return namedPeriod(type, year || current.year, number(params.quarter, 1, 4, quarterOf(current.month)));
+    }
+    if (type === 'financial_year') {
+        return namedPeriod(type, year || financialYearOf(current.year, current.month));
+    }
+    if (type === 'month') {
+        return namedPeriod(type, year || current.year, number(params.month, 1, 12, current.month));
+    }
+    return null;
+}
+
+// The periods of the same kind before and after, e.g. the next quarter, or
+// for a date range the range of the same length that follows it
+function adjacentPeriods(period) {
+    if (period.type === 'custom') {
+        return {
+            previous: rangePeriod(addDays(period.start, -period.days), addDays(period.start, -1)),
+            next: rangePeriod(addDays(period.end, 1), addDays(period.end, period.days))
+        };
+    }
+    if (period.type === 'financial_year') {
+        return { previous: namedPeriod(period.type, period.year - 1), next: namedPeriod(period.type, period.year + 1) };
+    }
+    const step = period.type === 'quarter' ? 3 : 1;
+    const firstMonth = period.type === 'quarter' ? (period.quarter - 1) * 3 + 1 : period.month;
+    const [previous, next] = [-step, step].map(months => {
+        const { year, month } = addMonths(period.year, firstMonth, months);
+        return namedPeriod(period.type, year, period.type === 'quarter' ? quarterOf(month) : month);
+    });
+    return { previous, next };
+}
+
+module.exports = {
+    PERIOD_TYPES,
+    MONTH_NAMES,
+    MAX_PERIOD_DAYS,
+    allocationMonths,
+    parseReportPeriod,
+    adjacentPeriods
+};
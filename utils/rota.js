@@ -0,0 +1,131 @@
+const { createPdf } = require('./pdf');
+const { SUPPORT_TYPE_LABELS, supportTypeColor } = require('./scheduling');
+const { formatDateTime } = require('./dates');
+
+// The weekly rota as a PDF, for pinning up in a property's office.
+//
+// The week is drawn as a column per day on landscape A4, each listing the
+// day's closures and absences and then its sessions, with a bar in the
+// support type's colour. A day with more sessions than fit carries on in the
+// same column on the next page.
+
+const MARGIN = 28;
+const HEADER_TOP = 62;
+const DAY_HEADING_HEIGHT = 20;
+const FOOTER_HEIGHT = 24;
+const NOTE_HEIGHT = 12;
+const SESSION_HEIGHT = 46;
+const GAP = 4;
+const PADDING = 4;
+
+const GREY = '#6c757d';
+const DARK_GREY = '#495057';
+const BORDER = '#adb5bd';
+const RED = '#b02a37';
+
+const formatTime = (time) => time.substring(0, 5);
+
+// The lines of text shown for a session
+function sessionLines(session, ownerType) {
+    let times = session.continued
+        ? `until ${formatTime(session.end_time)}`
+        : `${formatTime(session.start_time)} - ${formatTime(session.end_time)}`;
+    if (session.overnight && !session.continued) times += ' (overnight)';
+
+    const other = ownerType === 'property'
+        ? `${session.worker_first_name} ${session.worker_last_name}`
+        : session.property_name;
+    const supportType = SUPPORT_TYPE_LABELS[session.support_type] || session.support_type;
+
+    return [
+        { text: times, bold: true, size: 8 },
+        { text: `${session.resident_first_name} ${session.resident_last_name}`, size: 8 },
+        { text: other + (session.worker_absent ? ' - worker absent' : ''), size: 7.5, color: session.worker_absent ? RED : DARK_GREY },
+        { text: supportType + (session.status === 'planned' ? '' : ` - ${session.status_label}`), size: 7, color: GREY }
+    ];
+}
+
+// Each day's closures, absences and sessions as blocks to stack in its column
+function dayBlocks(day, ownerType) {
+    return [
+        ...day.closures.map(closure => ({ height: NOTE_HEIGHT, note: `Closed: ${closure.name}`, color: RED })),
+        ...day.absences.map(absence => ({
+            height: NOTE_HEIGHT,
+            note: `${absence.worker_first_name} ${absence.worker_last_name}: ${absence.label}`,
+            color: GREY
+        })),
+        ...day.sessions.map(session => ({ height: SESSION_HEIGHT, session }))
+    ];
+}
+
+// Split each column's blocks into pages of the given height
+function paginate(columns, pageHeight) {
+    const pages = [];
+    const remaining = columns.map(blocks => [...blocks]);
+    do {
+        pages.push(remaining.map(blocks => {
+            const page = [];
+            let used = 0;
+            while (blocks.length > 0 && used + blocks[0].height <= pageHeight) {
+                used += blocks[0].height + GAP;
+                page.push(blocks.shift());
+            }
+            return page;
+        }));
+    } while (remaining.some(blocks => blocks.length > 0));
+    return pages;
+}
+
+// A rota loaded for the rota page as a PDF file
+function rotaPdf(rota) {
+    const heading = `Weekly Rota: ${rota.title}`;
+    const pdf = createPdf({ orientation: 'landscape', title: `${heading} (${rota.period})` });
+    const columnWidth = (pdf.width - MARGIN * 2) / rota.days.length;
+    const bodyTop = HEADER_TOP + DAY_HEADING_HEIGHT;
+    const bodyHeight = pdf.height - FOOTER_HEIGHT - bodyTop - PADDING * 2;
+    const printed = `Printed ${formatDateTime(new Date()).substring(0, 17)}`;
+
+    const pages = paginate(rota.days.map(day => dayBlocks(day, rota.ownerType)), bodyHeight);
+    pages.forEach((columns, pageIndex) => {
+        pdf.addPage();
+        pdf.text(heading, MARGIN, 40, { size: 16, bold: true });
+        pdf.text(rota.period, MARGIN, 54, { size: 10, color: DARK_GREY });
+        pdf.text(printed, pdf.width - MARGIN - pdf.textWidth(printed, 8), 40, { size: 8, color: GREY });
+
+        rota.days.forEach((day, dayIndex) => {
+            const x = MARGIN + dayIndex * columnWidth;
+            const innerWidth = columnWidth - PADDING * 2;
+            pdf.rect(x, HEADER_TOP, columnWidth, DAY_HEADING_HEIGHT, { fill: '#e9ecef', stroke: BORDER });
+            pdf.rect(x, bodyTop, columnWidth, bodyHeight + PADDING * 2, { stroke: BORDER });
+            pdf.text(pdf.fitText(day.heading + (pageIndex > 0 ? ' (cont.)' : ''), innerWidth, 9, true),
+                x + PADDING, HEADER_TOP + 13, { size: 9, bold: true });
+
+            let y = bodyTop + PADDING;
+            columns[dayIndex].forEach(block => {
+                if (block.note) {
+                    pdf.text(pdf.fitText(block.note, innerWidth, 7.5), x + PADDING, y + 8, { size: 7.5, color: block.color });
+                } else {
+                    pdf.rect(x + PADDING, y, innerWidth, SESSION_HEIGHT, { stroke: '#dee2e6' });
+                    pdf.rect(x + PADDING, y, 3, SESSION_HEIGHT, { fill: supportTypeColor(block.session.support_type) });
+                    sessionLines(block.session, rota.ownerType).forEach((line, lineIndex) => {
+                        pdf.text(pdf.fitText(line.text, innerWidth - 9, line.size, line.bold),
+                            x + PADDING + 6, y + 11 + lineIndex * 10, line);
+                    });
+                }
+                y += block.height + GAP;
+            });
+            if (pageIndex === 0 && columns[dayIndex].length === 0) {
+                pdf.text('No sessions', x + PADDING, bodyTop + PADDING + 8, { size: 7.5, color: GREY });
+            }
+        });
+
+        const footer = `Page ${pageIndex + 1} of ${pages.length}`;
+        pdf.text(footer, pdf.width - MARGIN - pdf.textWidth(footer, 8), pdf.height - 12, { size: 8, color: GREY });
+    });
+
+    return pdf.toBuffer();
+}
+
+module.exports = {
+    rotaPdf
+};
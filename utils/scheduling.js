@@ -0,0 +1,636 @@
+const { query } = require('./database');
+const { weekStartOf } = require('./dates');
+const { minutesByDate, sessionStartSql, sessionEndSql, overlapsPeriodSql, minutesWithinSql } = require('./session-time');
+const { apportionedMinutes, residentBookedSql } = require('./group-sessions');
+const { staffChargeFactor, workerBookedSql } = require('./session-staff');
+const { chargedFractionSql } = require('./cancellations');
+const { checkClosures } = require('./closures');
+
+// Booking checks shared by single sessions and recurring series.
+// Every function accepts an optional transaction client so the checks can run
+// inside the same transaction as the writes they guard.
+//
+// Problems are reported as issues: { code, severity, field, message }.
+// Issues with severity 'error' block the booking unless they are marked
+// overridable and the admin gives a reason; 'warning' issues are shown to the
+// admin, who must acknowledge them before the booking is saved.
+
+const runner = (client) => client ? (text, params) => client.query(text, params) : query;
+
+// 'YYYY-MM-DD' to 'DD/MM/YYYY' without going through a Date object
+const formatDateKey = (dateKey) => dateKey.split('-').reverse().join('/');
+
+const formatHours = (minutes) => (minutes / 60).toFixed(1);
+
+const SUPPORT_TYPE_LABELS = {
+    mental_health: 'Mental Health Support',
+    domestic_independence: 'Domestic & Independence Support',
+    activity_group: 'Activity Based Group Support'
+};
+
+const SUPPORT_TYPE_COLORS = {
+    mental_health: '#dc3545',
+    domestic_independence: '#28a745',
+    activity_group: '#007bff'
+};
+
+// The colour sessions of a support type are shown in, on pages and in PDFs
+const supportTypeColor = (type) => SUPPORT_TYPE_COLORS[type] || '#6c757d';
+
+const ABSENCE_TYPES = [
+    { key: 'annual_leave', label: 'Annual Leave' },
+    { key: 'sickness', label: 'Sickness' },
+    { key: 'training', label: 'Training' },
+    { key: 'other', label: 'Other' }
+];
+
+const absenceLabel = (type) => (ABSENCE_TYPES.find(absence => absence.key === type) || { label: type }).label;
+
+// Existing session s overlaps the slot given as $2 date, $3 start and $4 end
+// time. Either may run overnight, so sessions from the day before and after
+// are compared as timestamps.
+const SLOT_OVERLAP_SQL = `s.session_date BETWEEN $2::date - 1 AND $2::date + 1
+           AND ${sessionStartSql('s')} < ($2::date + $4::time +
+               CASE WHEN $4::time <= $3::time THEN INTERVAL '1 day' ELSE INTERVAL '0 days' END)
+           AND ${sessionEndSql('s')} > ($2::date + $3::time)`;
+
+// Total a booking's minutes per period, e.g. per calendar month, splitting
+// overnight sessions at midnight. keyOf maps a 'YYYY-MM-DD' date to the
+// period key. Returns { key: { date, minutes } } with the first date seen.
+const minutesPerPeriod = (booking, keyOf) => minutesByDate(booking).reduce((totals, part) => {
+    const key = keyOf(part.date);
+    if (!totals[key]) totals[key] = { date: part.date, minutes: 0 };
+    totals[key].minutes += part.minutes;
+    return totals;
+}, {});
+
+const monthKey = (date) => date.substring(0, 7);
+
+// Find sessions that already occupy the support worker during the slot,
+// whether they lead those sessions or are an additional worker on them.
+// slot: { support_worker_id, session_date, start_time, end_time }
+// excludeIds: session ids to ignore (e.g. the session being edited)
+async function findWorkerConflicts(slot, excludeIds = [], client = null) {
+    const result = await runner(client)(
+        `SELECT s.id, s.session_date, s.start_time, s.end_time,
+                (SELECT first_name || ' ' || last_name FROM support_workers WHERE id = $1) as worker_name
+         FROM support_sessions s
+         WHERE ${workerBookedSql('$1')}
+           AND ${SLOT_OVERLAP_SQL}
+           AND s.status NOT IN ('cancelled', 'no_show')
+           AND NOT (s.id = ANY($5::uuid[]))`,
+        [slot.support_worker_id, slot.session_date, slot.start_time, slot.end_time, excludeIds]
+    );
+    return result.rows;
+}
+
+// Find sessions that already occupy the resident during the slot, with
+// whichever support worker they are booked. Group sessions the resident is
+// attending count as well.
+async function findResidentConflicts(slot, excludeIds = [], client = null) {
+    const result = await runner(client)(
+        `SELECT s.id, s.start_time, s.end_time,
+                sw.first_name as worker_first_name, sw.last_name as worker_last_name,
+                (SELECT first_name || ' ' || last_name FROM residents WHERE id = $1) as resident_name
+         FROM support_sessions s
+         JOIN support_workers sw ON s.support_worker_id = sw.id
+         WHERE ${residentBookedSql('$1')}
+           AND ${SLOT_OVERLAP_SQL}
+           AND s.status NOT IN ('cancelled', 'no_show')
+           AND NOT (s.id = ANY($5::uuid[]))
+         ORDER BY s.session_date, s.start_time`,
+        [slot.resident_id, slot.session_date, slot.start_time, slot.end_time, excludeIds]
+    );
+    return result.rows;
+}
+
+// Check the session date falls within the resident's tenancy
+async function checkTenancy(slot, client = null) {
+    const result = await runner(client)(
+        `SELECT first_name, last_name, is_active,
+                TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+                TO_CHAR(end_date, 'YYYY-MM-DD') as end_date,
+                $2::date < start_date as before_start,
+                $2::date > end_date as after_end
+         FROM residents WHERE id = $1`,
+        [slot.resident_id, slot.session_date]
+    );
+    const resident = result.rows[0];
+    const issues = [];
+
+    if (!resident) {
+        issues.push({
+            code: 'resident_not_found',
+            severity: 'error',
+            field: 'resident_id',
+            message: 'The selected resident does not exist'
+        });
+        return issues;
+    }
+
+    const name = `${resident.first_name} ${resident.last_name}`;
+    if (resident.before_start) {
+        issues.push({
+            code: 'outside_tenancy',
+            severity: 'error',
+            field: 'session_date',
+            message: `${name}'s tenancy does not start until ${formatDateKey(resident.start_date)}`
+        });
+    } else if (resident.after_end) {
+        issues.push({
+            code: 'outside_tenancy',
+            severity: 'error',
+            field: 'session_date',
+            message: `${name}'s tenancy ended on ${formatDateKey(resident.end_date)}`
+        });
+    } else if (!resident.is_active) {
+        issues.push({
+            code: 'resident_inactive',
+            severity: 'warning',
+            field: 'resident_id',
+            message: `${name} is marked as inactive`
+        });
+    }
+
+    return issues;
+}
+
+// Total a resident's completed and planned minutes for the calendar month
+// containing sessionDate, against their monthly allocation, along with late
+// cancellations and no-shows still charged under the cancellation charging
+// rules. Overnight sessions count only the part that falls within the month,
+// and group sessions only the resident's share.
+async function getResidentAllocation(residentId, sessionDate, excludeIds = [], client = null) {
+    const monthStart = `DATE_TRUNC('month', $2::date)`;
+    const monthEnd = `DATE_TRUNC('month', $2::date) + INTERVAL '1 month'`;
+    const chargedMinutes = `${minutesWithinSql('s', monthStart, monthEnd)} * sr.share`;
+    const result = await runner(client)(
+        `SELECT r.first_name, r.last_name, r.monthly_support_hours,
+                TO_CHAR($2::date, 'FMMonth YYYY') as month_label,
+                COALESCE(ROUND(SUM(CASE WHEN s.status = 'completed' THEN ${chargedMinutes} ELSE 0 END)), 0) as completed_minutes,
+                COALESCE(ROUND(SUM(CASE WHEN s.status = 'planned' THEN ${chargedMinutes} ELSE 0 END)), 0) as planned_minutes,
+                COALESCE(ROUND(SUM(CASE WHEN s.status IN ('cancelled', 'no_show')
+                    THEN ${chargedMinutes} * ${chargedFractionSql('s')} ELSE 0 END)), 0) as cancelled_minutes
+         FROM residents r
+         LEFT JOIN (session_residents sr
+             JOIN support_sessions s ON s.id = sr.session_id
+                 AND ${overlapsPeriodSql('s', monthStart, monthEnd)}
+                 AND NOT (s.id = ANY($3::uuid[]))) ON sr.resident_id = r.id
+         WHERE r.id = $1
+         GROUP BY r.id, r.first_name, r.last_name, r.monthly_support_hours`,
+        [residentId, sessionDate, excludeIds]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const allocatedMinutes = (row.monthly_support_hours || 0) * 60;
+    const completedMinutes = parseInt(row.completed_minutes);
+    const plannedMinutes = parseInt(row.planned_minutes);
+    const cancelledMinutes = parseInt(row.cancelled_minutes);
+    return {
+        resident_name: `${row.first_name} ${row.last_name}`,
+        month_label: row.month_label,
+        allocated_minutes: allocatedMinutes,
+        completed_minutes: completedMinutes,
+        planned_minutes: plannedMinutes,
+        cancelled_minutes: cancelledMinutes,
+        remaining_minutes: allocatedMinutes - completedMinutes - plannedMinutes - cancelledMinutes
+    };
+}
+
+// Check the booking fits in what is left of the resident's monthly allocation,
+// in each month an overnight session touches.
+// pendingByMonth: { 'YYYY-MM': minutes } for sessions in the same request
+// that are not saved yet
+async function checkResidentAllocation(booking, excludeIds = [], pendingByMonth = {}, client = null) {
+    const issues = [];
+    for (const [month, part] of Object.entries(minutesPerPeriod(booking, monthKey))) {
+        const allocation = await getResidentAllocation(booking.resident_id, part.date, excludeIds, client);
+        if (!allocation) return [];
+
+        const bookedMinutes = allocation.completed_minutes + allocation.planned_minutes +
+            allocation.cancelled_minutes + (pendingByMonth[month] || 0);
+        const totalMinutes = bookedMinutes + part.minutes;
+        if (totalMinutes <= allocation.allocated_minutes) continue;
+
+        issues.push({
+            code: 'allocation_exceeded',
+            severity: 'error',
+            overridable: true,
+            field: 'duration_minutes',
+            message: `This session would bring ${allocation.resident_name} to ${formatHours(totalMinutes)} of ` +
+                `${formatHours(allocation.allocated_minutes)} allocated hours for ${allocation.month_label} ` +
+                `(${formatHours(totalMinutes - allocation.allocated_minutes)} hours over)`
+        });
+    }
+    return issues;
+}
+
+// Total a support worker's completed and planned minutes for the ISO week
+// (Monday to Sunday) and the calendar month containing sessionDate, including
+// sessions they staff alongside the lead worker. Overnight sessions count
+// only the part that falls within the week or month.
+async function getWorkerHours(workerId, sessionDate, excludeIds = [], client = null) {
+    const weekStart = `DATE_TRUNC('week', $2::date)`;
+    const weekEnd = `DATE_TRUNC('week', $2::date) + INTERVAL '7 days'`;
+    const monthStart = `DATE_TRUNC('month', $2::date)`;
+    const monthEnd = `DATE_TRUNC('month', $2::date) + INTERVAL '1 month'`;
+    const result = await runner(client)(
+        `SELECT sw.first_name, sw.last_name, sw.max_hours_per_week, sw.max_hours_per_month,
+                TO_CHAR(DATE_TRUNC('week', $2::date), 'YYYY-MM-DD') as week_start,
+                TO_CHAR(DATE_TRUNC('week', $2::date) + INTERVAL '6 days', 'YYYY-MM-DD') as week_end,
+                TO_CHAR($2::date, 'FMMonth YYYY') as month_label,
+                (SELECT COALESCE(ROUND(SUM(${minutesWithinSql('s', weekStart, weekEnd)})), 0) FROM support_sessions s
+                 WHERE ${workerBookedSql('sw.id')}
+                   AND ${overlapsPeriodSql('s', weekStart, weekEnd)}
+                   AND s.status IN ('completed', 'planned')
+                   AND NOT (s.id = ANY($3::uuid[]))) as week_minutes,
+                (SELECT COALESCE(ROUND(SUM(${minutesWithinSql('s', monthStart, monthEnd)})), 0) FROM support_sessions s
+                 WHERE ${workerBookedSql('sw.id')}
+                   AND ${overlapsPeriodSql('s', monthStart, monthEnd)}
+                   AND s.status IN ('completed', 'planned')
+                   AND NOT (s.id = ANY($3::uuid[]))) as month_minutes
+         FROM support_workers sw
+         WHERE sw.id = $1`,
+        [workerId, sessionDate, excludeIds]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const weekCap = row.max_hours_per_week ? row.max_hours_per_week * 60 : null;
+    const monthCap = row.max_hours_per_month ? row.max_hours_per_month * 60 : null;
+    const weekMinutes = parseInt(row.week_minutes);
+    const monthMinutes = parseInt(row.month_minutes);
+    return {
+        worker_name: `${row.first_name} ${row.last_name}`,
+        week_start: row.week_start,
+        week_end: row.week_end,
+        month_label: row.month_label,
+        week_cap_minutes: weekCap,
+        week_booked_minutes: weekMinutes,
+        week_remaining_minutes: weekCap === null ? null : weekCap - weekMinutes,
+        month_cap_minutes: monthCap,
+        month_booked_minutes: monthMinutes,
+        month_remaining_minutes: monthCap === null ? null : monthCap - monthMinutes
+    };
+}
+
+// Check the booking keeps the support worker within their weekly and monthly
+// hour caps, in each week and month an overnight session touches. A worker
+// without a cap set is not limited.
+// pending: { weeks: { weekStart: minutes }, months: { 'YYYY-MM': minutes } }
+// for sessions in the same request that are not saved yet
+async function checkWorkerCaps(booking, excludeIds = [], pending = {}, client = null) {
+    const pendingWeeks = pending.weeks || {};
+    const pendingMonths = pending.months || {};
+    const issues = [];
+
+    for (const [week, part] of Object.entries(minutesPerPeriod(booking, weekStartOf))) {
+        const hours = await getWorkerHours(booking.support_worker_id, part.date, excludeIds, client);
+        if (!hours) return [];
+
+        const weekTotal = hours.week_booked_minutes + (pendingWeeks[week] || 0) + part.minutes;
+        if (hours.week_cap_minutes !== null && weekTotal > hours.week_cap_minutes) {
+            issues.push({
+                code: 'worker_weekly_cap_exceeded',
+                severity: 'error',
+                overridable: true,
+                field: 'support_worker_id',
+                message: `This session would bring ${hours.worker_name} to ${formatHours(weekTotal)} of ` +
+                    `${formatHours(hours.week_cap_minutes)} hours for the week of ${formatDateKey(hours.week_start)} ` +
+                    `(${formatHours(weekTotal - hours.week_cap_minutes)} hours over)`
+            });
+        }
+    }
+
+    for (const [month, part] of Object.entries(minutesPerPeriod(booking, monthKey))) {
+        const hours = await getWorkerHours(booking.support_worker_id, part.date, excludeIds, client);
+        if (!hours) return [];
+
+        const monthTotal = hours.month_booked_minutes + (pendingMonths[month] || 0) + part.minutes;
+        if (hours.month_cap_minutes !== null && monthTotal > hours.month_cap_minutes) {
+            issues.push({
+                code: 'worker_monthly_cap_exceeded',
+                severity: 'error',
+                overridable: true,
+                field: 'support_worker_id',
+                message: `This session would bring ${hours.worker_name} to ${formatHours(monthTotal)} of ` +
+                    `${formatHours(hours.month_cap_minutes)} hours for ${hours.month_label} ` +
+                    `(${formatHours(monthTotal - hours.month_cap_minutes)} hours over)`
+            });
+        }
+    }
+    return issues;
+}
+
+// Check the support worker is specialised in the session's support type
+async function checkSpecialization(booking, client = null) {
+    const result = await runner(client)(
+        `SELECT first_name, last_name, $2 = ANY(COALESCE(specializations, '{}')) as matches
+         FROM support_workers WHERE id = $1`,
+        [booking.support_worker_id, booking.support_type]
+    );
+    const worker = result.rows[0];
+    if (!worker || worker.matches) return [];
+
+    const label = SUPPORT_TYPE_LABELS[booking.support_type] || booking.support_type;
+    return [{
+        code: 'specialization_mismatch',
+        severity: 'error',
+        overridable: true,
+        field: 'support_worker_id',
+        message: `${worker.first_name} ${worker.last_name} is not specialised in ${label}`
+    }];
+}
+
+// Check the support worker is not absent on the session date (or the next
+// day for overnight sessions) and that the session falls within their weekly
+// availability template, if they have one. An overnight session needs
+// availability running up to midnight and on from midnight the next day.
+async function checkWorkerAvailability(booking, client = null) {
+    const result = await runner(client)(
+        `SELECT sw.first_name, sw.last_name,
+                TO_CHAR($2::date, 'FMDay') as weekday_name,
+                (SELECT COUNT(*) FROM worker_availability wa
+                 WHERE wa.support_worker_id = sw.id) as template_slots,
+                CASE WHEN $4::time <= $3::time THEN
+                    (SELECT COUNT(*) FROM worker_availability wa
+                     WHERE wa.support_worker_id = sw.id
+                       AND wa.weekday = EXTRACT(DOW FROM $2::date)
+                       AND wa.start_time <= $3::time AND wa.end_time >= '23:59'::time) *
+                    (SELECT COUNT(*) FROM worker_availability wa
+                     WHERE wa.support_worker_id = sw.id
+                       AND wa.weekday = EXTRACT(DOW FROM $2::date + 1)
+                       AND wa.start_time = '00:00'::time AND wa.end_time >= $4::time)
+                ELSE
+                    (SELECT COUNT(*) FROM worker_availability wa
+                     WHERE wa.support_worker_id = sw.id
+                       AND wa.weekday = EXTRACT(DOW FROM $2::date)
+                       AND wa.start_time <= $3::time AND wa.end_time >= $4::time)
+                END as covering_slots
+         FROM support_workers sw
+         WHERE sw.id = $1`,
+        [booking.support_worker_id, booking.session_date, booking.start_time, booking.end_time]
+    );
+    const worker = result.rows[0];
+    if (!worker) return [];
+
+    const name = `${worker.first_name} ${worker.last_name}`;
+    const issues = [];
+
+    const absences = await runner(client)(
+        `SELECT absence_type,
+                TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+                TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+         FROM worker_absences
+         WHERE support_worker_id = $1
+           AND start_date <= $3::date AND end_date >= $2::date`,
+        [booking.support_worker_id, booking.session_date, minutesByDate(booking).slice(-1)[0].date]
+    );
+    absences.rows.forEach(absence => {
+        issues.push({
+            code: 'worker_absent',
+            severity: 'error',
+            field: 'support_worker_id',
+            message: `${name} is absent (${absenceLabel(absence.absence_type)}) from ` +
+                `${formatDateKey(absence.start_date)} to ${formatDateKey(absence.end_date)}`
+        });
+    });
+
+    if (parseInt(worker.template_slots) > 0 && parseInt(worker.covering_slots) === 0) {
+        issues.push({
+            code: 'outside_availability',
+            severity: 'error',
+            overridable: true,
+            field: 'start_time',
+            message: `${name} is not normally available on ${worker.weekday_name} from ` +
+                `${booking.start_time.substring(0, 5)} to ${booking.end_time.substring(0, 5)}`
+        });
+    }
+
+    return issues;
+}
+
+// The residents a booking is for, each with the minutes charged to them: the
+// session's own resident, or every attendee of a group session with their
+// share under its apportion rule. Sessions charged per worker count once for
+// each worker.
+function residentBookings(booking) {
+    const factor = staffChargeFactor(booking);
+    const attendeeIds = booking.apportion_rule ? booking.attendee_ids || [] : [booking.resident_id];
+    const share = (minutes) => minutes === null || minutes === undefined
+        ? minutes
+        : apportionedMinutes(parseInt(minutes) * factor, booking.apportion_rule, attendeeIds.length);
+    return attendeeIds.map(residentId => ({
+        ...booking,
+        resident_id: residentId,
+        duration_minutes: share(booking.duration_minutes),
+        actual_minutes: share(booking.actual_minutes)
+    }));
+}
+
+// The booking as seen by each support worker on it: the lead worker first,
+// then any additional workers
+function workerBookings(booking) {
+    return [booking, ...(booking.additional_worker_ids || []).map(workerId => ({
+        ...booking,
+        support_worker_id: workerId
+    }))];
+}
+
+// Run every booking check for a single session.
+// booking: the submitted session fields. Group sessions give attendee_ids
+// and apportion_rule in place of resident_id. Sessions with more than one
+// worker list the others in additional_worker_ids.
+// options.excludeIds: sessions to leave out of the overlap and hours checks
+// options.pending: { weeks, months, residentMonths } unsaved minutes already
+// booked, keyed by ISO week start and 'YYYY-MM'. weeks and months are the
+// workers' minutes; residentMonths the minutes charged to the resident.
+// Returns { errors, warnings }
+async function validateBooking(booking, options = {}) {
+    const { excludeIds = [], pending = {}, client = null } = options;
+    const issues = [...await checkClosures(booking, client)];
+
+    for (const [index, workerBooking] of workerBookings(booking).entries()) {
+        const workerConflicts = await findWorkerConflicts(workerBooking, excludeIds, client);
+        if (workerConflicts.length > 0) {
+            issues.push({
+                code: 'worker_conflict',
+                severity: 'error',
+                field: index === 0 ? 'support_worker_id' : 'additional_worker_ids',
+                message: index === 0
+                    ? 'Support worker is already scheduled at this time'
+                    : `${workerConflicts[0].worker_name} is already scheduled at this time`
+            });
+        }
+
+        issues.push(...await checkSpecialization(workerBooking, client));
+        issues.push(...await checkWorkerAvailability(workerBooking, client));
+        issues.push(...await checkWorkerCaps(workerBooking, excludeIds, pending, client));
+    }
+
+    for (const residentBooking of residentBookings(booking)) {
+        const residentConflicts = await findResidentConflicts(residentBooking, excludeIds, client);
+        residentConflicts.forEach(conflict => {
+            issues.push({
+                code: 'resident_conflict',
+                severity: 'error',
+                field: booking.apportion_rule ? 'attendee_ids' : 'resident_id',
+                message: `${booking.apportion_rule ? conflict.resident_name : 'Resident'} already has a session from ` +
+                    `${conflict.start_time.substring(0, 5)} to ${conflict.end_time.substring(0, 5)} with ` +
+                    `${conflict.worker_first_name} ${conflict.worker_last_name}`
+            });
+        });
+
+        issues.push(...await checkTenancy(residentBooking, client));
+        issues.push(...await checkResidentAllocation(residentBooking, excludeIds, pending.residentMonths, client));
+    }
+
+    return {
+        errors: issues.filter(issue => issue.severity === 'error'),
+        warnings: issues.filter(issue => issue.severity === 'warning')
+    };
+}
+
+// Booking rules that depend on the support worker rather than the resident
+const WORKER_RULES = [
+    'worker_conflict',
+    'specialization_mismatch',
+    'worker_weekly_cap_exceeded',
+    'worker_monthly_cap_exceeded',
+    'worker_absent',
+    'outside_availability'
+];
+
+// Run the booking checks that matter when only the support worker of an
+// existing session changes. The resident's side of the booking is unchanged,
+// so resident conflicts, tenancy and allocation are not re-checked.
+async function validateWorkerChange(booking, options = {}) {
+    const result = await validateBooking(booking, options);
+    return {
+        errors: result.errors.filter(issue => WORKER_RULES.includes(issue.code)),
+        warnings: result.warnings.filter(issue => WORKER_RULES.includes(issue.code))
+    };
+}
+
+// Rank the active support workers who could take over a session: those who
+// pass every worker check first, then by spare hours in the session's week.
+// session: the session fields with session_date as 'YYYY-MM-DD'
+async function suggestReplacements(session, client = null) {
+    const workers = await runner(client)(
+        `SELECT id, first_name, last_name FROM support_workers
+         WHERE is_active = true AND id <> $1 AND NOT (id = ANY($2::uuid[]))
+         ORDER BY last_name, first_name`,
+        [session.support_worker_id, session.additional_worker_ids || []]
+    );
+
+    const candidates = [];
+    for (const worker of workers.rows) {
+        const booking = { ...session, support_worker_id: worker.id };
+        const result = await validateWorkerChange(booking, { excludeIds: [session.id], client });
+        const hours = await getWorkerHours(worker.id, session.session_date, [session.id], client);
+        const spareWeekMinutes = hours.week_remaining_minutes === null
+            ? null
+            : hours.week_remaining_minutes - parseInt(session.duration_minutes);
+
+        candidates.push({
+            id: worker.id,
+            first_name: worker.first_name,
+            last_name: worker.last_name,
+            suitable: result.errors.length === 0,
+            issues: result.errors.map(issue => issue.message),
+            spare_week_minutes: spareWeekMinutes
+        });
+    }
+
+    const spare = (candidate) => candidate.spare_week_minutes === null ? Infinity : candidate.spare_week_minutes;
+    return candidates.sort((a, b) => (b.suitable - a.suitable) ||
+        (spare(a) === spare(b) ? 0 : spare(b) - spare(a)));
+}
+
+// Run the booking checks for each occurrence of a series. Used when
+// generating or moving a whole series of occurrences.
+// dates: 'YYYY-MM-DD' strings, one per occurrence
+// options.excludeIds: existing sessions being rewritten by the series change
+// Returns [{ session_date, errors, warnings }] for occurrences with issues
+async function validateSeries(booking, dates, options = {}) {
+    const { excludeIds = [], client = null } = options;
+    const pendingByMonth = {};
+    const pendingByWeek = {};
+    const pendingResidentByMonth = {};
+    const results = [];
+
+    for (const sessionDate of dates) {
+        const occurrence = { ...booking, session_date: sessionDate };
+        const result = await validateBooking(
+            occurrence,
+            {
+                excludeIds,
+                pending: { weeks: pendingByWeek, months: pendingByMonth, residentMonths: pendingResidentByMonth },
+                client
+            }
+        );
+        minutesByDate(occurrence).forEach(part => {
+            pendingByMonth[monthKey(part.date)] = (pendingByMonth[monthKey(part.date)] || 0) + part.minutes;
+            pendingByWeek[weekStartOf(part.date)] = (pendingByWeek[weekStartOf(part.date)] || 0) + part.minutes;
+        });
+        // Series are for a single resident, who may be charged once per worker
+        minutesByDate(residentBookings(occurrence)[0]).forEach(part => {
+            pendingResidentByMonth[monthKey(part.date)] = (pendingResidentByMonth[monthKey(part.date)] || 0) + part.minutes;
+        });
+
+        if (result.errors.length > 0 || result.warnings.length > 0) {
+            results.push({ session_date: sessionDate, ...result });
+        }
+    }
+    return results;
+}
+
+// Flatten per-occurrence results into a single { errors, warnings } list
+// with the occurrence date prefixed to each message
+function flattenSeriesIssues(results) {
+    const withDate = (issue, sessionDate) => ({
+        ...issue,
+        session_date: sessionDate,
+        message: `${formatDateKey(sessionDate)}: ${issue.message}`
+    });
+    return {
+        errors: results.flatMap(result => result.errors.map(issue => withDate(issue, result.session_date))),
+        warnings: results.flatMap(result => result.warnings.map(issue => withDate(issue, result.session_date)))
+    };
+}
+
+// Store the overridable issues an admin chose to book through
+async function recordOverrides(sessionId, issues, reason, userId, client = null) {
+    for (const issue of issues.filter(issue => issue.overridable)) {
+        await runner(client)(
+            `INSERT INTO session_overrides (session_id, rule, details, reason, created_by)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [sessionId, issue.code, issue.message, reason, userId]
+        );
+    }
+}
+
+module.exports = {
+    SUPPORT_TYPE_LABELS,
+    supportTypeColor,
+    ABSENCE_TYPES,
+    absenceLabel,
+    formatDateKey,
+    formatHours,
+    findWorkerConflicts,
+    findResidentConflicts,
+    checkTenancy,
+    checkSpecialization,
+    checkWorkerAvailability,
+    getResidentAllocation,
+    checkResidentAllocation,
+    getWorkerHours,
+    checkWorkerCaps,
+    validateBooking,
+    validateSeries,
+    validateWorkerChange,
+    suggestReplacements,
+    flattenSeriesIssues,
+    recordOverrides
+};
@@ -0,0 +1,27 @@
+// Sessions staffed by more than one support worker.
+//
+// support_worker_id is the lead worker and additional_worker_ids lists the
+// others, e.g. for two-to-one support. Every worker is booked for the whole
+// session, so worker conflicts, caps and hours treat each of them as if the
+// session were theirs alone. The session_staff view lists every worker on
+// every session.
+
+const STAFF_CHARGE_RULES = [
+    { key: 'single', label: 'Charge the resident for the session once' },
+    { key: 'per_worker', label: 'Charge the resident once for each worker' }
+];
+
+// Number of times a session is charged to the resident's allocation
+const staffChargeFactor = (session) => session.staff_charge_rule === 'per_worker'
+    ? 1 + (session.additional_worker_ids || []).length
+    : 1;
+
+// Session s has worker $n on it, as lead or as an additional worker
+const workerBookedSql = (param) =>
+    `(s.support_worker_id = ${param} OR ${param} = ANY(s.additional_worker_ids))`;
+
+module.exports = {
+    STAFF_CHARGE_RULES,
+    staffChargeFactor,
+    workerBookedSql
+};
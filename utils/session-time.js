@@ -0,0 +1,105 @@
+const { addDays } = require('./dates');
+
+// Session timing helpers.
+//
+// A session whose end time is not after its start time runs overnight and
+// ends on the day after its session_date, e.g. a sleep-in from 22:00 to
+// 08:00. Its hours belong partly to each day, so anything that totals hours
+// by day, week or month splits overnight sessions at midnight in proportion
+// to the time spent either side.
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// True when a session with these times ends on the following day
+const endsNextDay = (startTime, endTime) => toMinutes(endTime) <= toMinutes(startTime);
+
+// Clock minutes from start to end, crossing midnight for overnight sessions
+const spanMinutes = (startTime, endTime) => {
+    const span = toMinutes(endTime) - toMinutes(startTime);
+    return span > 0 ? span : span + 24 * 60;
+};
+
+// Worked minutes between the times, less any break. This is the session's
+// duration unless billable minutes were entered instead.
+const workedMinutes = (startTime, endTime, breakMinutes = 0) =>
+    spanMinutes(startTime, endTime) - (parseInt(breakMinutes) || 0);
+
+// Split a session's delivered minutes, or its planned duration until it has
+// been checked out, between the days it covers.
+// session: { session_date: 'YYYY-MM-DD', start_time, end_time, duration_minutes, actual_minutes }
+// Returns [{ date, minutes }] with one entry, or two for overnight sessions
+function minutesByDate(session) {
+    const duration = parseInt(session.actual_minutes ?? session.duration_minutes);
+    if (!endsNextDay(session.start_time, session.end_time) || toMinutes(session.end_time) === 0) {
+        return [{ date: session.session_date, minutes: duration }];
+    }
+
+    const firstDay = Math.round(duration * (24 * 60 - toMinutes(session.start_time)) /
+        spanMinutes(session.start_time, session.end_time));
+    return [
+        { date: session.session_date, minutes: firstDay },
+        { date: addDays(session.session_date, 1), minutes: duration - firstDay }
+    ];
+}
+
+// SQL fragments over a support_sessions row aliased as `alias`.
+// Period bounds are SQL date or timestamp expressions, start inclusive and
+// end exclusive.
+
+// Timestamp the session starts
+const sessionStartSql = (alias) => `(${alias}.session_date + ${alias}.start_time)`;
+
+// Timestamp the session ends, on the following day for overnight sessions
+const sessionEndSql = (alias) =>
+    `(${alias}.session_date + ${alias}.end_time + CASE WHEN ${alias}.end_time <= ${alias}.start_time ` +
+    `THEN INTERVAL '1 day' ELSE INTERVAL '0 days' END)`;
+
+// Worked minutes implied by the session's times and break
+const workedMinutesSql = (alias) =>
+    `(EXTRACT(EPOCH FROM ${sessionEndSql(alias)} - ${sessionStartSql(alias)}) / 60)::int - ${alias}.break_minutes`;
+
+// Minutes actually delivered once a session has been checked out, otherwise
+// the planned duration
+const deliveredMinutesSql = (alias) => `COALESCE(${alias}.actual_minutes, ${alias}.duration_minutes)`;
+
+// Minutes from one time of day to another, wrapped into -12 to +12 hours so
+// times either side of midnight compare sensibly. Positive when `later` is
+// after `earlier`, e.g. how late a check-in was against the planned start.
+const clockDifferenceSql = (later, earlier) =>
+    `(((EXTRACT(EPOCH FROM ${later} - ${earlier}) / 60)::int + 2160) % 1440 - 720)`;
+
+// The session starts within the period
+const startsWithinSql = (alias, from, to) =>
+    `(${alias}.session_date >= (${from})::date AND ${alias}.session_date < (${to})::date)`;
+
+// Any part of the session falls within the period
+const overlapsPeriodSql = (alias, from, to) =>
+    `(${alias}.session_date >= (${from})::date - 1 AND ${alias}.session_date < (${to})::date ` +
+    `AND ${sessionEndSql(alias)} > (${from})::timestamp)`;
+
+// Minutes of the session that fall within the period, split in proportion to
+// the planned times. Counts delivered minutes unless `minutes` gives another
+// expression, e.g. the planned duration_minutes.
+const minutesWithinSql = (alias, from, to, minutes = deliveredMinutesSql(alias)) =>
+    `(${minutes} * GREATEST(EXTRACT(EPOCH FROM ` +
+    `LEAST(${sessionEndSql(alias)}, (${to})::timestamp) - GREATEST(${sessionStartSql(alias)}, (${from})::timestamp)), 0) / ` +
+    `EXTRACT(EPOCH FROM ${sessionEndSql(alias)} - ${sessionStartSql(alias)}))`;
+
+module.exports = {
+    toMinutes,
+    endsNextDay,
+    spanMinutes,
+    workedMinutes,
+    minutesByDate,
+    sessionStartSql,
+    sessionEndSql,
+    workedMinutesSql,
+    deliveredMinutesSql,
+    clockDifferenceSql,
+    startsWithinSql,
+    overlapsPeriodSql,
+    minutesWithinSql
+};
@@ -0,0 +1,212 @@
+const { query } = require('./database');
+const { addDays, weekdayOf, weekStartOf } = require('./dates');
+const { minutesByDate } = require('./session-time');
+const { residentBookedSql } = require('./group-sessions');
+
+// Slot finder: suggest times in a date window when a suitable support worker
+// and the resident are both free.
+//
+// The data for the whole window is loaded up front and every candidate slot
+// is checked in memory against the same rules as validateBooking in
+// utils/scheduling.js: worker and resident double-booking, worker absences
+// and availability templates, weekly and monthly hour caps and the resident's
+// tenancy. Only workers specialised in the support type are considered.
+
+// Longest date window searched in one request
+const MAX_WINDOW_DAYS = 31;
+
+// Bounds on the gap between candidate start times and the number of slots
+// returned
+const MIN_STEP_MINUTES = 5;
+const MAX_STEP_MINUTES = 240;
+const MAX_SLOTS = 100;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const toTime = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Whether a session on the slot's date, or an overnight session from the day
+// before, overlaps start to end minutes past midnight on that date
+const overlaps = (session, date, start, end) => {
+    const offset = session.session_date === date ? 0 : -24 * 60;
+    const sessionStart = toMinutes(session.start_time) + offset;
+    let sessionEnd = toMinutes(session.end_time) + offset;
+    if (sessionEnd <= sessionStart) sessionEnd += 24 * 60;
+    return sessionStart < end && sessionEnd > start;
+};
+
+// Last day of the month containing a 'YYYY-MM-DD' date
+const monthEndOf = (date) => {
+    const [year, month] = date.split('-').map(Number);
+    const nextMonth = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+    return addDays(nextMonth, -1);
+};
+
+// Sum minutes per key, e.g. per worker and ISO week
+const addTo = (totals, key, minutes) => {
+    totals[key] = (totals[key] || 0) + minutes;
+};
+
+// criteria: { resident_id, support_type, duration_minutes, date_from, date_to,
+//             earliest, latest, step_minutes, limit }
+// Returns { slots: [{ session_date, start_time, end_time, workers }] } where
+// slots are in date and time order and each slot's workers are ranked by
+// spare hours in that week, most first
+async function findSlots(criteria) {
+    const duration = parseInt(criteria.duration_minutes);
+    const dateFrom = criteria.date_from;
+    const dateTo = criteria.date_to < addDays(dateFrom, MAX_WINDOW_DAYS - 1)
+        ? criteria.date_to
+        : addDays(dateFrom, MAX_WINDOW_DAYS - 1);
+    const earliest = toMinutes(criteria.earliest || '08:00');
+    const latest = toMinutes(criteria.latest || '18:00');
+    const step = clamp(parseInt(criteria.step_minutes) || 30, MIN_STEP_MINUTES, MAX_STEP_MINUTES);
+    const limit = clamp(parseInt(criteria.limit) || 20, 1, MAX_SLOTS);
+
+    const residentResult = await query(
+        `SELECT id, first_name, last_name,
+                TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+                TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+         FROM residents WHERE id = $1`,
+        [criteria.resident_id]
+    );
+    const resident = residentResult.rows[0];
+    if (!resident) return null;
+
+    const workersResult = await query(
+        `SELECT id, first_name, last_name, max_hours_per_week, max_hours_per_month
+         FROM support_workers
+         WHERE is_active = true AND $1 = ANY(COALESCE(specializations, '{}'))
+         ORDER BY last_name, first_name`,
+        [criteria.support_type]
+    );
+    const workers = workersResult.rows;
+    const workerIds = workers.map(worker => worker.id);
+
+    // Hours are counted over whole ISO weeks and calendar months, so load
+    // sessions from the start of the earliest week or month to the end of
+    // the latest one, plus the day before for overnight sessions
+    const rangeStart = addDays([weekStartOf(dateFrom), `${dateFrom.substring(0, 7)}-01`].sort()[0], -1);
+    const rangeEnd = [addDays(weekStartOf(dateTo), 6), monthEndOf(dateTo)].sort()[1];
+
+    // One row per worker on each session, so sessions with several workers
+    // count towards each of them
+    const sessionsResult = await query(
+        `SELECT ss.support_worker_id, s.status, s.start_time, s.end_time, s.duration_minutes, s.actual_minutes,
+                TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date,
+                ${residentBookedSql('$4')} as resident_booked
+         FROM support_sessions s
+         JOIN session_staff ss ON ss.session_id = s.id
+         WHERE s.session_date BETWEEN $1 AND $2
+           AND s.status NOT IN ('cancelled', 'no_show')
+           AND (ss.support_worker_id = ANY($3::uuid[]) OR ${residentBookedSql('$4')})`,
+        [rangeStart, rangeEnd, workerIds, resident.id]
+    );
+
+    const absencesResult = await query(
+        `SELECT support_worker_id,
+                TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+                TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+         FROM worker_absences
+         WHERE support_worker_id = ANY($1::uuid[]) AND start_date <= $3 AND end_date >= $2`,
+        [workerIds, dateFrom, dateTo]
+    );
+
+    const availabilityResult = await query(
+        `SELECT support_worker_id, weekday, start_time, end_time
+         FROM worker_availability
+         WHERE support_worker_id = ANY($1::uuid[])`,
+        [workerIds]
+    );
+
+    // Booked minutes per worker per ISO week and per month, with overnight
+    // sessions split at midnight
+    const weekMinutes = {};
+    const monthMinutes = {};
+    sessionsResult.rows
+        .filter(session => session.status === 'completed' || session.status === 'planned')
+        .forEach(session => minutesByDate(session).forEach(part => {
+            addTo(weekMinutes, `${session.support_worker_id}:${weekStartOf(part.date)}`, part.minutes);
+            addTo(monthMinutes, `${session.support_worker_id}:${part.date.substring(0, 7)}`, part.minutes);
+        }));
+
+    const slots = [];
+    for (let date = dateFrom; date <= dateTo && slots.length < limit; date = addDays(date, 1)) {
+        if ((resident.start_date && date < resident.start_date) || (resident.end_date && date > resident.end_date)) {
+            continue;
+        }
+
+        const previousDay = addDays(date, -1);
+        const daySessions = sessionsResult.rows.filter(session =>
+            session.session_date === date || session.session_date === previousDay);
+        const residentSessions = daySessions.filter(session => session.resident_booked);
+        const weekday = weekdayOf(date);
+        const week = weekStartOf(date);
+        const month = date.substring(0, 7);
+
+        for (let start = earliest; start + duration <= latest && slots.length < limit; start += step) {
+            const end = start + duration;
+            if (residentSessions.some(session => overlaps(session, date, start, end))) continue;
+
+            const available = workers
+                .filter(worker => {
+                    if (daySessions.some(session => session.support_worker_id === worker.id && overlaps(session, date, start, end))) {
+                        return false;
+                    }
+                    if (absencesResult.rows.some(absence => absence.support_worker_id === worker.id &&
+                        absence.start_date <= date && absence.end_date >= date)) {
+                        return false;
+                    }
+                    const template = availabilityResult.rows.filter(slot => slot.support_worker_id === worker.id);
+                    return template.length === 0 || template.some(slot => slot.weekday === weekday &&
+                        toMinutes(slot.start_time) <= start && toMinutes(slot.end_time) >= end);
+                })
+                .map(worker => {
+                    const weekBooked = (weekMinutes[`${worker.id}:${week}`] || 0) + duration;
+                    const monthBooked = (monthMinutes[`${worker.id}:${month}`] || 0) + duration;
+                    return {
+                        id: worker.id,
+                        first_name: worker.first_name,
+                        last_name: worker.last_name,
+                        spare_week_minutes: worker.max_hours_per_week ? worker.max_hours_per_week * 60 - weekBooked : null,
+                        spare_month_minutes: worker.max_hours_per_month ? worker.max_hours_per_month * 60 - monthBooked : null
+                    };
+                })
+                .filter(worker => (worker.spare_week_minutes === null || worker.spare_week_minutes >= 0) &&
+                    (worker.spare_month_minutes === null || worker.spare_month_minutes >= 0));
+
+            if (available.length === 0) continue;
+
+            const spare = (worker) => worker.spare_week_minutes === null ? Infinity : worker.spare_week_minutes;
+            available.sort((a, b) => spare(a) === spare(b) ? 0 : spare(b) - spare(a));
+
+            slots.push({
+                session_date: date,
+                start_time: toTime(start),
+                end_time: toTime(end),
+                workers: available
+            });
+        }
+    }
+
+    return {
+        resident_name: `${resident.first_name} ${resident.last_name}`,
+        date_from: dateFrom,
+        date_to: dateTo,
+        slots
+    };
+}
+
+module.exports = {
+    MAX_WINDOW_DAYS,
+    MIN_STEP_MINUTES,
+    MAX_STEP_MINUTES,
+    MAX_SLOTS,
+    findSlots
+};
@@ -0,0 +1,218 @@
+const zlib = require('zlib');
+const { isDateKey, daysBetween } = require('./dates');
+
+// Simple Excel workbooks written on the server.
+//
+// An .xlsx file is a zip of XML parts. Each sheet here is a table with a bold,
+// frozen heading row; numbers are stored as numbers so they can be summed,
+// percentages and 'YYYY-MM-DD' dates with Excel's own formats, and anything
+// else as text.
+
+// Cell formats, by their index in the styles part
+const STYLES = { text: 0, heading: 1, decimal: 2, integer: 3, percent: 4, date: 5 };
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="3"><numFmt numFmtId="164" formatCode="0.0"/><numFmt numFmtId="165" formatCode="0.0%"/><numFmt numFmtId="166" formatCode="dd/mm/yyyy"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+</styleSheet>`;
+
+const escapeXml = (text) => String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Column letters for a zero-based index: A, B, ... Z, AA, AB ...
+function columnName(index) {
+    let name = '';
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+        name = String.fromCharCode(65 + (number - 1) % 26) + name;
+    }
+    return name;
+}
+
+// Sheet names are at most 31 characters, without []:*?/\
+const sheetName = (name) => String(name).replace(/[[\]:*?/\\]/g, ' ').substring(0, 31);
+
+// A cell's XML for a value in a column of the type: 'text', 'decimal',
+// 'integer', 'percent' (given as e.g. 45.5 for 45.5%) or 'date'
+function cellXml(reference, value, type) {
+    if (value === null || value === undefined || value === '') return '';
+    if (type === 'date' && isDateKey(value)) {
+        return `<c r="${reference}" s="${STYLES.date}"><v>${daysBetween('1899-12-30', value)}</v></c>`;
+    }
+    const number = typeof value === 'number' ? value : NaN;
+    if (STYLES[type] && type !== 'text' && type !== 'date' && Number.isFinite(number)) {
+        return `<c r="${reference}" s="${STYLES[type]}"><v>${type === 'percent' ? number / 100 : number}</v></c>`;
+    }
+    return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml(sheet) {
+    const widths = sheet.columns.map(column => column.width || Math.max(10, Math.min(40, column.label.length + 2)));
+    const heading = sheet.columns.map((column, index) =>
+        `<c r="${columnName(index)}1" t="inlineStr" s="${STYLES.heading}"><is><t>${escapeXml(column.label)}</t></is></c>`
+    ).join('');
+    const rows = sheet.rows.map((row, rowIndex) =>
+        `<row r="${rowIndex + 2}">${row.map((value, index) => {
+            const cell = value !== null && typeof value === 'object' ? value : { value, type: sheet.columns[index].type };
+            return cellXml(`${columnName(index)}${rowIndex + 2}`, cell.value, cell.type);
+        }).join('')}</row>`
+    );
+    const lastCell = `${columnName(sheet.columns.length - 1)}${sheet.rows.length + 1}`;
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheetViews><sheetView workbookViewId="0">' +
+        '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+        '</sheetView></sheetViews>' +
+        `<cols>${widths.map((width, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` +
+        `<sheetData><row r="1">${heading}</row>${rows.join('')}</sheetData>` +
+        `<autoFilter ref="A1:${lastCell}"/>` +
+        '</worksheet>';
+}
+
+// CRC-32 of a buffer, as zip entries need
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A zip archive of [{ name, content }] with each file deflated
+function zip(files) {
+    const entries = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = Buffer.from(file.name, 'utf8');
+        const content = Buffer.from(file.content, 'utf8');
+        const compressed = zlib.deflateRawSync(content);
+        const crc = crc32(content);
+
+        // Version, flags (UTF-8 names), deflate, time and date (1 Jan 1980),
+        // CRC, sizes and name length
+        const fields = (header) => {
+            header.writeUInt16LE(20, 0);
+            header.writeUInt16LE(0x0800, 2);
+            header.writeUInt16LE(8, 4);
+            header.writeUInt16LE(0, 6);
+            header.writeUInt16LE(33, 8);
+            header.writeUInt32LE(crc, 10);
+            header.writeUInt32LE(compressed.length, 14);
+            header.writeUInt32LE(content.length, 18);
+            header.writeUInt16LE(name.length, 22);
+            return header;
+        };
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        fields(local.subarray(4));
+        entries.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        fields(central.subarray(6));
+        central.writeUInt32LE(offset, 42);
+        centralDirectory.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(centralDirectory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...entries, directory, end]);
+}
+
+// A workbook of sheets, each { name, columns: [{ label, type, width }],
+// rows: [[value, ...]] }, as an .xlsx file. A cell given as { value, type }
+// overrides its column's type.
+function xlsxWorkbook(sheets) {
+    const sheetFiles = sheets.map((sheet, index) => ({
+        name: `xl/worksheets/sheet${index + 1}.xml`,
+        content: sheetXml(sheet)
+    }));
+
+    return zip([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ' +
+                'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ' +
+                'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheetFiles.map(file => `<Override PartName="/${file.name}" ` +
+                    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" ' +
+                'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+                'Target="xl/workbook.xml"/></Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                sheets.map((sheet, index) =>
+                    `<sheet name="${escapeXml(sheetName(sheet.name))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheetFiles.map((file, index) => `<Relationship Id="rId${index + 1}" ` +
+                    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+                    `Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" ` +
+                'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        { name: 'xl/styles.xml', content: STYLES_XML },
+        ...sheetFiles
+    ]);
+}
+
+module.exports = {
+    xlsxWorkbook
+};